@@ -5,8 +5,6 @@
  * based on Hitesh Choudhary's unique teaching style and personality.
  */
 
-import { SYSTEM_PROMPT, QUERY_PROMPT, PROMPTS } from '../prompts/systemPrompt.js';
-
 // Configuration object for Hitesh Choudhary's persona
 export const PROMPT_CONFIG = {
     // Model settings
@@ -57,38 +55,12 @@ export const PROMPT_CONFIG = {
     },
 };
 
-// Function to get customized system prompt for Hitesh
-export function getCustomizedSystemPrompt(customizations = {}) {
-    let prompt = SYSTEM_PROMPT;
-
-    // Apply Hitesh-specific customizations
-    if (customizations.assistantName) {
-        prompt = prompt.replace(/Hitesh Choudhary/g, customizations.assistantName);
-    }
-
-    if (customizations.tone) {
-        // Add tone-specific instructions for Hitesh's style
-        const toneInstructions = {
-            friendly: 'Maintain Hitesh\'s warm, approachable Hinglish communication style.',
-            casual: 'Use conversational Hinglish while remaining educational and supportive.',
-            formal: 'Keep Hitesh\'s personality while adapting to more formal contexts.',
-        };
-
-        if (toneInstructions[customizations.tone]) {
-            prompt += `\n\n## Tone Guidelines\n${toneInstructions[customizations.tone]}`;
-        }
-    }
-
-    return prompt;
-}
-
-// Function to get model configuration for Hitesh's persona
+// Function to get model configuration; the persona's system prompt travels with the messages (see services/personas.js)
 export function getModelConfig(customizations = {}) {
     return {
         apiKey: process.env.GOOGLE_API_KEY,
         model: customizations.model || PROMPT_CONFIG.model,
-        temperature: customizations.temperature || PROMPT_CONFIG.temperature,
-        systemInstruction: getCustomizedSystemPrompt(customizations),
+        temperature: customizations.temperature ?? PROMPT_CONFIG.temperature,
     };
 }
 
@@ -21,15 +21,98 @@ const upload = multer({ storage: multer.memoryStorage() });
 // Initialize RAG service
 let ragService;
 
+// Validate the body shared by the query endpoints
+function parseQueryRequest(body = {}) {
+  const { question, history, includedSources, excludedSources, title, ingestedAfter, ingestedBefore } = body;
+  const { chatProvider, chatModel, temperature, maxTokens, persona } = body;
+  if (!question) {
+    return { error: 'Question is required' };
+  }
+  if (history !== undefined && !Array.isArray(history)) {
+    return { error: 'History must be an array of { role, content } turns' };
+  }
+  for (const [field, value] of Object.entries({ ingestedAfter, ingestedBefore })) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return { error: `${field} must be a valid date` };
+    }
+  }
+  return {
+    question,
+    persona,
+    options: { history, includedSources, excludedSources, title, ingestedAfter, ingestedBefore },
+    // Per-request chat model overrides, validated against the collection's settings by rag.chatSettings()
+    chat: { chatProvider, chatModel, temperature, maxTokens },
+  };
+}
+
 async function initializeApp() {
   try {
     // Import RAG service dynamically
     const ragModule = await import('./services/ragService.js');
     ragService = ragModule.default;
+    const websiteCrawler = (await import('./services/websiteCrawler.js')).default;
+    const { parseCrawlRequest } = await import('./services/crawlOptions.js');
+    const { parseDedupePolicy } = await import('./services/contentHash.js');
+    const { parseRetrievalOptions } = await import('./services/hybridSearch.js');
+    const { parseRerankOptions } = await import('./services/rerankers.js');
+    const crawlScheduler = (await import('./services/crawlScheduler.js')).default;
+    const { default: personas, parsePersona } = await import('./services/personas.js');
+    const { validateQueryTemplate, systemPromptWarnings } = await import('./services/promptTemplates.js');
+    await ragService.loadSettings();
+    await crawlScheduler.start();
 
     // Progress SSE
     const progressModule = await import('./services/progress.js');
-    const { sseHandler, emitProgress } = progressModule;
+    const { sseHandler, emitProgress, openEventStream, writeEvent } = progressModule;
+
+    // Resolve the knowledge base a request targets (`collection` in the query string or JSON body) to req.rag;
+    // requests without one use the default collection
+    const withCollection = async (req, res, next) => {
+      try {
+        const collection = req.query.collection || req.body?.collection;
+        req.rag = await ragService.forCollection(collection);
+        if (!req.rag) {
+          return res.status(404).json({ error: `Collection ${collection} not found` });
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+
+    // The persona a request names, or the default one. Returns { error } or { persona }.
+    const resolvePersona = async id => {
+      if (id !== undefined && typeof id !== 'string') return { error: 'Persona must be a persona id' };
+      const persona = id ? await personas.find(id) : await personas.getDefault();
+      return persona ? { persona } : { error: `Persona ${id} not found` };
+    };
+
+    // Validate a query request for the collection it targets (chat model overrides are checked against that
+    // collection's settings) and resolve the persona it answers as. Returns { error } or { question, options }.
+    const resolveQueryRequest = async req => {
+      const { error, question, options, chat, persona: personaId } = parseQueryRequest(req.body);
+      if (error) return { error };
+      const { error: personaError, persona } = await resolvePersona(personaId);
+      if (personaError) return { error: personaError };
+      const chatSettings = req.rag.chatSettings(chat);
+      if (chatSettings.error) return { error: chatSettings.error };
+      const { error: retrievalError, retrieval } = parseRetrievalOptions(req.body);
+      if (retrievalError) return { error: retrievalError };
+      const { error: rerankError, rerank } = parseRerankOptions(req.body);
+      if (rerankError) return { error: rerankError };
+      return { question, options: { ...options, chat: chatSettings.chat, persona, retrieval: { ...retrieval, ...rerank } } };
+    };
+
+    // Chat model overrides (checked against the target collection's settings) and persona of the summarize/compare
+    // endpoints. Returns { error } or { chat, persona }.
+    const resolveDigestOptions = async req => {
+      const { chatProvider, chatModel, temperature, maxTokens } = req.body;
+      const { error, chat } = req.rag.chatSettings({ chatProvider, chatModel, temperature, maxTokens });
+      if (error) return { error };
+      const { error: personaError, persona } = await resolvePersona(req.body.persona);
+      if (personaError) return { error: personaError };
+      return { chat, persona };
+    };
 
     // --- API Routes ---
 
@@ -42,17 +125,24 @@ async function initializeApp() {
     app.get('/api/progress/:opId', sseHandler);
 
     // Ingest documents from file upload
-    app.post('/api/documents', upload.array('document', 10), async (req, res, next) => {
+    app.post('/api/documents', upload.array('document', 10), withCollection, async (req, res, next) => {
       try {
-        const { opId, removeTimestamps } = req.query;
+        const { opId, removeTimestamps, dedupe } = req.query;
         if (!req.files || req.files.length === 0) {
           return res.status(400).json({ error: 'No files uploaded' });
         }
+        const { error, policy } = parseDedupePolicy(dedupe);
+        if (error) {
+          return res.status(400).json({ error });
+        }
 
         const fileNames = req.files.map(file => file.originalname).join(', ');
         emitProgress?.(opId, `Uploading ${req.files.length} files: ${fileNames}`);
 
-        const result = await ragService.processFile(req.files, opId, removeTimestamps === 'true');
+        const result = await req.rag.processFile(req.files, opId, {
+          removeTimestamps: removeTimestamps === 'true',
+          dedupe: policy,
+        });
         emitProgress?.(opId, `Files processed: ${fileNames}`, result);
         res.status(201).json(result);
       } catch (error) {
@@ -61,15 +151,15 @@ async function initializeApp() {
     });
 
     // Ingest content from a website URL
-    app.post('/api/crawl', async (req, res, next) => {
+    app.post('/api/crawl', withCollection, async (req, res, next) => {
       try {
-        const { url } = req.body;
+        const { error, url, options } = parseCrawlRequest(req.body);
         const { opId } = req.query;
-        if (!url) {
-          return res.status(400).json({ error: 'URL is required' });
+        if (error) {
+          return res.status(400).json({ error });
         }
         emitProgress?.(opId, `Starting crawl: ${url}`);
-        const result = await ragService.processWebUrl(url, opId);
+        const result = await req.rag.processWebUrl(url, opId, options);
         emitProgress?.(opId, `Crawl complete: ${url}`, result);
         res.status(201).json(result);
       } catch (error) {
@@ -77,16 +167,92 @@ async function initializeApp() {
       }
     });
 
+    // List crawls that are running or waiting for a free slot
+    app.get('/api/crawls', (req, res) => {
+      res.json({
+        success: true,
+        maxConcurrentCrawls: websiteCrawler.maxConcurrentCrawls,
+        crawls: websiteCrawler.listActiveCrawls(),
+      });
+    });
+
+    // Scheduled re-syncs of crawled websites
+    app.get('/api/schedules', (req, res) => {
+      res.json({ success: true, schedules: crawlScheduler.list() });
+    });
+
+    app.post('/api/schedules', async (req, res, next) => {
+      try {
+        const { error, schedule } = await crawlScheduler.create(req.body);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        res.status(201).json({ success: true, schedule });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    app.get('/api/schedules/:id', (req, res) => {
+      const schedule = crawlScheduler.find(req.params.id);
+      if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+      res.json({ success: true, schedule: crawlScheduler.describe(schedule) });
+    });
+
+    // Pause/resume (`paused`) or change the `interval` of a schedule
+    app.patch('/api/schedules/:id', async (req, res, next) => {
+      try {
+        const result = await crawlScheduler.update(req.params.id, req.body);
+        if (!result) {
+          return res.status(404).json({ error: 'Schedule not found' });
+        }
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+        res.json({ success: true, schedule: result.schedule });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    app.delete('/api/schedules/:id', async (req, res, next) => {
+      try {
+        const removed = await crawlScheduler.remove(req.params.id);
+        if (!removed) {
+          return res.status(404).json({ error: 'Schedule not found' });
+        }
+        res.json({ success: true, id: req.params.id });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Start a re-sync now; the crawl runs in the background and its result shows up in lastRun
+    app.post('/api/schedules/:id/run', (req, res) => {
+      const schedule = crawlScheduler.find(req.params.id);
+      if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+      crawlScheduler.runSchedule(schedule).catch(error => logger.error(error.stack));
+      res.status(202).json({ success: true, schedule: crawlScheduler.describe(schedule) });
+    });
+
     // Ingest raw text
-    app.post('/api/text', async (req, res, next) => {
+    app.post('/api/text', withCollection, async (req, res, next) => {
       try {
-        const { text } = req.body;
+        const { text, dedupe } = req.body;
         const { opId } = req.query;
         if (!text) {
           return res.status(400).json({ error: 'Text content is required' });
         }
+        const { error, policy } = parseDedupePolicy(dedupe);
+        if (error) {
+          return res.status(400).json({ error });
+        }
         emitProgress?.(opId, `Processing text input`);
-        const result = await ragService.processText(text, opId);
+        const result = await req.rag.processText(text, opId, { dedupe: policy });
         emitProgress?.(opId, `Text processed`, result);
         res.status(201).json(result);
       } catch (error) {
@@ -95,23 +261,122 @@ async function initializeApp() {
     });
 
     // Query endpoint
-    app.post('/api/query', async (req, res, next) => {
+    app.post('/api/query', withCollection, async (req, res, next) => {
       try {
-        const { question } = req.body;
-        if (!question) {
-          return res.status(400).json({ error: 'Question is required' });
+        const { error, question, options } = await resolveQueryRequest(req);
+        if (error) {
+          return res.status(400).json({ error });
         }
-        const answer = await ragService.query(question);
-        res.json({ answer });
+        const answer = await req.rag.query(question, options);
+        res.json({
+          answer,
+          citations: answer.citations,
+          filter: answer.filter,
+          model: answer.model,
+          persona: answer.persona,
+          usage: answer.usage,
+          retrieval: answer.retrieval,
+        });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Streaming query endpoint: emits `sources`, then `token` events, then `done` (or `error`)
+    app.post('/api/query/stream', withCollection, async (req, res, next) => {
+      // Failures before the event stream opens (e.g. reading the persona store) get a regular error response
+      let resolved;
+      try {
+        resolved = await resolveQueryRequest(req);
+      } catch (error) {
+        return next(error);
+      }
+      const { error, question, options } = resolved;
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      openEventStream(res);
+
+      // Client disconnected (e.g. pressed stop) - abort generation server-side
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+      });
+
+      try {
+        const result = await req.rag.streamQuery(question, options, {
+          signal: controller.signal,
+          onSources: sources => writeEvent(res, 'sources', { sources }),
+          onToken: token => writeEvent(res, 'token', { token }),
+        });
+        if (!result.aborted) {
+          const { sources, ...summary } = result;
+          writeEvent(res, 'done', summary);
+        }
+      } catch (err) {
+        logger.error(err.stack);
+        writeEvent(res, 'error', {
+          message: process.env.NODE_ENV === 'development' ? err.message : options.persona?.messages?.error || 'Error processing request'
+        });
+      } finally {
+        res.end();
+      }
+    });
+
+    // Summarize one whole source (map-reduce over all of its chunks, not just the top-k a query retrieves)
+    app.post('/api/summarize', withCollection, async (req, res, next) => {
+      try {
+        const { source } = req.body;
+        if (!source || typeof source !== 'string') {
+          return res.status(400).json({ error: 'Source is required' });
+        }
+        const { error, chat, persona } = await resolveDigestOptions(req);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        const result = await req.rag.summarizeSource(source, { chat, persona });
+        if (!result) {
+          return res.status(404).json({ error: 'Document not found' });
+        }
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Compare two or more sources, optionally around a `question`
+    app.post('/api/compare', withCollection, async (req, res, next) => {
+      try {
+        const { sources, question } = req.body;
+        if (!Array.isArray(sources) || sources.some(source => !source || typeof source !== 'string')) {
+          return res.status(400).json({ error: 'Sources must be an array of document sources' });
+        }
+        const unique = [...new Set(sources)];
+        if (unique.length < 2) {
+          return res.status(400).json({ error: 'Select at least two different sources to compare' });
+        }
+        if (question !== undefined && typeof question !== 'string') {
+          return res.status(400).json({ error: 'Question must be a string' });
+        }
+        const { error, chat, persona } = await resolveDigestOptions(req);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        const result = await req.rag.compareSources(unique, { question: question?.trim(), chat, persona });
+        if (result.error) {
+          return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+        }
+        res.json(result);
       } catch (error) {
         next(error);
       }
     });
 
     // List all documents endpoint
-    app.get('/api/documents', async (req, res, next) => {
+    app.get('/api/documents', withCollection, async (req, res, next) => {
       try {
-        const result = await ragService.listDocuments();
+        const result = await req.rag.listDocuments();
         res.json(result);
       } catch (error) {
         next(error);
@@ -119,13 +384,209 @@ async function initializeApp() {
     });
 
     // Delete document endpoint
-    app.delete('/api/documents/:source', async (req, res, next) => {
+    app.delete('/api/documents/:source', withCollection, async (req, res, next) => {
       try {
         const { source } = req.params;
         if (!source) {
           return res.status(400).json({ error: 'Source is required' });
         }
-        const result = await ragService.deleteDocument(decodeURIComponent(source));
+        const result = await req.rag.deleteDocument(decodeURIComponent(source));
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Link a transcript to its video so citations open the video at the cited moment
+    app.put('/api/documents/:source/video', withCollection, async (req, res, next) => {
+      try {
+        const { videoUrl } = req.body;
+        if (videoUrl) {
+          try {
+            if (!['http:', 'https:'].includes(new URL(videoUrl).protocol)) throw new Error();
+          } catch {
+            return res.status(400).json({ error: 'videoUrl must be an http(s) URL' });
+          }
+        }
+        const result = await req.rag.setVideoUrl(decodeURIComponent(req.params.source), videoUrl);
+        if (!result) {
+          return res.status(404).json({ error: 'Document not found' });
+        }
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Assistant personas: built-ins (read-only) and custom ones, each with its own prompts, tone, language and messages
+    app.get('/api/personas', async (req, res, next) => {
+      try {
+        res.json({ success: true, personas: await personas.list(), defaultPersona: personas.defaultId });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    app.get('/api/personas/:id', async (req, res, next) => {
+      try {
+        const persona = await personas.find(req.params.id);
+        if (!persona) {
+          return res.status(404).json({ error: 'Persona not found' });
+        }
+        res.json({ success: true, persona });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    app.post('/api/personas', async (req, res, next) => {
+      try {
+        const result = await personas.create(req.body);
+        if (result.error) {
+          return res.status(result.conflict ? 409 : 400).json({ error: result.error });
+        }
+        res.status(201).json({ success: true, persona: result.persona });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Change any of a custom persona's fields (name, description, systemPrompt, queryTemplate, tone, language, messages)
+    app.patch('/api/personas/:id', async (req, res, next) => {
+      try {
+        const result = await personas.update(req.params.id, req.body);
+        if (!result) {
+          return res.status(404).json({ error: 'Persona not found' });
+        }
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+        res.json({ success: true, persona: result.persona });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    app.delete('/api/personas/:id', async (req, res, next) => {
+      try {
+        const result = await personas.remove(req.params.id);
+        if (!result) {
+          return res.status(404).json({ error: 'Persona not found' });
+        }
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Review prompt changes before they go live: validate the query template, assemble the prompt for a sample
+    // `question` with context really retrieved from the collection and, unless `generate` is false, answer it.
+    // Prompt fields in the body (systemPrompt, queryTemplate, tone, language, messages) override `persona`.
+    app.post('/api/prompts/preview', withCollection, async (req, res, next) => {
+      try {
+        const base = req.body.persona ? await personas.find(req.body.persona) : await personas.getDefault();
+        if (!base) {
+          return res.status(404).json({ error: `Persona ${req.body.persona} not found` });
+        }
+        const { errors, warnings, variables } = validateQueryTemplate(req.body.queryTemplate ?? base.queryTemplate);
+        warnings.push(...systemPromptWarnings(req.body.systemPrompt ?? base.systemPrompt));
+        if (errors.length > 0) {
+          return res.status(400).json({ error: errors.join('; '), valid: false, errors, warnings });
+        }
+        const draft = parsePersona(req.body, base);
+        if (draft.error) {
+          return res.status(400).json({ error: draft.error, valid: false, errors: [draft.error], warnings });
+        }
+
+        const { error, question, options } = await resolveQueryRequest(req);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        const preview = await req.rag.previewPrompt(question, {
+          ...options,
+          persona: { ...draft.persona, id: base.id },
+          generate: req.body.generate !== false && req.body.generate !== 'false',
+        });
+        res.json({ valid: true, variables, warnings, ...preview });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Knowledge bases: each is its own Qdrant collection with its own settings
+    app.get('/api/collections', async (req, res, next) => {
+      try {
+        res.json(await ragService.listCollections());
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    app.post('/api/collections', async (req, res, next) => {
+      try {
+        const result = await ragService.createCollection(req.body);
+        if (result.error) {
+          return res.status(result.conflict ? 409 : 400).json({ error: result.error });
+        }
+        res.status(201).json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Rename changes the display name; the id stays the Qdrant collection name
+    app.patch('/api/collections/:id', async (req, res, next) => {
+      try {
+        const result = await ragService.renameCollection(req.params.id, req.body.name);
+        if (!result) {
+          return res.status(404).json({ error: 'Collection not found' });
+        }
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    app.delete('/api/collections/:id', async (req, res, next) => {
+      try {
+        const result = await ragService.removeCollection(req.params.id);
+        if (!result) {
+          return res.status(404).json({ error: 'Collection not found' });
+        }
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+        await crawlScheduler.removeForCollection(req.params.id);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Chunking and embedding settings of the target collection
+    app.get('/api/settings', withCollection, async (req, res, next) => {
+      try {
+        res.json(await req.rag.getSettings());
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    app.put('/api/settings', withCollection, async (req, res, next) => {
+      try {
+        const result = await req.rag.updateSettings(req.body);
+        if (result.error) {
+          return res.status(result.conflict ? 409 : 400).json({ error: result.error });
+        }
         res.json(result);
       } catch (error) {
         next(error);
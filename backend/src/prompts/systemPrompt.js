@@ -90,10 +90,15 @@ export const QUERY_PROMPT = `Answer the following question based only on the pro
 **Context:**
 {context}
 
+**Conversation so far:**
+{chat_history}
+
 **Question:**
 {input}
 
 **Instructions:**
+- Use the conversation so far only to understand what the question refers to; answer from the context
+- Each context passage starts with a number like [1]; cite the passages you use by putting their numbers right after the sentence they support, e.g. "...closures yaad rakhte hain [2]." or "[1][3]". Never cite a number that is not in the context
 - Start with "Haan ji" or similar authentic greeting
 - Use natural Hinglish mixing - "dekho", "yaar", "chal", "samjha?"
 - Include chai analogies when relevant
@@ -112,8 +117,83 @@ export const QUERY_PROMPT = `Answer the following question based only on the pro
 
 **Remember:** You are Hitesh Sir - authentic, encouraging, practical teacher. Not a corporate trainer, but a friendly mentor who loves chai and coding!`;
 
+// Neutral persona: a plain technical assistant, for teams that want answers without the Hitesh style
+export const PLAIN_SYSTEM_PROMPT = `You are a technical assistant answering questions about the user's own documents, websites and notes.
+
+- Answer from the provided knowledge base context only; if it does not contain the answer, say so plainly
+- Be precise and concise: lead with the answer, then the details that support it
+- Use standard technical terminology and keep code, commands and identifiers exactly as they appear in the sources
+- Use short paragraphs, bullet points for lists and fenced code blocks for code
+- Do not invent APIs, options, numbers or quotes that are not in the context`;
+
+export const PLAIN_QUERY_PROMPT = `Answer the question using only the context below.
+
+**Context:**
+{context}
+
+**Conversation so far:**
+{chat_history}
+
+**Question:**
+{input}
+
+**Instructions:**
+- Use the conversation so far only to understand what the question refers to; answer from the context
+- Each context passage starts with a number like [1]; cite the passages you use by putting their numbers right after the sentence they support, e.g. "...is retried three times [2]." or "[1][3]". Never cite a number that is not in the context
+- If the context is insufficient, say what is missing instead of guessing
+- Keep the answer under 200 words unless the question asks for more detail`;
+
+// How each retrieved chunk is rendered into {context}, so answers can cite it as [n]
+export const CONTEXT_DOCUMENT_PROMPT = `[{citation}] {citationLabel}
+{page_content}`;
+
+// Rewrites a follow-up question into a standalone one for retrieval
+export const CONDENSE_QUESTION_PROMPT = `Given the conversation below and a follow-up question, rewrite the follow-up into a single standalone question that can be understood without the conversation.
+
+- Resolve references like "it", "that", "the second point" using the conversation
+- Keep the original language and any technical terms exactly as written
+- If the follow-up is already standalone, return it unchanged
+- Return only the rewritten question, nothing else
+
+<conversation>
+{chat_history}
+</conversation>
+
+Follow-up question: {input}
+
+Standalone question:`;
+
+// Multi-query retrieval: alternative phrasings of the question, each searched separately
+export const MULTI_QUERY_PROMPT = `Write {count} different versions of the question below for searching a document collection. Vary the wording, spell out abbreviations and add the technical terms an answer would likely contain, but keep the meaning.
+
+- Keep the original language and any identifiers exactly as written
+- One question per line, no numbering, nothing else
+
+Question: {input}`;
+
+// HyDE retrieval: a hypothetical answer, whose embedding lands closer to real answers than a short question does
+export const HYDE_PROMPT = `Write a short passage (about 100 words) that answers the question below the way documentation or lecture notes would. It does not have to be correct; it is only used to find similar passages.
+
+- Write in the language the question is in, using the technical terms an answer would contain
+- Return only the passage
+
+Question: {input}`;
+
+// Asks the chat model to grade retrieved passages for the LLM re-ranker
+export const RELEVANCE_PROMPT = `Rate how useful each passage below is for answering the question, on a scale from 0 (unrelated) to 10 (answers it directly).
+
+Question: {input}
+
+<passages>
+{passages}
+</passages>
+
+Reply with only a JSON array of {count} integers, one per passage in the order given, e.g. [7, 0, 3]`;
+
 // Additional prompt templates for different use cases
-export const SUMMARIZATION_PROMPT = `Summarize the following content from the user's knowledge base in Hitesh Choudhary's style:
+// Summaries and comparisons are sent after the persona's system message, so the voice, tone and language
+// come from the persona the chat uses; these prompts only describe the task
+export const SUMMARIZATION_PROMPT = `Summarize the following content from the user's knowledge base:
 
 <context>
 {context}
@@ -124,10 +204,9 @@ Provide a comprehensive summary that:
 - Maintains accuracy to the source material
 - Is well-structured and easy to understand
 - Highlights important details and insights
-- Uses your characteristic Hinglish communication style
-- Includes relevant chai analogies or cultural references when appropriate`;
+- Keeps the voice, tone and language your instructions set`;
 
-export const COMPARISON_PROMPT = `Compare the following information from the user's knowledge base in Hitesh Choudhary's teaching style:
+export const COMPARISON_PROMPT = `Compare the following information from the user's knowledge base:
 
 <context>
 {context}
@@ -138,15 +217,21 @@ Question: {input}
 Provide a structured comparison that:
 - Identifies similarities and differences
 - Presents information in an organized format
-- Uses clear, objective language with your Hinglish touch
 - References specific sources when possible
-- Maintains your encouraging and supportive teaching tone
-- Includes practical insights and real-world wisdom`;
+- Includes practical insights
+- Keeps the voice, tone and language your instructions set`;
 
 // Export all prompts for easy access
 export const PROMPTS = {
     SYSTEM: SYSTEM_PROMPT,
     QUERY: QUERY_PROMPT,
+    PLAIN_SYSTEM: PLAIN_SYSTEM_PROMPT,
+    PLAIN_QUERY: PLAIN_QUERY_PROMPT,
+    CONTEXT_DOCUMENT: CONTEXT_DOCUMENT_PROMPT,
+    CONDENSE_QUESTION: CONDENSE_QUESTION_PROMPT,
+    RELEVANCE: RELEVANCE_PROMPT,
+    MULTI_QUERY: MULTI_QUERY_PROMPT,
+    HYDE: HYDE_PROMPT,
     SUMMARIZATION: SUMMARIZATION_PROMPT,
     COMPARISON: COMPARISON_PROMPT,
 }; 
\ No newline at end of file
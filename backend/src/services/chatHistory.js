@@ -0,0 +1,32 @@
+// Helpers for the prior chat turns sent along with a follow-up question
+
+const MAX_HISTORY_MESSAGES = 8;
+const MAX_MESSAGE_CHARS = 600;
+
+// Keep only well-formed user/assistant turns, most recent last
+export function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  return history
+    .filter(turn => turn && (turn.role === 'user' || turn.role === 'assistant'))
+    .map(turn => ({ role: turn.role, content: String(turn.content || '').trim() }))
+    .filter(turn => turn.content)
+    .slice(-MAX_HISTORY_MESSAGES);
+}
+
+// Condense the turns into a compact transcript for the prompts
+export function formatChatHistory(history) {
+  if (!history || history.length === 0) {
+    return 'No previous conversation.';
+  }
+
+  return history
+    .map(turn => {
+      const speaker = turn.role === 'user' ? 'User' : 'Assistant';
+      const content = turn.content.length > MAX_MESSAGE_CHARS
+        ? `${turn.content.slice(0, MAX_MESSAGE_CHARS)}…`
+        : turn.content;
+      return `${speaker}: ${content}`;
+    })
+    .join('\n');
+}
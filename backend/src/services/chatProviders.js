@@ -0,0 +1,192 @@
+import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import { ChatOpenAI } from '@langchain/openai';
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+import { getModelConfig, PROMPT_CONFIG } from '../config/promptConfig.js';
+
+const DEFAULT_SCRIPT = ['This is a scripted answer based on the provided context [1].'];
+
+// Whitespace-separated words, as a stand-in token count for the scripted model
+const countWords = content => (typeof content === 'string' ? content : JSON.stringify(content)).split(/\s+/).filter(Boolean).length;
+
+// Deterministic chat model for tests and offline runs: replies with the scripted responses in turn
+// (FAKE_CHAT_RESPONSES, a JSON array of strings) and reports word counts as token usage
+export class ScriptedChatModel extends BaseChatModel {
+    constructor({ responses = DEFAULT_SCRIPT, ...params } = {}) {
+        super(params);
+        this.responses = responses;
+        this.calls = 0;
+    }
+
+    _llmType() {
+        return 'scripted';
+    }
+
+    nextResponse(messages) {
+        const text = this.responses[this.calls++ % this.responses.length];
+        const inputTokens = messages.reduce((sum, message) => sum + countWords(message.content), 0);
+        const outputTokens = countWords(text);
+        return { text, usage: { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens } };
+    }
+
+    async _generate(messages) {
+        const { text, usage } = this.nextResponse(messages);
+        return { generations: [{ text, message: new AIMessage({ content: text, usage_metadata: usage }) }] };
+    }
+
+    // Streams word by word; the last chunk carries the usage, as real providers do
+    async *_streamResponseChunks(messages, options, runManager) {
+        const { text, usage } = this.nextResponse(messages);
+        const words = text.split(/(?<=\s)/);
+        for (const [index, word] of words.entries()) {
+            const last = index === words.length - 1;
+            yield new ChatGenerationChunk({
+                text: word,
+                message: new AIMessageChunk({ content: word, ...(last && { usage_metadata: usage }) }),
+            });
+            await runManager?.handleLLMNewToken(word);
+        }
+    }
+}
+
+function scriptedResponses() {
+    if (!process.env.FAKE_CHAT_RESPONSES) return DEFAULT_SCRIPT;
+    const responses = JSON.parse(process.env.FAKE_CHAT_RESPONSES);
+    return Array.isArray(responses) && responses.length > 0 ? responses.map(String) : DEFAULT_SCRIPT;
+}
+
+// Chat model providers selectable per collection or per query. `models` lists the accepted model names;
+// null means any model name. A provider can only be chosen once its `requiredEnv` variable is set and,
+// when it has one, its `enabled` check passes.
+export const CHAT_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        models: null,
+        defaultModel: PROMPT_CONFIG.model,
+        requiredEnv: 'GOOGLE_API_KEY',
+        create: ({ chatModel, temperature, maxTokens }) => new ChatGoogleGenerativeAI({
+            ...getModelConfig({ model: chatModel, temperature }),
+            ...(maxTokens && { maxOutputTokens: maxTokens }),
+        }),
+    },
+    'openai-compatible': {
+        label: 'OpenAI-compatible endpoint',
+        models: null,
+        defaultModel: 'gpt-4o-mini',
+        requiredEnv: 'CHAT_BASE_URL',
+        create: ({ chatModel, temperature, maxTokens }) => new ChatOpenAI({
+            model: chatModel,
+            temperature,
+            ...(maxTokens && { maxTokens }),
+            // Local servers (Ollama, llama.cpp) ignore the key, but the client insists on one
+            apiKey: process.env.CHAT_API_KEY || 'unused',
+            configuration: { baseURL: process.env.CHAT_BASE_URL },
+            streamUsage: true,
+        }),
+    },
+    fake: {
+        label: 'Scripted (tests)',
+        models: ['scripted'],
+        defaultModel: 'scripted',
+        // Canned answers must never reach real users: only under test runners or when explicitly allowed
+        enabled: () => process.env.NODE_ENV === 'test' || process.env.ALLOW_FAKE_CHAT === 'true',
+        disabledReason: 'is only available when NODE_ENV=test or ALLOW_FAKE_CHAT=true',
+        create: () => new ScriptedChatModel({ responses: scriptedResponses() }),
+    },
+};
+
+const MODEL_NAME = /^[\w.:/-]{1,128}$/;
+const TEMPERATURE_RANGE = [0, 2];
+const MAX_TOKENS_LIMIT = 65536;
+
+// Why a provider cannot be chosen right now, or null when it can
+function unavailableReason(provider, definition) {
+    if (definition.requiredEnv && !process.env[definition.requiredEnv]) {
+        return `The ${provider} chat provider needs ${definition.requiredEnv} to be set`;
+    }
+    if (definition.enabled && !definition.enabled()) {
+        return `The ${provider} chat provider ${definition.disabledReason}`;
+    }
+    return null;
+}
+
+// Validate chat overrides (chatProvider, chatModel, temperature, maxTokens; any may be omitted) on top of
+// `current`. Returns { error } or { chat } with all four set.
+export function parseChatChoice(body = {}, current = {}) {
+    const chat = {
+        chatProvider: current.chatProvider ?? 'gemini',
+        chatModel: current.chatModel,
+        temperature: current.temperature ?? PROMPT_CONFIG.temperature,
+        maxTokens: current.maxTokens ?? null,
+    };
+
+    if (body.chatProvider !== undefined || body.chatModel !== undefined || !chat.chatModel) {
+        // Switching provider without naming a model picks that provider's default model
+        const provider = body.chatProvider ?? chat.chatProvider;
+        const definition = Object.hasOwn(CHAT_PROVIDERS, provider) ? CHAT_PROVIDERS[provider] : null;
+        if (!definition) {
+            return { error: `chatProvider must be one of: ${Object.keys(CHAT_PROVIDERS).join(', ')}` };
+        }
+        const unavailable = unavailableReason(provider, definition);
+        if (unavailable) return { error: unavailable };
+        const model = body.chatModel ?? (provider === chat.chatProvider && chat.chatModel ? chat.chatModel : definition.defaultModel);
+        if (definition.models ? !definition.models.includes(model) : !MODEL_NAME.test(model)) {
+            return {
+                error: definition.models
+                    ? `chatModel for ${provider} must be one of: ${definition.models.join(', ')}`
+                    : 'chatModel must be a model name (letters, digits, ".", ":", "/", "-" or "_")',
+            };
+        }
+        chat.chatProvider = provider;
+        chat.chatModel = model;
+    }
+    if (body.temperature !== undefined) {
+        const temperature = Number(body.temperature);
+        if (body.temperature === null || Number.isNaN(temperature) || temperature < TEMPERATURE_RANGE[0] || temperature > TEMPERATURE_RANGE[1]) {
+            return { error: `temperature must be a number between ${TEMPERATURE_RANGE[0]} and ${TEMPERATURE_RANGE[1]}` };
+        }
+        chat.temperature = temperature;
+    }
+    if (body.maxTokens !== undefined) {
+        // null (or 0) leaves the limit to the provider
+        const maxTokens = body.maxTokens === null ? 0 : Number(body.maxTokens);
+        if (!Number.isInteger(maxTokens) || maxTokens < 0 || maxTokens > MAX_TOKENS_LIMIT) {
+            return { error: `maxTokens must be an integer between 1 and ${MAX_TOKENS_LIMIT}, or null for the provider's default` };
+        }
+        chat.maxTokens = maxTokens || null;
+    }
+    return { chat };
+}
+
+export function createChatModel(chat) {
+    return CHAT_PROVIDERS[chat.chatProvider].create(chat);
+}
+
+// Provider catalogue for the settings API (without the factories)
+export function describeChatProviders() {
+    return Object.fromEntries(Object.entries(CHAT_PROVIDERS).map(([id, definition]) => [
+        id,
+        { label: definition.label, models: definition.models, defaultModel: definition.defaultModel, available: !unavailableReason(id, definition) },
+    ]));
+}
+
+// Adds up the token usage every model call of one request reports (question condensing and the answer);
+// `usage` stays null when the provider reports none
+export class UsageTracker extends BaseCallbackHandler {
+    name = 'usage-tracker';
+
+    usage = null;
+
+    handleLLMEnd(output) {
+        for (const generation of output.generations.flat()) {
+            const reported = generation.message?.usage_metadata;
+            if (!reported) continue;
+            this.usage ??= { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+            this.usage.inputTokens += reported.input_tokens || 0;
+            this.usage.outputTokens += reported.output_tokens || 0;
+            this.usage.totalTokens += reported.total_tokens || 0;
+        }
+    }
+}
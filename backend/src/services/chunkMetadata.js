@@ -0,0 +1,87 @@
+import path from 'path';
+
+// MIME types by extension; browsers often report these as application/octet-stream (or, for CSV on
+// Windows, application/vnd.ms-excel), so a known extension wins over the reported type
+const MIME_TYPES_BY_EXTENSION = {
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.csv': 'text/csv',
+    '.vtt': 'text/vtt',
+    '.srt': 'application/x-subrip',
+    '.pdf': 'application/pdf',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.xls': 'application/vnd.ms-excel',
+    '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+};
+
+export function detectMimeType(fileName, reportedType) {
+    return MIME_TYPES_BY_EXTENSION[path.extname(fileName || '').toLowerCase()] || reportedType || 'application/octet-stream';
+}
+
+// Metadata every ingestion path stamps on its chunks. `ingestedAt` (epoch ms) is what the date filters compare,
+// since Qdrant's numeric range does not order ISO strings; `timestamp` is the same moment for display.
+export function ingestionMetadata({ opId, mimeType, byteSize }) {
+    const now = new Date();
+    return {
+        timestamp: now.toISOString(),
+        ingestedAt: now.getTime(),
+        opId: opId || null,
+        mimeType: mimeType || null,
+        byteSize: byteSize ?? null,
+    };
+}
+
+// Page number (1-based) containing `offset`, given the offset each page starts at
+function pageAt(pageStarts, offset) {
+    let page = 1;
+    for (let i = 0; i < pageStarts.length && pageStarts[i] <= offset; i++) {
+        page = i + 1;
+    }
+    return page;
+}
+
+// Record where each chunk sits in the original text (charStart/charEnd) and, when page
+// boundaries are known, the page it starts on (and ends on, if it spans a page break).
+// Chunks are located by searching forward, which works because the splitter emits them in order;
+// a chunk that already knows its charStart (segments cut from the text itself) keeps it.
+export function annotateChunkOffsets(text, chunks, { pageStarts = null } = {}) {
+    let cursor = 0;
+    for (const chunk of chunks) {
+        const known = chunk.metadata.charStart;
+        let start = typeof known === 'number' && text.startsWith(chunk.pageContent, known)
+            ? known
+            : text.indexOf(chunk.pageContent, cursor);
+        if (start === -1) start = text.indexOf(chunk.pageContent);
+
+        if (start === -1) {
+            chunk.metadata.charStart = null;
+            chunk.metadata.charEnd = null;
+            continue;
+        }
+
+        const end = start + chunk.pageContent.length;
+        chunk.metadata.charStart = start;
+        chunk.metadata.charEnd = end;
+        cursor = start + 1;
+
+        if (pageStarts) {
+            chunk.metadata.page = pageAt(pageStarts, start);
+            const pageEnd = pageAt(pageStarts, Math.max(start, end - 1));
+            if (pageEnd !== chunk.metadata.page) chunk.metadata.pageEnd = pageEnd;
+        }
+    }
+    return chunks;
+}
+
+// Join per-page texts into one document, remembering where each page starts
+export function joinPages(pages, separator = '\n\n') {
+    const pageStarts = [];
+    let text = '';
+    pages.forEach((pageText, index) => {
+        if (index > 0) text += separator;
+        pageStarts.push(text.length);
+        text += pageText;
+    });
+    return { text, pageStarts };
+}
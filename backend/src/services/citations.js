@@ -0,0 +1,91 @@
+import { Document } from '@langchain/core/documents';
+import { formatTimestamp } from './subtitles.js';
+
+const SNIPPET_LENGTH = 240;
+// Matches [1], [2, 3] and the like
+const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Where a chunk sits inside its source, e.g. "page 3", "pages 3-4", "rows 2-14", "00:12:30–00:13:05"
+// or, for structured text without pages, the heading path ("Guide > Install"); null when unknown
+export function describeLocation(metadata = {}) {
+    if (typeof metadata.startTime === 'number') {
+        return `${formatTimestamp(metadata.startTime)}–${formatTimestamp(metadata.endTime ?? metadata.startTime)}`;
+    }
+    if (typeof metadata.rowStart === 'number') {
+        return metadata.rowEnd !== metadata.rowStart ? `rows ${metadata.rowStart}-${metadata.rowEnd}` : `row ${metadata.rowStart}`;
+    }
+    if (typeof metadata.page !== 'number') return metadata.section || null;
+    if (typeof metadata.pageEnd === 'number' && metadata.pageEnd !== metadata.page) {
+        return `pages ${metadata.page}-${metadata.pageEnd}`;
+    }
+    return `page ${metadata.page}`;
+}
+
+// Number the retrieved chunks so the model can cite them as [1], [2], ... (see CONTEXT_DOCUMENT_PROMPT)
+export function numberContext(docs) {
+    return docs.map((doc, index) => {
+        const title = doc.metadata?.title || doc.metadata?.source || 'Unknown source';
+        const location = describeLocation(doc.metadata);
+        return new Document({
+            pageContent: doc.pageContent,
+            metadata: {
+                ...doc.metadata,
+                citation: index + 1,
+                citationLabel: location ? `${title} (${location})` : title,
+            },
+        });
+    });
+}
+
+// Link to `seconds` into the video: YouTube understands ?t=, other players the #t= media fragment
+export function buildVideoLink(videoUrl, seconds) {
+    if (!videoUrl || typeof seconds !== 'number') return null;
+    try {
+        const url = new URL(videoUrl);
+        const offset = Math.floor(seconds);
+        if (/(^|\.)(youtube\.com|youtu\.be)$/.test(url.hostname)) {
+            url.searchParams.set('t', `${offset}s`);
+        } else {
+            url.hash = `t=${offset}`;
+        }
+        return url.href;
+    } catch {
+        return null;
+    }
+}
+
+function toCitation(id, doc) {
+    const metadata = doc.metadata || {};
+    const text = doc.pageContent.replace(/\s+/g, ' ').trim();
+    return {
+        id,
+        source: metadata.source || null,
+        title: metadata.title || metadata.source || null,
+        page: metadata.page ?? null,
+        pageEnd: metadata.pageEnd ?? null,
+        location: describeLocation(metadata),
+        charStart: metadata.charStart ?? null,
+        charEnd: metadata.charEnd ?? null,
+        startTime: metadata.startTime ?? null,
+        endTime: metadata.endTime ?? null,
+        videoUrl: metadata.videoUrl || null,
+        link: buildVideoLink(metadata.videoUrl, metadata.startTime),
+        relevance: metadata.relevance ?? null,
+        snippet: text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text,
+        quote: doc.pageContent,
+    };
+}
+
+// The numbered chunks the answer actually cites, in marker order; markers outside the context are ignored
+export function extractCitations(answer, docs) {
+    const cited = new Set();
+    for (const match of (answer || '').matchAll(CITATION_MARKER)) {
+        for (const number of match[1].split(',')) {
+            const id = parseInt(number, 10);
+            if (id >= 1 && id <= docs.length) cited.add(id);
+        }
+    }
+    return Array.from(cited)
+        .sort((a, b) => a - b)
+        .map(id => toCitation(id, docs[id - 1]));
+}
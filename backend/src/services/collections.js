@@ -0,0 +1,198 @@
+import { JsonStore } from './jsonStore.js';
+import { parseEmbeddingChoice } from './embeddingProviders.js';
+import { parseChatChoice } from './chatProviders.js';
+import { parseRerankOptions, RERANK_DEFAULTS } from './rerankers.js';
+
+// Embedder for collections without their own settings: EMBEDDING_PROVIDER / EMBEDDING_MODEL, else Google embedding-001
+const defaultEmbedding = parseEmbeddingChoice(process.env.EMBEDDING_PROVIDER || 'google', process.env.EMBEDDING_MODEL || undefined);
+if (defaultEmbedding.error) {
+    throw new Error(`Invalid EMBEDDING_PROVIDER/EMBEDDING_MODEL: ${defaultEmbedding.error}`);
+}
+
+// Chat model likewise: CHAT_PROVIDER / CHAT_MODEL, else Gemini with the persona's model and temperature
+const defaultChat = parseChatChoice({ chatProvider: process.env.CHAT_PROVIDER || 'gemini', chatModel: process.env.CHAT_MODEL || undefined });
+if (defaultChat.error) {
+    throw new Error(`Invalid CHAT_PROVIDER/CHAT_MODEL: ${defaultChat.error}`);
+}
+
+export const DEFAULT_SETTINGS = {
+    chunkSize: 500,
+    chunkOverlap: 200,
+    separators: [
+        '\n\n\n',  // Triple line breaks for major sections
+        '\n\n',    // Double line breaks for paragraphs
+        '\n',      // Single line breaks for lines
+        '. ',      // Sentences
+        '! ',      // Exclamations
+        '? ',      // Questions
+        '; ',      // Semicolons
+        ', ',      // Commas
+        ' ',       // Words
+        ''         // Characters
+    ],
+    embeddingProvider: defaultEmbedding.provider,
+    embeddingModel: defaultEmbedding.model,
+    ...defaultChat.chat,
+    ...RERANK_DEFAULTS,
+};
+
+const CHUNK_SIZE_RANGE = [100, 8000];
+const MAX_SEPARATORS = 20;
+
+// Validate a (partial) settings update on top of `current`. Returns { error } or { settings }.
+export function parseSettings(body = {}, current = DEFAULT_SETTINGS) {
+    const settings = { ...current };
+
+    if (body.chunkSize !== undefined) {
+        const chunkSize = Number(body.chunkSize);
+        if (!Number.isInteger(chunkSize) || chunkSize < CHUNK_SIZE_RANGE[0] || chunkSize > CHUNK_SIZE_RANGE[1]) {
+            return { error: `chunkSize must be an integer between ${CHUNK_SIZE_RANGE[0]} and ${CHUNK_SIZE_RANGE[1]}` };
+        }
+        settings.chunkSize = chunkSize;
+    }
+    if (body.chunkOverlap !== undefined) {
+        const chunkOverlap = Number(body.chunkOverlap);
+        if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0) {
+            return { error: 'chunkOverlap must be a non-negative integer' };
+        }
+        settings.chunkOverlap = chunkOverlap;
+    }
+    if (settings.chunkOverlap >= settings.chunkSize) {
+        return { error: 'chunkOverlap must be smaller than chunkSize' };
+    }
+    if (body.separators !== undefined) {
+        const { separators } = body;
+        if (!Array.isArray(separators) || separators.length === 0 || separators.length > MAX_SEPARATORS
+            || !separators.every(separator => typeof separator === 'string')) {
+            return { error: `separators must be an array of 1-${MAX_SEPARATORS} strings` };
+        }
+        settings.separators = separators;
+    }
+    if (body.embeddingProvider !== undefined || body.embeddingModel !== undefined) {
+        // Switching provider without naming a model picks that provider's default model
+        const provider = body.embeddingProvider ?? settings.embeddingProvider;
+        const model = body.embeddingModel ?? (provider === settings.embeddingProvider ? settings.embeddingModel : undefined);
+        const choice = parseEmbeddingChoice(provider, model);
+        if (choice.error) return { error: choice.error };
+        settings.embeddingProvider = choice.provider;
+        settings.embeddingModel = choice.model;
+    }
+    const { error, chat } = parseChatChoice(body, settings);
+    if (error) return { error };
+    const { error: rerankError, rerank } = parseRerankOptions(body);
+    if (rerankError) return { error: rerankError };
+    return { settings: { ...settings, ...chat, ...rerank } };
+}
+
+const COLLECTION_ID = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+
+// "HR Policies" -> "hr-policies"; the id doubles as the Qdrant collection name
+export function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 63);
+}
+
+// Validate a new knowledge base. Returns { error } or { id, name, settings }.
+export function parseNewCollection(body = {}) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+        return { error: 'Collection name is required' };
+    }
+    const id = body.id ? String(body.id) : slugify(name);
+    if (!COLLECTION_ID.test(id)) {
+        return { error: 'Collection id must be 1-63 lowercase letters, digits, "-" or "_"' };
+    }
+    const { error, settings } = parseSettings(body.settings || {});
+    if (error) return { error };
+    return { id, name, settings };
+}
+
+// A collection's stored entry; own properties only, so ids like "constructor" do not resolve to
+// Object.prototype members
+function storedEntry(data, id) {
+    return Object.hasOwn(data.collections, id) ? data.collections[id] : undefined;
+}
+
+// Registry of knowledge bases (Qdrant collections) with their display name and chunking, embedding, chat
+// and re-ranking settings, persisted in DATA_DIR/collections.json
+class CollectionRegistry {
+    constructor() {
+        this.store = new JsonStore('collections.json', { collections: {} });
+        this.data = null;
+    }
+
+    async load() {
+        this.data ??= await this.store.load();
+        return this.data;
+    }
+
+    async list() {
+        const data = await this.load();
+        return Object.entries(data.collections).map(([id, entry]) => ({ id, name: entry.name || id, createdAt: entry.createdAt || null }));
+    }
+
+    async find(id) {
+        const data = await this.load();
+        const entry = storedEntry(data, id);
+        return entry ? { id, name: entry.name || id, createdAt: entry.createdAt || null } : null;
+    }
+
+    async getSettings(id) {
+        const data = await this.load();
+        const stored = storedEntry(data, id)?.settings;
+        // Settings saved before embedding providers existed always meant Google
+        const legacy = stored?.embeddingModel && !stored.embeddingProvider ? { embeddingProvider: 'google' } : {};
+        return { ...DEFAULT_SETTINGS, ...legacy, ...stored };
+    }
+
+    // True when the collection's embedder is recorded, rather than taken from the EMBEDDING_PROVIDER/EMBEDDING_MODEL defaults
+    async hasPinnedEmbedder(id) {
+        const data = await this.load();
+        return Boolean(storedEntry(data, id)?.settings?.embeddingModel);
+    }
+
+    // Record the embedder a collection's vectors are built with, so changing the env defaults later cannot
+    // switch it to another model. Explicit settings are never overwritten. Returns whether anything was saved.
+    async pinEmbedder(id, { embeddingProvider, embeddingModel }) {
+        if (await this.hasPinnedEmbedder(id)) return false;
+        const data = await this.load();
+        const entry = storedEntry(data, id) || {};
+        data.collections[id] = { ...entry, settings: { ...entry.settings, embeddingProvider, embeddingModel } };
+        await this.store.save(data);
+        return true;
+    }
+
+    async saveSettings(id, settings) {
+        const data = await this.load();
+        data.collections[id] = { ...storedEntry(data, id), settings };
+        await this.store.save(data);
+    }
+
+    async create({ id, name, settings }) {
+        const data = await this.load();
+        data.collections[id] = { name, createdAt: new Date().toISOString(), settings };
+        await this.store.save(data);
+        return this.find(id);
+    }
+
+    // Only the display name changes; the id stays the Qdrant collection name
+    async rename(id, name) {
+        const data = await this.load();
+        data.collections[id] = { ...storedEntry(data, id), name };
+        await this.store.save(data);
+        return this.find(id);
+    }
+
+    async remove(id) {
+        const data = await this.load();
+        delete data.collections[id];
+        await this.store.save(data);
+    }
+}
+
+export default new CollectionRegistry();
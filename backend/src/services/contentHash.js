@@ -0,0 +1,19 @@
+import { createHash } from 'crypto';
+
+// Whitespace-insensitive SHA-256 of extracted text, so reformatting alone does not count as a change
+export function hashContent(text) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+    return createHash('sha256').update(normalized).digest('hex');
+}
+
+// What to do when ingested content is an exact duplicate of something already stored:
+// skip it, replace the stored copy, or keep both
+export const DEDUPE_POLICIES = ['skip', 'replace', 'keep'];
+
+export function parseDedupePolicy(value) {
+    const policy = value || 'skip';
+    if (!DEDUPE_POLICIES.includes(policy)) {
+        return { error: `dedupe must be one of: ${DEDUPE_POLICIES.join(', ')}` };
+    }
+    return { policy };
+}
@@ -0,0 +1,165 @@
+import { compileUrlPattern } from './urlPatterns.js';
+import { parseDedupePolicy } from './contentHash.js';
+
+export const DEFAULT_MAX_PAGES = 50; // Limit to prevent infinite crawling
+export const MAX_PAGES_LIMIT = 1000;
+const SUBDOMAIN_POLICIES = ['same-host', 'include-subdomains'];
+const CRAWL_MODES = ['links', 'sitemap'];
+
+function toPatternList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/\r?\n|,/);
+    return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+function toOptionalInt(value, field, { min, max }) {
+    if (value === undefined || value === null || value === '') return { value: null };
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        return { error: `${field} must be an integer between ${min} and ${max}` };
+    }
+    return { value: number };
+}
+
+// Validate the scope options accepted by /api/crawl. Returns { error } or { options }.
+export function normalizeCrawlOptions(raw = {}) {
+    const maxPages = toOptionalInt(raw.maxPages, 'maxPages', { min: 1, max: MAX_PAGES_LIMIT });
+    if (maxPages.error) return { error: maxPages.error };
+
+    const maxDepth = toOptionalInt(raw.maxDepth, 'maxDepth', { min: 0, max: 100 });
+    if (maxDepth.error) return { error: maxDepth.error };
+
+    const subdomainPolicy = raw.subdomainPolicy || 'same-host';
+    if (!SUBDOMAIN_POLICIES.includes(subdomainPolicy)) {
+        return { error: `subdomainPolicy must be one of: ${SUBDOMAIN_POLICIES.join(', ')}` };
+    }
+
+    let pathPrefix = typeof raw.pathPrefix === 'string' ? raw.pathPrefix.trim() : '';
+    if (pathPrefix && !pathPrefix.startsWith('/')) {
+        pathPrefix = `/${pathPrefix}`;
+    }
+
+    const include = toPatternList(raw.include);
+    const exclude = toPatternList(raw.exclude);
+    for (const pattern of [...include, ...exclude]) {
+        try {
+            compileUrlPattern(pattern);
+        } catch (error) {
+            return { error: `Invalid URL pattern "${pattern}": ${error.message}` };
+        }
+    }
+
+    return {
+        options: {
+            maxPages: maxPages.value,
+            maxDepth: maxDepth.value,
+            pathPrefix: pathPrefix || null,
+            include,
+            exclude,
+            subdomainPolicy,
+            keepQueryStrings: raw.keepQueryStrings === true || raw.keepQueryStrings === 'true',
+        },
+    };
+}
+
+// Only web URLs are crawled; file:, ftp:, javascript: and the like are refused
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Validate a full crawl request body (as sent to /api/crawl or stored with a schedule).
+// Returns { error } or { url, options } ready for ragService.processWebUrl().
+export function parseCrawlRequest(body = {}) {
+    const { url, mode = 'links', sitemapUrl, urlPattern, lastmodAfter, refresh, dedupe } = body;
+    if (!url) {
+        return { error: 'URL is required' };
+    }
+    if (!isHttpUrl(url)) {
+        return { error: 'URL must be an absolute http(s) URL' };
+    }
+    if (sitemapUrl && !isHttpUrl(sitemapUrl)) {
+        return { error: 'sitemapUrl must be an absolute http(s) URL' };
+    }
+    if (!CRAWL_MODES.includes(mode)) {
+        return { error: 'Mode must be "links" or "sitemap"' };
+    }
+    if (lastmodAfter && Number.isNaN(Date.parse(lastmodAfter))) {
+        return { error: 'lastmodAfter must be a valid date' };
+    }
+    if (urlPattern) {
+        try {
+            compileUrlPattern(urlPattern);
+        } catch (error) {
+            return { error: `Invalid urlPattern: ${error.message}` };
+        }
+    }
+
+    const { error, options: scopeOptions } = normalizeCrawlOptions(body);
+    if (error) return { error };
+
+    const dedupePolicy = parseDedupePolicy(dedupe);
+    if (dedupePolicy.error) return { error: dedupePolicy.error };
+
+    return {
+        url,
+        options: {
+            ...scopeOptions,
+            mode,
+            sitemapUrl: sitemapUrl || null,
+            urlPattern: urlPattern || null,
+            lastmodAfter: lastmodAfter || null,
+            // Revalidate previously indexed pages instead of appending a fresh copy
+            refresh: refresh === true || refresh === 'true',
+            dedupe: dedupePolicy.policy,
+        },
+    };
+}
+
+// Crawl scope for one session: decides which discovered URLs are followed and how they are de-duplicated
+export class CrawlScope {
+    constructor(baseUrl, options = {}) {
+        const base = new URL(baseUrl);
+        this.baseHost = base.hostname.toLowerCase();
+        this.rootDomain = this.baseHost.replace(/^www\./, '');
+        this.subdomainPolicy = options.subdomainPolicy || 'same-host';
+        this.pathPrefix = options.pathPrefix || null;
+        this.keepQueryStrings = Boolean(options.keepQueryStrings);
+        this.include = (options.include || []).map(compileUrlPattern);
+        this.exclude = (options.exclude || []).map(compileUrlPattern);
+    }
+
+    // Canonical form used for de-duplication: no fragment, and no query unless it is significant
+    normalize(url) {
+        const urlObj = new URL(url);
+        urlObj.hash = '';
+        if (!this.keepQueryStrings) {
+            urlObj.search = '';
+        }
+        return urlObj.href;
+    }
+
+    isAllowedHost(hostname) {
+        const host = hostname.toLowerCase();
+        if (host === this.baseHost) return true;
+        if (this.subdomainPolicy === 'include-subdomains') {
+            return host === this.rootDomain || host.endsWith(`.${this.rootDomain}`);
+        }
+        return false;
+    }
+
+    // Returns null when the URL is in scope, otherwise the reason it is not
+    check(url) {
+        const urlObj = new URL(url);
+        if (!['http:', 'https:'].includes(urlObj.protocol)) return 'unsupported protocol';
+        if (!this.isAllowedHost(urlObj.hostname)) return 'outside allowed hosts';
+        if (this.pathPrefix && !urlObj.pathname.startsWith(this.pathPrefix)) return `outside path prefix ${this.pathPrefix}`;
+        if (this.include.length > 0 && !this.include.some(pattern => pattern.test(url))) return 'not matched by include rules';
+        const excludedBy = this.exclude.find(pattern => pattern.test(url));
+        if (excludedBy) return `excluded by ${excludedBy.pattern}`;
+        return null;
+    }
+}
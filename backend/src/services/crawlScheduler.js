@@ -0,0 +1,194 @@
+import { randomUUID } from 'crypto';
+import logger from '../config/logger.js';
+import ragService from './ragService.js';
+import { JsonStore } from './jsonStore.js';
+import { parseCrawlRequest } from './crawlOptions.js';
+import { parseCronExpression, nextCronRun, shortestCronGapMinutes } from './cronExpression.js';
+
+const TICK_MS = 60 * 1000; // How often due schedules are checked
+const MIN_INTERVAL_MS = 15 * 60 * 1000;
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Parse a fixed interval like "30m", "6h", "1d" or "2w", or a cron expression like "0 3 * * 1-5".
+// Returns { error } or { nextRun } where nextRun(date) is the first run after that date.
+export function parseInterval(interval) {
+    const text = String(interval || '').trim();
+    const match = /^(\d+)\s*([mhdw])$/i.exec(text);
+    if (match) {
+        const intervalMs = parseInt(match[1], 10) * INTERVAL_UNITS[match[2].toLowerCase()];
+        if (intervalMs < MIN_INTERVAL_MS) {
+            return { error: `Interval must be at least ${MIN_INTERVAL_MS / 60000} minutes` };
+        }
+        return { nextRun: date => new Date(date.getTime() + intervalMs) };
+    }
+
+    if (text.split(/\s+/).length !== 5) {
+        return { error: 'Interval must look like "30m", "6h", "1d" or "1w", or be a cron expression like "0 3 * * *"' };
+    }
+    const { error, cron } = parseCronExpression(text);
+    if (error) return { error };
+    if (shortestCronGapMinutes(cron) < MIN_INTERVAL_MS / 60000) {
+        return { error: `Cron schedules must leave at least ${MIN_INTERVAL_MS / 60000} minutes between runs` };
+    }
+    if (!nextCronRun(cron, new Date())) {
+        return { error: `Cron expression "${text}" never matches a date` };
+    }
+    return { nextRun: date => nextCronRun(cron, date) };
+}
+
+// Re-runs registered crawls in refresh mode on a fixed interval or cron schedule. Schedules persist in DATA_DIR/schedules.json.
+class CrawlScheduler {
+    constructor() {
+        this.store = new JsonStore('schedules.json', { schedules: [] });
+        this.schedules = [];
+        this.running = new Set(); // ids of schedules whose crawl is in progress
+        this.timer = null;
+    }
+
+    async start() {
+        const data = await this.store.load();
+        this.schedules = data.schedules;
+
+        // A run that was in progress when the server stopped will never report back
+        for (const schedule of this.schedules) {
+            if (schedule.lastRun?.status === 'running') {
+                schedule.lastRun = { ...schedule.lastRun, status: 'interrupted' };
+            }
+        }
+
+        this.timer = setInterval(() => this.tick(), TICK_MS);
+        this.timer.unref?.();
+        logger.info(`Crawl scheduler started with ${this.schedules.length} schedule(s)`);
+    }
+
+    persist() {
+        return this.store.save({ schedules: this.schedules });
+    }
+
+    describe(schedule) {
+        return { ...schedule, running: this.running.has(schedule.id) };
+    }
+
+    list() {
+        return this.schedules.map(schedule => this.describe(schedule));
+    }
+
+    find(id) {
+        return this.schedules.find(schedule => schedule.id === id) || null;
+    }
+
+    // Returns { error } or { schedule }
+    async create(body = {}) {
+        const { interval, collection, ...crawlRequest } = body;
+        const parsedInterval = parseInterval(interval);
+        if (parsedInterval.error) return { error: parsedInterval.error };
+        if (collection && !(await ragService.forCollection(collection))) {
+            return { error: `Collection ${collection} not found` };
+        }
+
+        const { error, url, options } = parseCrawlRequest(crawlRequest);
+        if (error) return { error };
+
+        const now = Date.now();
+        const schedule = {
+            id: randomUUID(),
+            url,
+            collection: collection || null, // null: the default collection
+            options: { ...options, refresh: true },
+            interval,
+            paused: false,
+            createdAt: new Date(now).toISOString(),
+            nextRunAt: parsedInterval.nextRun(new Date(now)).toISOString(),
+            lastRun: null,
+        };
+        this.schedules.push(schedule);
+        await this.persist();
+        logger.info(`Scheduled re-sync of ${url} (${interval})`);
+        return { schedule: this.describe(schedule) };
+    }
+
+    // Pause/resume or change the interval. Returns null when the schedule does not exist, otherwise { error } or { schedule }.
+    async update(id, { paused, interval } = {}) {
+        const schedule = this.find(id);
+        if (!schedule) return null;
+
+        if (interval !== undefined) {
+            const parsedInterval = parseInterval(interval);
+            if (parsedInterval.error) return { error: parsedInterval.error };
+            schedule.interval = interval;
+            const lastStart = new Date(schedule.lastRun?.startedAt || schedule.createdAt);
+            schedule.nextRunAt = parsedInterval.nextRun(lastStart).toISOString();
+        }
+        if (paused !== undefined) {
+            schedule.paused = paused === true || paused === 'true';
+        }
+
+        await this.persist();
+        return { schedule: this.describe(schedule) };
+    }
+
+    async remove(id) {
+        const index = this.schedules.findIndex(schedule => schedule.id === id);
+        if (index === -1) return false;
+        this.schedules.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    // Drop the schedules that feed a deleted collection
+    async removeForCollection(collection) {
+        const remaining = this.schedules.filter(schedule => schedule.collection !== collection);
+        if (remaining.length === this.schedules.length) return;
+        this.schedules = remaining;
+        await this.persist();
+    }
+
+    tick() {
+        const now = Date.now();
+        for (const schedule of this.schedules) {
+            if (schedule.paused || this.running.has(schedule.id)) continue;
+            if (Date.parse(schedule.nextRunAt) > now) continue;
+            this.runSchedule(schedule).catch(error => {
+                logger.error(`Scheduled crawl of ${schedule.url} failed to start: ${error.message}`);
+            });
+        }
+    }
+
+    async runSchedule(schedule) {
+        if (this.running.has(schedule.id)) return;
+        this.running.add(schedule.id);
+
+        const startedAt = new Date();
+        schedule.lastRun = { startedAt: startedAt.toISOString(), status: 'running' };
+        schedule.nextRunAt = parseInterval(schedule.interval).nextRun(startedAt).toISOString();
+        await this.persist();
+
+        try {
+            logger.info(`Running scheduled re-sync of ${schedule.url}`);
+            const rag = await ragService.forCollection(schedule.collection);
+            if (!rag) throw new Error(`Collection ${schedule.collection} not found`);
+            const result = await rag.processWebUrl(schedule.url, `schedule_${schedule.id}`, schedule.options);
+            schedule.lastRun = {
+                startedAt: startedAt.toISOString(),
+                finishedAt: new Date().toISOString(),
+                status: 'success',
+                pagesProcessed: result.pagesProcessed,
+                chunksAdded: result.chunksAdded,
+                chunksRemoved: result.chunksRemoved,
+                changes: result.changes,
+            };
+        } catch (error) {
+            schedule.lastRun = {
+                startedAt: startedAt.toISOString(),
+                finishedAt: new Date().toISOString(),
+                status: 'failed',
+                error: error.message,
+            };
+        } finally {
+            this.running.delete(schedule.id);
+            await this.persist();
+        }
+    }
+}
+
+export default new CrawlScheduler();
@@ -0,0 +1,113 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week"), evaluated in the server's time zone.
+// Fields accept *, numbers, ranges (1-5), steps (*/15, 0-30/10), lists (1,15) and month/day names (jan, mon).
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+const NAME_OFFSET = { month: 1, 'day of week': 0 };
+const SEARCH_LIMIT = 5 * 366 * 24; // hours searched for the next match, enough for "29 Feb" schedules
+
+function parseValue(text, field) {
+    const index = field.names?.indexOf(text.toLowerCase()) ?? -1;
+    if (index !== -1) return index + NAME_OFFSET[field.name];
+    if (!/^\d+$/.test(text)) throw new Error(`invalid ${field.name} "${text}"`);
+    const value = parseInt(text, 10);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+            throw new Error(`invalid step "${stepText}" in ${field.name}`);
+        }
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+            if (end < start) throw new Error(`${field.name} range ${range} is reversed`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+// Returns { error } or { cron } with the allowed values of every field
+export function parseCronExpression(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        return { error: 'Cron expressions need 5 fields: minute hour day-of-month month day-of-week' };
+    }
+    try {
+        const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+        // 7 is another name for Sunday
+        if (weekdays.delete(7)) weekdays.add(0);
+        return {
+            cron: {
+                minutes,
+                hours,
+                days,
+                months,
+                weekdays,
+                // As in cron, a restricted day of month and day of week match when either one does
+                anyDay: parts[2] === '*' || parts[4] === '*',
+            },
+        };
+    } catch (error) {
+        return { error: `Invalid cron expression: ${error.message}` };
+    }
+}
+
+function matchesDay(cron, date) {
+    const dayMatches = cron.days.has(date.getDate());
+    const weekdayMatches = cron.weekdays.has(date.getDay());
+    return cron.anyDay ? dayMatches && weekdayMatches : dayMatches || weekdayMatches;
+}
+
+// The first time strictly after `from` that the expression matches, or null if it never does (e.g. 31 Feb)
+export function nextCronRun(cron, from) {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    for (let searched = 0; searched < SEARCH_LIMIT; searched++) {
+        if (cron.months.has(date.getMonth() + 1) && matchesDay(cron, date) && cron.hours.has(date.getHours())) {
+            const minute = [...cron.minutes].sort((a, b) => a - b).find(value => value >= date.getMinutes());
+            if (minute !== undefined) {
+                date.setMinutes(minute);
+                return date;
+            }
+        }
+        date.setHours(date.getHours() + 1, 0);
+    }
+    return null;
+}
+
+// Shortest gap in minutes between two runs: the times of day are the same every day, and skipped days
+// only make gaps longer
+export function shortestCronGapMinutes(cron) {
+    const times = [];
+    for (const hour of [...cron.hours].sort((a, b) => a - b)) {
+        for (const minute of [...cron.minutes].sort((a, b) => a - b)) {
+            times.push(hour * 60 + minute);
+        }
+    }
+    let gap = times[0] + 24 * 60 - times[times.length - 1];
+    for (let i = 1; i < times.length; i++) {
+        gap = Math.min(gap, times[i] - times[i - 1]);
+    }
+    return gap;
+}
@@ -0,0 +1,170 @@
+import { Embeddings } from '@langchain/core/embeddings';
+import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+
+const OPENAI_BATCH_SIZE = 64;
+
+// Any server speaking the OpenAI embeddings API (POST {baseUrl}/embeddings): OpenAI itself,
+// Ollama (http://localhost:11434/v1), llama.cpp's server, vLLM, LM Studio...
+export class OpenAICompatibleEmbeddings extends Embeddings {
+    constructor({ baseUrl, apiKey, model, ...params }) {
+        super(params);
+        if (!baseUrl) {
+            throw new Error('EMBEDDING_BASE_URL must be set to use the openai-compatible embedding provider');
+        }
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+    }
+
+    async embedDocuments(texts) {
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += OPENAI_BATCH_SIZE) {
+            const batch = texts.slice(i, i + OPENAI_BATCH_SIZE);
+            vectors.push(...await this.caller.call(() => this.request(batch)));
+        }
+        return vectors;
+    }
+
+    async embedQuery(text) {
+        const [vector] = await this.caller.call(() => this.request([text]));
+        return vector;
+    }
+
+    async request(input) {
+        const response = await fetch(`${this.baseUrl}/embeddings`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+            },
+            body: JSON.stringify({ model: this.model, input }),
+        });
+        if (!response.ok) {
+            throw new Error(`Embedding request to ${this.baseUrl} failed: HTTP ${response.status} ${(await response.text()).slice(0, 200)}`);
+        }
+        const { data } = await response.json();
+        return data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+    }
+}
+
+// 32-bit FNV-1a
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Deterministic offline embedder: words and word pairs are hashed into signed buckets and the vector is
+// L2-normalised. Needs no key, network or model, so the whole pipeline runs in CI; similarity is lexical
+// (shared words), not semantic.
+export class HashEmbeddings extends Embeddings {
+    constructor({ dimensions = 256, ...params } = {}) {
+        super(params);
+        this.dimensions = dimensions;
+    }
+
+    embed(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = String(text).toLowerCase().normalize('NFKC').match(/[\p{L}\p{N}]+/gu) || [];
+        const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+        for (const feature of features) {
+            const hash = fnv1a(feature);
+            vector[hash % this.dimensions] += fnv1a(`${feature}#`) & 1 ? 1 : -1;
+        }
+        const norm = Math.hypot(...vector);
+        if (norm === 0) {
+            vector[0] = 1; // Qdrant cannot compare zero vectors by cosine
+            return vector;
+        }
+        return vector.map(value => value / norm);
+    }
+
+    async embedDocuments(texts) {
+        return texts.map(text => this.embed(text));
+    }
+
+    async embedQuery(text) {
+        return this.embed(text);
+    }
+}
+
+// Embedding providers selectable per collection. `models` maps known models to their vector size;
+// null means any model name is accepted and its size is found by embedding a probe. A provider can
+// only be chosen once its `requiredEnv` variable is set.
+export const EMBEDDING_PROVIDERS = {
+    google: {
+        label: 'Google Generative AI',
+        models: {
+            'embedding-001': 768,
+            'text-embedding-004': 768,
+            'gemini-embedding-001': 3072,
+        },
+        defaultModel: 'embedding-001',
+        requiredEnv: 'GOOGLE_API_KEY',
+        create: model => new GoogleGenerativeAIEmbeddings({ apiKey: process.env.GOOGLE_API_KEY, model }),
+    },
+    'openai-compatible': {
+        label: 'OpenAI-compatible endpoint',
+        models: null,
+        defaultModel: 'nomic-embed-text',
+        requiredEnv: 'EMBEDDING_BASE_URL',
+        create: model => new OpenAICompatibleEmbeddings({
+            baseUrl: process.env.EMBEDDING_BASE_URL,
+            apiKey: process.env.EMBEDDING_API_KEY,
+            model,
+        }),
+    },
+    hash: {
+        label: 'Local hashing (offline)',
+        models: { 'hash-256': 256, 'hash-768': 768 },
+        defaultModel: 'hash-256',
+        create: model => new HashEmbeddings({ dimensions: parseInt(model.slice('hash-'.length), 10) }),
+    },
+};
+
+const MODEL_NAME = /^[\w.:/-]{1,128}$/;
+
+// Returns { error } or { provider, model }
+export function parseEmbeddingChoice(provider, model) {
+    const definition = Object.hasOwn(EMBEDDING_PROVIDERS, provider) ? EMBEDDING_PROVIDERS[provider] : null;
+    if (!definition) {
+        return { error: `embeddingProvider must be one of: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}` };
+    }
+    if (definition.requiredEnv && !process.env[definition.requiredEnv]) {
+        return { error: `The ${provider} embedding provider needs ${definition.requiredEnv} to be set` };
+    }
+    const chosen = model ?? definition.defaultModel;
+    if (definition.models ? !Object.hasOwn(definition.models, chosen) : !MODEL_NAME.test(chosen)) {
+        return {
+            error: definition.models
+                ? `embeddingModel for ${provider} must be one of: ${Object.keys(definition.models).join(', ')}`
+                : 'embeddingModel must be a model name (letters, digits, ".", ":", "/", "-" or "_")',
+        };
+    }
+    return { provider, model: chosen };
+}
+
+// "google/embedding-001", for messages
+export const embedderName = ({ embeddingProvider, embeddingModel }) => `${embeddingProvider}/${embeddingModel}`;
+
+export function createEmbeddings({ embeddingProvider, embeddingModel }) {
+    return EMBEDDING_PROVIDERS[embeddingProvider].create(embeddingModel);
+}
+
+// Vector size the settings produce: from the provider's model table, or by embedding a probe
+export async function embeddingDimensions(settings) {
+    const known = EMBEDDING_PROVIDERS[settings.embeddingProvider].models?.[settings.embeddingModel];
+    if (known) return known;
+    return (await createEmbeddings(settings).embedQuery('dimension probe')).length;
+}
+
+// Provider catalogue for the settings API (without the factories)
+export function describeEmbeddingProviders() {
+    return Object.fromEntries(Object.entries(EMBEDDING_PROVIDERS).map(([id, { label, models, defaultModel, requiredEnv }]) => [
+        id,
+        { label, models, defaultModel, available: !requiredEnv || Boolean(process.env[requiredEnv]) },
+    ]));
+}
@@ -0,0 +1,173 @@
+import { RETRIEVAL_STRATEGIES } from './retrievalStrategies.js';
+
+// Keyword (BM25) retrieval next to vector search, fused with reciprocal rank fusion.
+// Dense embeddings blur exact identifiers (error codes, function names, config keys); BM25 matches them literally.
+
+export const RETRIEVAL_DEFAULTS = {
+    topK: 4,
+    keywordWeight: 0.5, // share of the fused score that comes from the keyword ranking; 0 = vector only, 1 = keyword only
+    strategy: 'standard',
+};
+
+const TOP_K_RANGE = [1, 50];
+const RRF_K = 60; // the usual RRF damping constant: ranks beyond the first few differ little
+
+const WORD = /[\p{L}\p{N}_]+(?:[.:/-][\p{L}\p{N}_]+)*/gu;
+
+// Lowercased terms of `text`. Compound identifiers are kept whole ("err_conn_refused", "array.prototype.map")
+// and also split into their parts (dots, dashes, underscores, camelCase), so both spellings of a query match.
+export function tokenize(text) {
+    const terms = [];
+    for (const [word] of String(text || '').matchAll(WORD)) {
+        const lower = word.toLowerCase();
+        terms.push(lower);
+        const parts = word
+            .split(/[.:/_-]+|(?<=\p{Ll})(?=\p{Lu})/u)
+            .map(part => part.toLowerCase())
+            .filter(part => part && part !== lower);
+        if (parts.length > 1) terms.push(...parts);
+    }
+    return terms;
+}
+
+// Text of a stored chunk that keyword search sees: title and section as well as the content
+function pointText(point) {
+    const metadata = point.payload?.metadata || {};
+    return [metadata.title, metadata.section, point.payload?.content].filter(Boolean).join('\n');
+}
+
+// In-memory BM25 index over a collection's chunks. It is loaded from Qdrant on first use and from then on kept
+// current by add() and remove(), called as chunks are stored and deleted, so queries never rescan the collection.
+export class KeywordIndex {
+    constructor({ k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.loading = null;
+    }
+
+    // `loadPoints` returns every point of the collection with its payload
+    ensure(loadPoints) {
+        this.loading ??= loadPoints().then(points => {
+            const index = { docs: new Map(), postings: new Map(), totalLength: 0 };
+            for (const point of points) this.insert(index, point);
+            return index;
+        }).catch(error => {
+            this.loading = null;
+            throw error;
+        });
+        return this.loading;
+    }
+
+    // Index newly stored points ({ id, payload }). Before the first search there is nothing to update:
+    // loading reads them from Qdrant.
+    add(points) {
+        this.update(index => points.forEach(point => this.insert(index, point)));
+    }
+
+    remove(ids) {
+        this.update(index => ids.forEach(id => this.delete(index, id)));
+    }
+
+    // Changes queue behind a load in progress; applying them twice is harmless
+    update(change) {
+        if (!this.loading) return;
+        this.loading = this.loading.then(index => {
+            change(index);
+            return index;
+        });
+    }
+
+    insert(index, point) {
+        this.delete(index, point.id);
+        const terms = tokenize(pointText(point));
+        const frequencies = new Map();
+        for (const term of terms) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        index.docs.set(point.id, { length: terms.length, frequencies });
+        index.totalLength += terms.length;
+        for (const term of frequencies.keys()) {
+            if (!index.postings.has(term)) index.postings.set(term, new Set());
+            index.postings.get(term).add(point.id);
+        }
+    }
+
+    delete(index, id) {
+        const doc = index.docs.get(id);
+        if (!doc) return;
+        index.docs.delete(id);
+        index.totalLength -= doc.length;
+        for (const term of doc.frequencies.keys()) {
+            const matching = index.postings.get(term);
+            matching.delete(id);
+            if (matching.size === 0) index.postings.delete(term);
+        }
+    }
+
+    // Point ids ranked by BM25 score for `query`, best first, as [{ id, score }]. `allowedIds` (a Set) limits the
+    // ranking to the points a query's filter admits, so filtered queries rank among their own matches.
+    async search(query, limit, loadPoints, allowedIds = null) {
+        const { docs, postings, totalLength } = await this.ensure(loadPoints);
+        const averageLength = totalLength / (docs.size || 1);
+        const scores = new Map();
+        for (const term of new Set(tokenize(query))) {
+            const matching = postings.get(term);
+            if (!matching) continue;
+            const idf = Math.log(1 + (docs.size - matching.size + 0.5) / (matching.size + 0.5));
+            for (const id of matching) {
+                if (allowedIds && !allowedIds.has(id)) continue;
+                const { length, frequencies } = docs.get(id);
+                const tf = frequencies.get(term);
+                const score = idf * tf * (this.k1 + 1) / (tf + this.k1 * (1 - this.b + this.b * length / (averageLength || 1)));
+                scores.set(id, (scores.get(id) || 0) + score);
+            }
+        }
+        return [...scores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([id, score]) => ({ id, score }));
+    }
+}
+
+// Merge ranked lists of { id, score, ... } hits: each hit earns weight / (RRF_K + rank) from every list it appears in.
+// Returns hits best first, each with its best rank and score per list name and the fused score. Several lists may
+// share a name (e.g. one vector list per query variant).
+export function reciprocalRankFusion(lists) {
+    const fused = new Map();
+    for (const { name, weight, hits } of lists) {
+        hits.forEach((hit, index) => {
+            const rank = index + 1;
+            const entry = fused.get(hit.id) || { id: hit.id, payload: hit.payload, ranks: {}, scores: {}, score: 0 };
+            entry.payload ??= hit.payload;
+            entry.ranks[name] = Math.min(entry.ranks[name] ?? rank, rank);
+            entry.scores[name] = Math.max(entry.scores[name] ?? hit.score, hit.score);
+            entry.score += weight / (RRF_K + rank);
+            fused.set(hit.id, entry);
+        });
+    }
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// Validate the per-query retrieval options. Returns { error } or { retrieval: { topK, keywordWeight, strategy, debug } }.
+export function parseRetrievalOptions(body = {}) {
+    const retrieval = { ...RETRIEVAL_DEFAULTS, debug: body.debug === true || body.debug === 'true' };
+    if (body.topK !== undefined) {
+        const topK = Number(body.topK);
+        if (!Number.isInteger(topK) || topK < TOP_K_RANGE[0] || topK > TOP_K_RANGE[1]) {
+            return { error: `topK must be an integer between ${TOP_K_RANGE[0]} and ${TOP_K_RANGE[1]}` };
+        }
+        retrieval.topK = topK;
+    }
+    if (body.keywordWeight !== undefined) {
+        const keywordWeight = Number(body.keywordWeight);
+        if (body.keywordWeight === null || Number.isNaN(keywordWeight) || keywordWeight < 0 || keywordWeight > 1) {
+            return { error: 'keywordWeight must be a number between 0 (vector search only) and 1 (keyword search only)' };
+        }
+        retrieval.keywordWeight = keywordWeight;
+    }
+    if (body.strategy !== undefined) {
+        if (!RETRIEVAL_STRATEGIES.includes(body.strategy)) {
+            return { error: `strategy must be one of: ${RETRIEVAL_STRATEGIES.join(', ')}` };
+        }
+        retrieval.strategy = body.strategy;
+    }
+    return { retrieval };
+}
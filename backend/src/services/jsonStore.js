@@ -0,0 +1,35 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
+// Small JSON file persisted under DATA_DIR, for state that must survive restarts
+// but does not belong in Qdrant. Writes go through a temp file so a crash never leaves it half-written.
+export class JsonStore {
+    constructor(fileName, defaults) {
+        this.filePath = path.join(DATA_DIR, fileName);
+        this.defaults = defaults;
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return structuredClone(this.defaults);
+            throw error;
+        }
+    }
+
+    // Saves are serialized so concurrent callers cannot interleave partial writes
+    save(data) {
+        const write = async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+            await fs.rename(tempPath, this.filePath);
+        };
+        this.writing = this.writing.then(write, write);
+        return this.writing;
+    }
+}
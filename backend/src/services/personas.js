@@ -0,0 +1,174 @@
+import { JsonStore } from './jsonStore.js';
+import { slugify } from './collections.js';
+import { validateQueryTemplate } from './promptTemplates.js';
+import { PROMPT_CONFIG } from '../config/promptConfig.js';
+import { SYSTEM_PROMPT, QUERY_PROMPT, PLAIN_SYSTEM_PROMPT, PLAIN_QUERY_PROMPT } from '../prompts/systemPrompt.js';
+
+// Tone guidelines appended to a persona's system prompt
+export const TONES = {
+    friendly: 'Keep a warm, approachable and encouraging tone.',
+    casual: 'Keep it conversational and relaxed while staying accurate.',
+    formal: 'Keep a formal, professional tone.',
+    neutral: 'Keep a neutral, matter-of-fact tone without small talk.',
+};
+
+// Personas that ship with the app; they cannot be edited or deleted, only copied into new ones
+const BUILT_IN_PERSONAS = {
+    hitesh: {
+        name: PROMPT_CONFIG.assistantName,
+        description: 'Hinglish teaching style with chai analogies, guiding rather than spoon-feeding',
+        systemPrompt: SYSTEM_PROMPT,
+        queryTemplate: QUERY_PROMPT,
+        tone: PROMPT_CONFIG.responseStyle.tone,
+        language: 'Hinglish',
+        messages: {
+            noContext: PROMPT_CONFIG.errorHandling.noContextMessage,
+            error: 'Arre yaar, kuch gadbad ho gayi. Thodi der baad phir try karo.',
+        },
+    },
+    plain: {
+        name: 'Plain technical assistant',
+        description: 'Neutral, concise English answers with citations and no persona',
+        systemPrompt: PLAIN_SYSTEM_PROMPT,
+        queryTemplate: PLAIN_QUERY_PROMPT,
+        tone: 'neutral',
+        language: 'English',
+        messages: {
+            noContext: 'The knowledge base does not contain information about this. Add a document that covers it and ask again.',
+            error: 'Something went wrong while answering. Please try again.',
+        },
+    },
+};
+
+const PERSONA_ID = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const LIMITS = { name: 80, description: 300, language: 40, systemPrompt: 20000, queryTemplate: 20000, message: 500 };
+
+function checkText(value, field, limit, { required = true } = {}) {
+    if (value === undefined || value === null || value === '') {
+        return required ? `${field} is required` : null;
+    }
+    if (typeof value !== 'string' || value.length > limit) {
+        return `${field} must be a string of at most ${limit} characters`;
+    }
+    return null;
+}
+
+// Validate a new persona or a (partial) update on top of `current`. Returns { error } or { persona }.
+export function parsePersona(body = {}, current = null) {
+    if (body.messages !== undefined && (typeof body.messages !== 'object' || body.messages === null || Array.isArray(body.messages))) {
+        return { error: 'messages must be an object with noContext and error texts' };
+    }
+    const persona = {
+        name: body.name ?? current?.name,
+        description: body.description ?? current?.description ?? '',
+        systemPrompt: body.systemPrompt ?? current?.systemPrompt,
+        queryTemplate: body.queryTemplate ?? current?.queryTemplate,
+        tone: body.tone ?? current?.tone ?? 'neutral',
+        language: body.language ?? current?.language ?? 'English',
+        messages: { ...current?.messages, ...body.messages },
+    };
+    const error = checkText(persona.name?.trim?.(), 'name', LIMITS.name)
+        || checkText(persona.description, 'description', LIMITS.description, { required: false })
+        || checkText(persona.systemPrompt, 'systemPrompt', LIMITS.systemPrompt)
+        || checkText(persona.queryTemplate, 'queryTemplate', LIMITS.queryTemplate)
+        || checkText(persona.language, 'language', LIMITS.language)
+        || checkText(persona.messages.noContext, 'messages.noContext', LIMITS.message)
+        || checkText(persona.messages.error, 'messages.error', LIMITS.message);
+    if (error) return { error };
+    if (!Object.hasOwn(TONES, persona.tone)) {
+        return { error: `tone must be one of: ${Object.keys(TONES).join(', ')}` };
+    }
+    const { errors } = validateQueryTemplate(persona.queryTemplate);
+    if (errors.length > 0) {
+        return { error: errors.join('; ') };
+    }
+    persona.name = persona.name.trim();
+    persona.messages = { noContext: persona.messages.noContext, error: persona.messages.error };
+    return { persona };
+}
+
+// The system message a persona answers with: its own prompt plus its tone and language
+export function personaSystemPrompt(persona) {
+    return `${persona.systemPrompt}\n\n## Tone\n${TONES[persona.tone]}\n\n## Language\nAnswer in ${persona.language}.`;
+}
+
+// Assistant personas selectable per chat session: the built-ins plus custom ones persisted in DATA_DIR/personas.json
+class PersonaRegistry {
+    constructor() {
+        this.store = new JsonStore('personas.json', { personas: {} });
+        this.data = null;
+        // Persona for requests that do not name one
+        this.defaultId = process.env.PERSONA || 'hitesh';
+    }
+
+    async load() {
+        this.data ??= await this.store.load();
+        return this.data;
+    }
+
+    async list() {
+        const data = await this.load();
+        return [
+            ...Object.entries(BUILT_IN_PERSONAS).map(([id, persona]) => ({ id, ...persona, builtIn: true })),
+            ...Object.entries(data.personas).map(([id, persona]) => ({ id, ...persona, builtIn: false })),
+        ];
+    }
+
+    // Own properties only, so ids like "constructor" do not resolve to Object.prototype members
+    async find(id) {
+        if (Object.hasOwn(BUILT_IN_PERSONAS, id)) return { id, ...BUILT_IN_PERSONAS[id], builtIn: true };
+        const data = await this.load();
+        return Object.hasOwn(data.personas, id) ? { id, ...data.personas[id], builtIn: false } : null;
+    }
+
+    async getDefault() {
+        return (await this.find(this.defaultId)) || this.find('hitesh');
+    }
+
+    // Returns { error, conflict? } or { persona }
+    async create(body) {
+        const { error, persona } = parsePersona(body);
+        if (error) return { error };
+        const id = body.id ? String(body.id) : slugify(persona.name);
+        if (!PERSONA_ID.test(id)) {
+            return { error: 'Persona id must be 1-63 lowercase letters, digits, "-" or "_"' };
+        }
+        if (await this.find(id)) {
+            return { error: `Persona ${id} already exists`, conflict: true };
+        }
+        const data = await this.load();
+        data.personas[id] = { ...persona, createdAt: new Date().toISOString() };
+        await this.store.save(data);
+        return { persona: await this.find(id) };
+    }
+
+    // Returns null when the persona does not exist, { error } or { persona }
+    async update(id, body) {
+        const existing = await this.find(id);
+        if (!existing) return null;
+        if (existing.builtIn) {
+            return { error: 'Built-in personas cannot be changed; create a new persona from this one instead' };
+        }
+        const { error, persona } = parsePersona(body, existing);
+        if (error) return { error };
+        const data = await this.load();
+        data.personas[id] = { ...persona, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+        await this.store.save(data);
+        return { persona: await this.find(id) };
+    }
+
+    // Returns null when the persona does not exist, { error } or { success, id }
+    async remove(id) {
+        const existing = await this.find(id);
+        if (!existing) return null;
+        if (existing.builtIn) {
+            return { error: 'Built-in personas cannot be deleted' };
+        }
+        const data = await this.load();
+        delete data.personas[id];
+        await this.store.save(data);
+        return { success: true, id };
+    }
+}
+
+export default new PersonaRegistry();
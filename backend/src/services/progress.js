@@ -10,6 +10,19 @@ function ensureSet(opId) {
     return clients.get(opId);
 }
 
+export function openEventStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders?.();
+}
+
+export function writeEvent(res, event, data) {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${payload}\n\n`);
+}
+
 export function sseHandler(req, res) {
     const { opId } = req.params;
     if (!opId) {
@@ -17,10 +30,7 @@ export function sseHandler(req, res) {
         return;
     }
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders?.();
+    openEventStream(res);
 
     const set = ensureSet(opId);
     set.add(res);
@@ -44,11 +54,9 @@ export function sseHandler(req, res) {
 function broadcast(opId, event, data) {
     const set = clients.get(opId);
     if (!set || set.size === 0) return;
-    const payload = typeof data === 'string' ? data : JSON.stringify(data);
     for (const res of set) {
         try {
-            res.write(`event: ${event}\n`);
-            res.write(`data: ${payload}\n\n`);
+            writeEvent(res, event, data);
         } catch (err) {
             logger.warn(`SSE write failed for opId=${opId}: ${err.message}`);
         }
@@ -0,0 +1,69 @@
+import { parseFString } from '@langchain/core/prompts';
+
+// Variables the answer chain fills into a persona's query template
+export const QUERY_TEMPLATE_VARIABLES = {
+    context: { required: true, description: 'the numbered passages retrieved for the question' },
+    input: { required: true, description: 'the question' },
+    chat_history: { required: false, description: 'the earlier turns of the conversation' },
+};
+
+// Levenshtein distance, to suggest the variable a typo was meant to be
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function suggestVariable(name) {
+    const cleaned = name.trim().toLowerCase();
+    const [closest] = Object.keys(QUERY_TEMPLATE_VARIABLES)
+        .map(variable => ({ variable, distance: editDistance(cleaned, variable) }))
+        .sort((a, b) => a.distance - b.distance);
+    return closest.distance <= 2 ? ` (did you mean {${closest.variable}}?)` : '';
+}
+
+// Check a query template the way ChatPromptTemplate.fromTemplate will read it: balanced braces ("{{" and "}}" for
+// literal ones), {context} and {input} present, and no variables the chain cannot fill (a typo like {contxt} would
+// otherwise only fail when a question is asked). Returns { errors, warnings, variables }; valid when errors is empty.
+export function validateQueryTemplate(template) {
+    if (typeof template !== 'string' || !template.trim()) {
+        return { errors: ['queryTemplate is required'], warnings: [], variables: [] };
+    }
+    let nodes;
+    try {
+        nodes = parseFString(template);
+    } catch (error) {
+        return {
+            errors: [`queryTemplate cannot be parsed: ${error.message} Write literal braces as {{ and }}.`],
+            warnings: [],
+            variables: [],
+        };
+    }
+
+    const variables = [...new Set(nodes.filter(node => node.type === 'variable').map(node => node.name))];
+    const errors = [];
+    for (const name of variables.filter(variable => !Object.hasOwn(QUERY_TEMPLATE_VARIABLES, variable))) {
+        errors.push(`queryTemplate uses unknown variable {${name}}${suggestVariable(name)}; available: ${Object.keys(QUERY_TEMPLATE_VARIABLES).map(variable => `{${variable}}`).join(', ')}`);
+    }
+    for (const [name, { required, description }] of Object.entries(QUERY_TEMPLATE_VARIABLES)) {
+        if (required && !variables.includes(name)) {
+            errors.push(`queryTemplate must contain {${name}} (${description})`);
+        }
+    }
+    const warnings = variables.includes('chat_history')
+        ? []
+        : ['queryTemplate has no {chat_history}: follow-up questions are answered without the earlier turns'];
+    return { errors, warnings, variables };
+}
+
+// The system prompt is sent as written, so placeholders in it are not filled in
+export function systemPromptWarnings(systemPrompt) {
+    const placeholders = [...new Set(String(systemPrompt || '').match(/\{\s*(?:context|input|chat_history)\s*\}/g) || [])];
+    return placeholders.map(placeholder => `systemPrompt is sent as written: ${placeholder} in it is not filled in (use the query template for that)`);
+}
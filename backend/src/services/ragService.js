@@ -1,12 +1,13 @@
+import { randomUUID } from 'crypto';
+
 // Core LangChain imports
-import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
 import { QdrantVectorStore } from '@langchain/community/vectorstores/qdrant';
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
 import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
 import { createStuffDocumentsChain } from 'langchain/chains/combine_documents';
-import { createRetrievalChain } from 'langchain/chains/retrieval';
-import { ChatPromptTemplate } from '@langchain/core/prompts';
+import { ChatPromptTemplate, PromptTemplate } from '@langchain/core/prompts';
+import { StringOutputParser } from '@langchain/core/output_parsers';
 import { Document } from '@langchain/core/documents';
+import { SystemMessage } from '@langchain/core/messages';
 
 // Replace LangChain loaders with lightweight parsing utilities
 import * as cheerio from 'cheerio';
@@ -16,92 +17,195 @@ import mammoth from 'mammoth';
 import logger from '../config/logger.js';
 import { emitProgress, emitDone } from './progress.js';
 import websiteCrawler from './websiteCrawler.js';
-import { SYSTEM_PROMPT, QUERY_PROMPT } from '../prompts/systemPrompt.js';
-import { getModelConfig } from '../config/promptConfig.js';
+import { buildRetrievalFilter } from './retrievalFilter.js';
+import { KeywordIndex, reciprocalRankFusion, RETRIEVAL_DEFAULTS } from './hybridSearch.js';
+import { scoreRelevance, describeRerankers } from './rerankers.js';
+import { planSearches, mergeChunks } from './retrievalStrategies.js';
+import { mapReduceSummary, compareSources } from './summarization.js';
+import personas, { personaSystemPrompt } from './personas.js';
+import { normalizeHistory, formatChatHistory } from './chatHistory.js';
+import { hashContent } from './contentHash.js';
+import { numberContext, extractCitations } from './citations.js';
+import { parseSubtitles, groupCues, renderTranscript } from './subtitles.js';
+import { parseCsv, readWorkbook, tableSegments } from './tabular.js';
+import { htmlToMarkdown, markdownSegments, embeddingText } from './structuredText.js';
+import collections, { DEFAULT_SETTINGS, parseSettings, parseNewCollection } from './collections.js';
+import { createEmbeddings, embeddingDimensions, embedderName, describeEmbeddingProviders } from './embeddingProviders.js';
+import { parseChatChoice, createChatModel, describeChatProviders, UsageTracker } from './chatProviders.js';
+import { detectMimeType, ingestionMetadata, annotateChunkOffsets, joinPages } from './chunkMetadata.js';
+import { CONDENSE_QUESTION_PROMPT, CONTEXT_DOCUMENT_PROMPT } from '../prompts/systemPrompt.js';
+
+const SPREADSHEET_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel',
+  'application/vnd.oasis.opendocument.spreadsheet',
+];
+
+// The chat model an answer came from, as reported in responses
+const describeModel = chat => ({ provider: chat.chatProvider, name: chat.chatModel, temperature: chat.temperature, maxTokens: chat.maxTokens });
 
 class RAGService {
   constructor() {
     this.collectionName = process.env.QDRANT_COLLECTION || 'documents';
     this.isUsingCloud = false;
     this.cloudConfig = null;
+    this.qdrantConnection = { url: process.env.QDRANT_URL };
+    this.views = new Map(); // collection id -> service bound to that collection (see forCollection)
 
-    this.embeddings = new GoogleGenerativeAIEmbeddings({
-      apiKey: process.env.GOOGLE_API_KEY,
-      model: 'embedding-001',
-    });
+    // Replaced by the collection's stored settings in loadSettings()
+    this.applySettings(DEFAULT_SETTINGS);
+  }
+
+  // Build the embedder, splitter and vector store from a collection's chunking/embedding settings
+  applySettings(settings) {
+    this.settings = settings;
+
+    this.embeddings = createEmbeddings(settings);
 
     this.vectorStore = new QdrantVectorStore(this.embeddings, {
-      url: process.env.QDRANT_URL,
+      ...this.qdrantConnection,
       collectionName: this.collectionName,
     });
-
-    this.chatModel = new ChatGoogleGenerativeAI(getModelConfig());
+    this.keywordIndex = new KeywordIndex();
+    // Embedder last confirmed to match the stored vectors (see checkEmbedder)
+    this.verifiedEmbedder = null;
 
     this.textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 500,
-      chunkOverlap: 200,
-      separators: [
-        '\n\n\n',  // Triple line breaks for major sections
-        '\n\n',    // Double line breaks for paragraphs
-        '\n',      // Single line breaks for lines
-        '. ',      // Sentences
-        '! ',      // Exclamations
-        '? ',      // Questions
-        '; ',      // Semicolons
-        ', ',      // Commas
-        ' ',       // Words
-        ''         // Characters
-      ],
+      chunkSize: settings.chunkSize,
+      chunkOverlap: settings.chunkOverlap,
+      separators: settings.separators,
     });
   }
 
-  // Helper function to process subtitle files with better structure preservation
-  processSubtitleContent(content, fileType, removeTimestamps) {
-    const lines = content.split('\n');
-    const processedLines = [];
+  async loadSettings() {
+    this.applySettings(await collections.getSettings(this.collectionName));
+    logger.info(`Using settings for collection ${this.collectionName}: ${embedderName(this.settings)}, chunks of ${this.settings.chunkSize}/${this.settings.chunkOverlap}, chat ${this.settings.chatProvider}/${this.settings.chatModel}`);
+  }
 
-    if (fileType === 'vtt') {
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
+  // The service bound to another knowledge base: an object inheriting every method from this one, with its
+  // own collection name, settings, embedder, splitter and vector store. The default
+  // collection is this service itself; ids that are not registered resolve to null.
+  async forCollection(id) {
+    if (!id || id === this.collectionName) return this;
+    if (!this.views.has(id)) {
+      if (!(await collections.find(id))) return null;
+      const view = Object.create(this);
+      view.collectionName = id;
+      await view.loadSettings();
+      this.views.set(id, view);
+    }
+    return this.views.get(id);
+  }
 
-        if (removeTimestamps) {
-          // Skip timestamp lines, WEBVTT header, sequence numbers, and empty lines
-          if (line &&
-            !line.includes('-->') &&
-            !line.startsWith('WEBVTT') &&
-            !line.match(/^\d+$/) &&
-            !line.match(/^\d{2}:\d{2}:\d{2}\.\d{3}/)) {
-            processedLines.push(line);
-          }
-        } else {
-          // Keep all lines except WEBVTT header and empty lines
-          if (line && !line.startsWith('WEBVTT')) {
-            processedLines.push(line);
-          }
-        }
-      }
-    } else if (fileType === 'srt') {
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-
-        if (removeTimestamps) {
-          // Skip timestamp lines, sequence numbers, and empty lines
-          if (line &&
-            !line.includes('-->') &&
-            !line.match(/^\d+$/) &&
-            !line.match(/^\d{2}:\d{2}:\d{2},\d{3}/)) {
-            processedLines.push(line);
-          }
-        } else {
-          // Keep all lines except empty lines
-          if (line) {
-            processedLines.push(line);
-          }
+  async describeKnowledgeBase(id, name) {
+    const rag = await this.forCollection(id);
+    return {
+      id,
+      name,
+      isDefault: id === this.collectionName,
+      embeddingProvider: rag.settings.embeddingProvider,
+      embeddingModel: rag.settings.embeddingModel,
+      stored: await rag.describeCollection(),
+    };
+  }
+
+  async listCollections() {
+    const registered = await collections.list();
+    const defaultEntry = registered.find(entry => entry.id === this.collectionName);
+    const entries = [
+      { id: this.collectionName, name: defaultEntry?.name || this.collectionName },
+      ...registered.filter(entry => entry.id !== this.collectionName),
+    ];
+    return {
+      success: true,
+      defaultCollection: this.collectionName,
+      collections: await Promise.all(entries.map(entry => this.describeKnowledgeBase(entry.id, entry.name))),
+    };
+  }
+
+  // Returns { error } (with `conflict` when the id is taken) or the new knowledge base. The Qdrant
+  // collection itself is created on the first ingestion, at the size of the chosen embedding model.
+  async createCollection(body) {
+    const { error, id, name, settings } = parseNewCollection(body);
+    if (error) return { error };
+    if (id === this.collectionName || await collections.find(id)) {
+      return { error: `Collection ${id} already exists`, conflict: true };
+    }
+    await collections.create({ id, name, settings });
+    logger.info(`Created knowledge base ${id} (${name})`);
+    return { success: true, collection: await this.describeKnowledgeBase(id, name) };
+  }
+
+  // Returns null when the collection does not exist, otherwise { error } or the renamed knowledge base
+  async renameCollection(id, name) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Collection name is required' };
+    if (!(await this.forCollection(id))) return null;
+    const entry = await collections.rename(id, name.trim());
+    return { success: true, collection: await this.describeKnowledgeBase(id, entry.name) };
+  }
+
+  // Deletes the Qdrant collection with all its documents. Returns null when it does not exist, otherwise { error } or success.
+  async removeCollection(id) {
+    if (id === this.collectionName) return { error: 'The default collection cannot be deleted' };
+    const rag = await this.forCollection(id);
+    if (!rag) return null;
+    if (await rag.describeCollection()) {
+      await rag.vectorStore.client.deleteCollection(id);
+    }
+    await collections.remove(id);
+    this.views.delete(id);
+    logger.info(`Deleted knowledge base ${id}`);
+    return { success: true, id };
+  }
+
+  // Vector size and point count of the current collection, or null if it has not been created yet
+  async describeCollection() {
+    const { exists } = await this.vectorStore.client.collectionExists(this.collectionName);
+    if (!exists) return null;
+    const info = await this.vectorStore.client.getCollection(this.collectionName);
+    return { vectorSize: info.config.params.vectors.size, pointsCount: info.points_count ?? 0 };
+  }
+
+  async getSettings() {
+    return {
+      success: true,
+      collection: this.collectionName,
+      settings: this.settings,
+      defaults: DEFAULT_SETTINGS,
+      embeddingProviders: describeEmbeddingProviders(),
+      chatProviders: describeChatProviders(),
+      rerankers: describeRerankers(),
+      stored: await this.describeCollection(),
+    };
+  }
+
+  // Returns { error } (with `conflict` when the new embedder cannot share the collection) or the new settings
+  async updateSettings(body) {
+    const { error, settings } = parseSettings(body, this.settings);
+    if (error) return { error };
+
+    let warning = null;
+    if (embedderName(settings) !== embedderName(this.settings)) {
+      const stored = await this.describeCollection();
+      const dimensions = await embeddingDimensions(settings);
+      if (stored && stored.pointsCount > 0) {
+        if (stored.vectorSize !== dimensions) {
+          return {
+            error: `${embedderName(settings)} produces ${dimensions}-dimensional vectors but ${this.collectionName} holds ${stored.vectorSize}-dimensional ones; delete its documents or use another collection`,
+            conflict: true,
+          };
         }
+        warning = `Existing chunks were embedded with ${embedderName(this.settings)}; re-ingest them so queries compare like with like`;
+      } else if (stored && stored.vectorSize !== dimensions) {
+        // Nothing stored yet: drop the empty collection so the next ingestion recreates it at the new size
+        await this.vectorStore.client.deleteCollection(this.collectionName);
       }
     }
 
-    return processedLines.join('\n');
+    await collections.saveSettings(this.collectionName, settings);
+    this.applySettings(settings);
+    logger.info(`Updated settings for collection ${this.collectionName}`);
+    return { success: true, collection: this.collectionName, settings, warning };
   }
 
   // Helper function to improve text formatting for better readability
@@ -178,65 +282,262 @@ class RAGService {
     return formattedText.trim();
   }
 
-  async processWebUrl(url, opId) {
+  // Page through every point matching `filter` (a single scroll call stops at its limit)
+  async scrollAllPoints(filter, { withPayload = true } = {}) {
+    const points = [];
+    let offset;
+    do {
+      const page = await this.vectorStore.client.scroll(this.collectionName, {
+        filter,
+        limit: 256,
+        offset,
+        with_payload: withPayload,
+        with_vectors: false,
+      });
+      points.push(...(page.points || []));
+      offset = page.next_page_offset ?? undefined;
+    } while (offset !== undefined);
+    return points;
+  }
+
+  // Pages stored by earlier crawls of `crawlRoot`, keyed by page URL, with the validators needed to revalidate them.
+  // Chunks ingested before crawlRoot was recorded are matched by origin so a first refresh replaces them.
+  async getIndexedPages(crawlRoot) {
+    const { origin } = new URL(crawlRoot);
+    // A knowledge base's collection is only created on its first ingestion; scrolling a missing one fails
+    await this.vectorStore.ensureCollection();
+    const points = await this.scrollAllPoints({
+      should: [
+        { key: 'metadata.crawlRoot', match: { value: crawlRoot } },
+        { is_empty: { key: 'metadata.crawlRoot' } },
+      ],
+    });
+
+    const pages = new Map();
+    for (const point of points) {
+      const metadata = point.payload?.metadata || {};
+      if (!metadata.source) continue;
+      if (!metadata.crawlRoot && !metadata.source.startsWith(`${origin}/`)) continue;
+
+      if (!pages.has(metadata.source)) {
+        pages.set(metadata.source, {
+          etag: metadata.etag || null,
+          lastModified: metadata.lastModified || null,
+          docHash: metadata.docHash || metadata.contentHash || null,
+          depth: metadata.crawlDepth ?? 0,
+          pointIds: [],
+        });
+      }
+      const page = pages.get(metadata.source);
+      // Mixed chunk generations (e.g. legacy duplicates) never count as unchanged
+      if ((metadata.docHash || metadata.contentHash || null) !== page.docHash) page.docHash = null;
+      page.pointIds.push(point.id);
+    }
+    return pages;
+  }
+
+  // Chunk one document, stamping docHash/chunkHash, and apply the duplicate policy (see DEDUPE_POLICIES).
+  // Returns the chunks to store, the ids of stored points they replace and the decision for reporting.
+  // `replacing` lists points the caller deletes anyway (an older version of the same page), which never count as duplicates.
+  // `segments` ({ text, metadata }) replace the generic splitter when the caller already knows the chunk boundaries.
+  async prepareChunks(doc, policy = 'skip', { replacing = [], pageStarts = null, segments = null } = {}) {
+    const docHash = hashContent(doc.pageContent);
+    doc.metadata.docHash = docHash;
+
+    const replacingIds = new Set(replacing);
+    await this.vectorStore.ensureCollection();
+    const existing = (await this.scrollAllPoints({
+      must: [{ key: 'metadata.docHash', match: { value: docHash } }],
+    })).filter(point => !replacingIds.has(point.id));
+    const duplicateOf = existing[0]?.payload?.metadata?.source || null;
+    if (existing.length > 0 && policy === 'skip') {
+      return { decision: 'skipped', duplicateOf, chunks: [], staleIds: [], chunksSkipped: 0 };
+    }
+
+    const split = segments
+      ? segments.map(segment => new Document({ pageContent: segment.text, metadata: { ...doc.metadata, ...segment.metadata } }))
+      : await this.textSplitter.splitDocuments([doc]);
+    const chunks = annotateChunkOffsets(doc.pageContent, split, { pageStarts });
+    for (const chunk of chunks) {
+      chunk.metadata.chunkHash = hashContent(chunk.pageContent);
+    }
+
+    // Repeated passages inside one document (boilerplate, repeated headers) are stored once. Chunks shared
+    // with other documents are kept, so deleting one document never leaves another with gaps.
+    let uniqueChunks = chunks;
+    if (policy !== 'keep') {
+      const seen = new Set();
+      uniqueChunks = chunks.filter(chunk => {
+        if (seen.has(chunk.metadata.chunkHash)) return false;
+        seen.add(chunk.metadata.chunkHash);
+        return true;
+      });
+    }
+
+    let decision = 'added';
+    if (existing.length > 0) {
+      decision = policy === 'replace' ? 'replaced' : 'kept-duplicate';
+    }
+    return {
+      decision,
+      duplicateOf,
+      chunks: uniqueChunks,
+      staleIds: policy === 'replace' ? existing.map(point => point.id) : [],
+      chunksSkipped: chunks.length - uniqueChunks.length,
+    };
+  }
+
+  async processWebUrl(url, opId, options = {}) {
     try {
       logger.info(`Processing website: ${url}`);
-      emitProgress?.(opId, 'Starting recursive website crawl...');
 
-      // Use the recursive website crawler
-      const crawlResult = await websiteCrawler.crawlWebsite(url, opId);
+      // Refresh mode revalidates the pages stored by earlier crawls of the same root URL
+      const crawlRoot = new URL(url).href;
+      const refresh = Boolean(options.refresh);
+      const knownPages = refresh ? await this.getIndexedPages(crawlRoot) : new Map();
+      if (refresh) {
+        emitProgress?.(opId, `Refreshing ${knownPages.size} previously indexed pages...`);
+      }
+      const crawlOptions = { ...options, knownPages };
+
+      // Sitemap mode ingests the pages listed in sitemap.xml; otherwise follow links recursively
+      let crawlResult;
+      if (options.mode === 'sitemap') {
+        emitProgress?.(opId, 'Starting sitemap-driven crawl...');
+        crawlResult = await websiteCrawler.crawlSitemap(url, opId, crawlOptions);
+      } else {
+        emitProgress?.(opId, 'Starting recursive website crawl...');
+        crawlResult = await websiteCrawler.crawlWebsite(url, opId, crawlOptions);
+      }
 
-      if (!crawlResult.success || !crawlResult.pages || crawlResult.pages.length === 0) {
-        throw new Error('No pages were successfully crawled');
+      const pagesSeen = crawlResult.pages?.length || 0;
+      if (!crawlResult.success || (pagesSeen === 0 && crawlResult.gone.length === 0)) {
+        const firstSkip = crawlResult.skipped?.[0];
+        throw new Error(firstSkip
+          ? `No pages were successfully crawled (${firstSkip.url}: ${firstSkip.reason})`
+          : 'No pages were successfully crawled');
       }
 
-      emitProgress?.(opId, `Processing ${crawlResult.pages.length} pages for embeddings...`);
+      emitProgress?.(opId, `Processing ${pagesSeen} pages for embeddings...`);
 
-      // Process all crawled pages
-      const allDocs = [];
+      // Only pages that are new or whose text changed get (re-)embedded
+      const policy = options.dedupe || 'skip';
+      const chunks = [];
       const sources = [];
+      const duplicates = [];
+      const changes = { added: 0, updated: 0, unchanged: 0, skipped: 0, removed: 0 };
+      const staleIds = [];
 
-      for (let i = 0; i < crawlResult.pages.length; i++) {
+      for (let i = 0; i < pagesSeen; i++) {
         const page = crawlResult.pages[i];
-        emitProgress?.(opId, `Processing page ${i + 1}/${crawlResult.pages.length}: ${page.title}`);
+        const known = knownPages.get(page.url);
+
+        if (page.notModified) {
+          changes.unchanged++;
+          continue;
+        }
+        emitProgress?.(opId, `Processing page ${i + 1}/${pagesSeen}: ${page.title}`);
 
         if (page.textContent && page.textContent.trim()) {
+          if (known && known.docHash === hashContent(page.textContent)) {
+            changes.unchanged++;
+            continue;
+          }
+
           const doc = new Document({
             pageContent: page.textContent,
             metadata: {
               source: page.url,
               title: page.title,
               crawlIndex: i,
-              totalPages: crawlResult.pages.length
+              totalPages: pagesSeen,
+              crawlRoot,
+              crawlDepth: page.depth,
+              etag: page.etag || null,
+              lastModified: page.lastModified || null,
+              ...ingestionMetadata({ opId, mimeType: page.mimeType, byteSize: page.byteSize }),
             },
           });
-          allDocs.push(doc);
+          const prepared = await this.prepareChunks(doc, policy, {
+            replacing: known?.pointIds,
+            segments: markdownSegments(page.textContent, { maxChars: this.textSplitter.chunkSize }),
+          });
+          // A page whose new text duplicates another document writes nothing, so its stored chunks stay too
+          if (prepared.decision === 'skipped') {
+            changes.skipped++;
+            duplicates.push({ url: page.url, duplicateOf: prepared.duplicateOf });
+            emitProgress?.(opId, `Skipped ${page.url}: same content as ${prepared.duplicateOf}`);
+            continue;
+          }
+          chunks.push(...prepared.chunks);
+          staleIds.push(...prepared.staleIds);
           sources.push({ url: page.url, title: page.title });
+
+          if (known) {
+            changes.updated++;
+            staleIds.push(...known.pointIds);
+          } else {
+            changes.added++;
+          }
         }
       }
 
-      if (allDocs.length === 0) {
+      // Pages that now answer 404/410, or that dropped out of the sitemap, are removed from the index
+      const goneUrls = new Set(crawlResult.gone);
+      if (crawlResult.listedUrls) {
+        const listed = new Set(crawlResult.listedUrls);
+        for (const pageUrl of knownPages.keys()) {
+          if (!listed.has(pageUrl)) goneUrls.add(pageUrl);
+        }
+      }
+      const removedSources = [];
+      for (const pageUrl of goneUrls) {
+        const known = knownPages.get(pageUrl);
+        if (!known) continue;
+        changes.removed++;
+        removedSources.push(pageUrl);
+        staleIds.push(...known.pointIds);
+      }
+
+      if (chunks.length === 0 && duplicates.length === 0 && !refresh) {
         throw new Error('No extractable content found from crawled pages');
       }
 
-      emitProgress?.(opId, 'Chunking all pages...');
-      const chunks = await this.textSplitter.splitDocuments(allDocs);
+      if (chunks.length > 0) {
+        emitProgress?.(opId, `Storing ${chunks.length} chunks from ${sources.length} pages`);
+        await this.addChunks(chunks);
+      }
+
+      // Old chunks go only after their replacements are stored, so a failed embed never loses a page
+      const removedIds = [...new Set(staleIds)];
+      if (removedIds.length > 0) {
+        emitProgress?.(opId, `Removing ${removedIds.length} outdated chunks`);
+        await this.removePoints(removedIds);
+      }
 
-      emitProgress?.(opId, `Storing ${chunks.length} chunks from ${allDocs.length} pages`);
-      await this.vectorStore.addDocuments(chunks);
+      if (refresh) {
+        emitProgress?.(opId, `Refresh complete: ${changes.added} added, ${changes.updated} updated, ${changes.unchanged} unchanged, ${changes.skipped} skipped, ${changes.removed} removed`);
+      }
 
       logger.info(`Successfully processed and stored content from ${crawlResult.pagesProcessed} pages of ${url}`);
-      emitDone?.(opId, {
+      const summary = {
+        mode: crawlResult.mode,
+        refresh,
         chunksAdded: chunks.length,
+        chunksRemoved: removedIds.length,
         pagesProcessed: crawlResult.pagesProcessed,
-        sources
-      });
+        changes,
+        sources,
+        duplicates,
+        removedSources,
+        skipped: crawlResult.skipped,
+        crawlOptions: crawlResult.options
+      };
+      emitDone?.(opId, summary);
 
       return {
         success: true,
-        chunksAdded: chunks.length,
-        pagesProcessed: crawlResult.pagesProcessed,
-        sources
+        ...summary
       };
     } catch (error) {
       logger.error(`Error processing URL ${url}: ${error.message}`);
@@ -245,11 +546,117 @@ class RAGService {
     }
   }
 
-  async processFile(files, opId, removeTimestamps = false) {
+  // Embed chunks with their heading path in front (see embeddingText); the stored text stays as written
+  async addChunks(chunks) {
+    const vectors = await this.embeddings.embedDocuments(chunks.map(embeddingText));
+    const stored = await this.describeCollection();
+    if (stored && vectors.length > 0 && stored.vectorSize !== vectors[0].length) {
+      throw new Error(`Collection ${this.collectionName} holds ${stored.vectorSize}-dimensional vectors but ${embedderName(this.settings)} produced ${vectors[0].length}`);
+    }
+    for (const chunk of chunks) {
+      chunk.metadata.embeddingProvider = this.settings.embeddingProvider;
+      chunk.metadata.embeddingModel = this.settings.embeddingModel;
+    }
+    // The payload layout QdrantVectorStore uses ({ content, metadata }), but with ids we know, so the keyword
+    // index can take the new chunks without rescanning the collection
+    await this.vectorStore.ensureCollection();
+    const points = vectors.map((vector, index) => ({
+      id: randomUUID(),
+      vector,
+      payload: { content: chunks[index].pageContent, metadata: chunks[index].metadata },
+    }));
+    await this.vectorStore.client.upsert(this.collectionName, { wait: true, points });
+    this.keywordIndex.add(points);
+    if (await collections.pinEmbedder(this.collectionName, this.settings)) {
+      logger.info(`Pinned ${this.collectionName} to ${embedderName(this.settings)}`);
+    }
+  }
+
+  // Queries must be embedded like the stored vectors. A different vector size makes Qdrant reject the search;
+  // a different model of the same size returns unrelated neighbours. The latter is only an error when the
+  // embedder is not pinned (it came from changed env defaults); a deliberate switch via /api/settings warned already.
+  async checkEmbedder() {
+    const name = embedderName(this.settings);
+    if (this.verifiedEmbedder === name) return;
+    const stored = await this.describeCollection();
+    if (!stored || stored.pointsCount === 0) return;
+
+    const dimensions = await embeddingDimensions(this.settings);
+    if (dimensions !== stored.vectorSize) {
+      throw new Error(`${name} produces ${dimensions}-dimensional query vectors but ${this.collectionName} holds ${stored.vectorSize}-dimensional ones; set the embedder it was built with via /api/settings or re-ingest it`);
+    }
+    const { points } = await this.vectorStore.client.scroll(this.collectionName, { limit: 1, with_payload: true, with_vectors: false });
+    const metadata = points?.[0]?.payload?.metadata;
+    // Chunks stored before embedding providers existed were always embedded with Google embedding-001
+    const built = metadata?.embeddingProvider ? metadata : { embeddingProvider: 'google', embeddingModel: 'embedding-001' };
+    if (embedderName(built) !== name && !(await collections.hasPinnedEmbedder(this.collectionName))) {
+      throw new Error(`${this.collectionName} was embedded with ${embedderName(built)} but the default embedder is now ${name}; set embeddingProvider/embeddingModel for it via /api/settings`);
+    }
+    await collections.pinEmbedder(this.collectionName, this.settings);
+    this.verifiedEmbedder = name;
+  }
+
+  async removePoints(ids) {
+    await this.vectorStore.client.delete(this.collectionName, { points: ids });
+    this.keywordIndex.remove(ids);
+  }
+
+  // Store a single extracted document under the duplicate policy and report what happened to it
+  async storeDocument(doc, policy, opId, { pageStarts = null, segments = null } = {}) {
+    const prepared = await this.prepareChunks(doc, policy, { pageStarts, segments });
+    const { source } = doc.metadata;
+
+    if (prepared.decision === 'skipped') {
+      emitProgress?.(opId, `Skipped ${source}: identical content already stored as ${prepared.duplicateOf}`);
+    } else {
+      emitProgress?.(opId, `Storing ${prepared.chunks.length} chunks from ${source}`);
+      if (prepared.chunks.length > 0) {
+        await this.addChunks(prepared.chunks);
+      }
+      if (prepared.staleIds.length > 0) {
+        await this.removePoints(prepared.staleIds);
+      }
+    }
+
+    return {
+      decision: prepared.decision,
+      duplicateOf: prepared.duplicateOf,
+      chunksAdded: prepared.chunks.length,
+      chunksSkipped: prepared.chunksSkipped,
+      chunksRemoved: prepared.staleIds.length,
+    };
+  }
+
+  // Parse a PDF page by page (instead of pdf-parse's concatenated text) so chunks can record their page
+  async extractPdfPages(buffer) {
+    // Dynamic import from the library path to avoid module-side file reads
+    const pdfModule = await import('pdf-parse/lib/pdf-parse.js');
+    const pdfParse = pdfModule.default || pdfModule;
+    const pages = [];
+    const data = await pdfParse(buffer, {
+      // Same text assembly as pdf-parse's default renderer, but kept per page
+      pagerender: async pageData => {
+        const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+        let lastY;
+        let text = '';
+        for (const item of content.items) {
+          text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+          lastY = item.transform[5];
+        }
+        pages[pageData.pageIndex] = text;
+        return text;
+      },
+    });
+    // Pages that failed to render come back empty rather than shifting later page numbers
+    return Array.from({ length: data.numpages }, (_, i) => pages[i] || '');
+  }
+
+  async processFile(files, opId, { removeTimestamps = false, dedupe = 'skip' } = {}) {
     try {
       const fileArray = Array.isArray(files) ? files : [files];
       let totalChunks = 0;
       const allSources = [];
+      const fileResults = [];
 
       for (let i = 0; i < fileArray.length; i++) {
         const file = fileArray[i];
@@ -258,68 +665,95 @@ class RAGService {
         emitProgress?.(opId, `Processing file ${i + 1}/${fileArray.length}: ${originalname}`);
 
         let textContent = '';
-
-        if (mimetype === 'application/pdf') {
+        let pageStarts = null;
+        let pageCount = null;
+        let segments = null;
+        // Spreadsheets yield one part per sheet; everything else is a single part named after the file
+        let parts = null;
+        const mimeType = detectMimeType(originalname, mimetype);
+
+        if (mimeType === 'application/pdf') {
           emitProgress?.(opId, 'Extracting text from PDF');
-          // Dynamic import from the library path to avoid module-side file reads
-          const pdfModule = await import('pdf-parse/lib/pdf-parse.js');
-          const pdfParse = pdfModule.default || pdfModule;
-          const data = await pdfParse(buffer);
-          textContent = data.text || '';
-        } else if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+          const pages = await this.extractPdfPages(buffer);
+          ({ text: textContent, pageStarts } = joinPages(pages));
+          pageCount = pages.length;
+        } else if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
           emitProgress?.(opId, 'Extracting text from DOCX');
-          const result = await mammoth.extractRawText({ buffer });
-          textContent = result.value || '';
-        } else if (mimetype === 'text/plain' || originalname.endsWith('.txt') || originalname.endsWith('.md')) {
+          // The HTML conversion keeps Word's heading styles, which raw text extraction drops
+          const result = await mammoth.convertToHtml({ buffer });
+          textContent = htmlToMarkdown(result.value);
+          segments = markdownSegments(textContent, { maxChars: this.textSplitter.chunkSize });
+        } else if (mimeType === 'text/markdown') {
+          emitProgress?.(opId, 'Reading Markdown file');
+          textContent = buffer.toString('utf8');
+          segments = markdownSegments(textContent, { maxChars: this.textSplitter.chunkSize });
+        } else if (mimeType === 'text/vtt' || mimeType === 'application/x-subrip') {
+          // Before the plain-text branch: browsers often report .vtt/.srt uploads as text/plain
+          const format = mimeType === 'text/vtt' ? 'VTT' : 'SRT';
+          emitProgress?.(opId, `Processing ${format} subtitle file${removeTimestamps ? ' (removing timestamps)' : ' (keeping timestamps)'}`);
+          // Chunks follow cue boundaries and record their time range, whether or not the text keeps timestamps
+          const cues = parseSubtitles(buffer.toString('utf8'));
+          const includeTimestamps = !removeTimestamps;
+          segments = groupCues(cues, { maxChars: this.textSplitter.chunkSize, includeTimestamps })
+            .map(({ text, startTime, endTime }) => ({ text, metadata: { startTime, endTime } }));
+          textContent = renderTranscript(cues, { includeTimestamps });
+        } else if (mimeType === 'text/plain') {
           emitProgress?.(opId, 'Reading text file');
           textContent = buffer.toString('utf8');
-        } else if (mimetype === 'text/csv' || originalname.endsWith('.csv')) {
+        } else if (mimeType === 'text/csv') {
           emitProgress?.(opId, 'Processing CSV file');
-          const csvText = buffer.toString('utf8');
-          // Convert CSV to readable text format
-          const lines = csvText.split('\n');
-          const processedLines = lines.map(line => {
-            // Split by comma and clean up each field
-            const fields = line.split(',').map(field => field.trim().replace(/"/g, ''));
-            return fields.join(' | ');
+          // One chunk per group of rows, each row spelled out as "column: value" pairs
+          const table = tableSegments(parseCsv(buffer), { maxChars: this.textSplitter.chunkSize });
+          textContent = table.text;
+          segments = table.segments.map(({ text, rowStart, rowEnd }) => ({ text, metadata: { rowStart, rowEnd } }));
+        } else if (SPREADSHEET_TYPES.includes(mimeType)) {
+          emitProgress?.(opId, 'Processing spreadsheet');
+          parts = readWorkbook(buffer).map(({ sheet, rows }) => {
+            const table = tableSegments(rows, { maxChars: this.textSplitter.chunkSize });
+            return {
+              source: `${originalname}#${sheet}`,
+              textContent: table.text,
+              segments: table.segments.map(({ text, rowStart, rowEnd }) => ({ text, metadata: { rowStart, rowEnd } })),
+              metadata: { sheet },
+            };
           });
-          textContent = processedLines.join('\n');
-        } else if (originalname.endsWith('.vtt')) {
-          emitProgress?.(opId, `Processing VTT subtitle file${removeTimestamps ? ' (removing timestamps)' : ' (keeping timestamps)'}`);
-          const vttText = buffer.toString('utf8');
-          textContent = this.processSubtitleContent(vttText, 'vtt', removeTimestamps);
-        } else if (originalname.endsWith('.srt')) {
-          emitProgress?.(opId, `Processing SRT subtitle file${removeTimestamps ? ' (removing timestamps)' : ' (keeping timestamps)'}`);
-          const srtText = buffer.toString('utf8');
-          textContent = this.processSubtitleContent(srtText, 'srt', removeTimestamps);
         } else {
           throw new Error(`Unsupported file type: ${mimetype} (${originalname})`);
         }
 
-        if (!textContent || !textContent.trim()) {
+        parts = (parts || [{ source: originalname, textContent, segments, metadata: pageCount !== null ? { pageCount } : {} }])
+          .filter(part => part.textContent && part.textContent.trim());
+        if (parts.length === 0) {
           emitProgress?.(opId, `Warning: No extractable content found in ${originalname}`);
           continue;
         }
 
-        emitProgress?.(opId, `Chunking content from ${originalname}`);
-        const docs = [
-          new Document({ pageContent: textContent, metadata: { source: originalname } }),
-        ];
-        const chunks = await this.textSplitter.splitDocuments(docs);
-        totalChunks += chunks.length;
-        allSources.push({ file: originalname });
-
-        emitProgress?.(opId, `Storing ${chunks.length} chunks from ${originalname}`);
-        await this.vectorStore.addDocuments(chunks);
+        for (const part of parts) {
+          emitProgress?.(opId, `Chunking content from ${part.source}`);
+          const doc = new Document({
+            pageContent: part.textContent,
+            metadata: {
+              source: part.source,
+              ...ingestionMetadata({ opId, mimeType, byteSize: buffer.length }),
+              ...part.metadata,
+            },
+          });
+          const result = await this.storeDocument(doc, dedupe, opId, { pageStarts, segments: part.segments });
+          fileResults.push({ file: part.source, ...result });
+          totalChunks += result.chunksAdded;
+          if (result.decision !== 'skipped') {
+            allSources.push({ file: part.source });
+          }
+        }
       }
 
-      if (totalChunks === 0) {
+      if (fileResults.length === 0) {
         throw new Error('No extractable text content found in any of the uploaded files');
       }
 
       logger.info(`Successfully processed and stored content from ${fileArray.length} files`);
-      emitDone?.(opId, { chunksAdded: totalChunks, sources: allSources });
-      return { success: true, chunksAdded: totalChunks, sources: allSources };
+      emitDone?.(opId, { chunksAdded: totalChunks, sources: allSources, files: fileResults });
+      return { success: true, chunksAdded: totalChunks, sources: allSources, files: fileResults };
     } catch (error) {
       logger.error(`Error processing files: ${error.message}`);
       emitProgress?.(opId, `Error: ${error.message}`);
@@ -327,17 +761,21 @@ class RAGService {
     }
   }
 
-  async processText(text, opId) {
+  async processText(text, opId, { dedupe = 'skip' } = {}) {
     try {
       logger.info(`Processing raw text input.`);
       emitProgress?.(opId, 'Chunking text');
-      const docs = [new Document({ pageContent: text, metadata: { source: 'raw-text' } })];
-      const chunks = await this.textSplitter.splitDocuments(docs);
-      emitProgress?.(opId, `Storing ${chunks.length} chunks`);
-      await this.vectorStore.addDocuments(chunks);
-      logger.info(`Successfully processed and stored raw text input.`);
-      emitDone?.(opId, { chunksAdded: chunks.length, sources: [{ source: 'raw-text' }] });
-      return { success: true, chunksAdded: chunks.length };
+      const doc = new Document({
+        pageContent: text,
+        metadata: {
+          source: 'raw-text',
+          ...ingestionMetadata({ opId, mimeType: 'text/plain', byteSize: Buffer.byteLength(text, 'utf8') }),
+        },
+      });
+      const result = await this.storeDocument(doc, dedupe, opId);
+      logger.info(`Successfully processed raw text input (${result.decision}).`);
+      emitDone?.(opId, { chunksAdded: result.chunksAdded, sources: [{ source: 'raw-text' }], ...result });
+      return { success: true, ...result };
     } catch (error) {
       logger.error(`Error processing raw text: ${error.message}`);
       emitProgress?.(opId, `Error: ${error.message}`);
@@ -345,34 +783,246 @@ class RAGService {
     }
   }
 
-  async query(query) {
-    try {
-      logger.info(`Executing query: ${query}`);
-      const retriever = this.vectorStore.asRetriever();
+  // The chat model settings a query runs with: the collection's, with the request's overrides
+  // (chatProvider, chatModel, temperature, maxTokens). Returns { error } or { chat }.
+  chatSettings(overrides = {}) {
+    return parseChatChoice(overrides, this.settings);
+  }
 
-      const prompt = ChatPromptTemplate.fromTemplate(QUERY_PROMPT);
+  // Hybrid retrieval: vector and BM25 keyword candidates (both honouring the payload filter) fused by reciprocal
+  // rank fusion, then re-ranked and cut at minRelevance (reranker and threshold default to the collection's
+  // settings). keywordWeight 0 or 1 skips the other search. Returns the top documents, each with its `relevance`
+  // in metadata, and a per-hit breakdown. `context` holds the abort signal and, for the LLM judge, the chat model.
+  async retrieve(question, options = {}, { signal, chatModel, callbacks } = {}) {
+    const {
+      filter,
+      topK = RETRIEVAL_DEFAULTS.topK,
+      keywordWeight = RETRIEVAL_DEFAULTS.keywordWeight,
+      strategy = RETRIEVAL_DEFAULTS.strategy,
+      reranker = this.settings.reranker,
+      minRelevance = this.settings.minRelevance,
+    } = options;
+    const candidates = Math.max(topK * 4, 20);
+    await this.vectorStore.ensureCollection();
+    await this.checkEmbedder();
+
+    // Multi-query and HyDE search with generated text; every search adds a vector and a keyword list to the fusion
+    const { searches, details } = await planSearches(strategy, question, chatModel, { signal, callbacks });
+    signal?.throwIfAborted();
+    const lists = [];
+    for (const { vectorText, keywordText } of searches) {
+      if (keywordWeight < 1) {
+        lists.push({ name: 'vector', weight: 1 - keywordWeight, hits: await this.vectorSearch(vectorText, candidates, filter) });
+        signal?.throwIfAborted();
+      }
+      if (keywordWeight > 0) {
+        lists.push({ name: 'keyword', weight: keywordWeight, hits: await this.keywordSearch(keywordText, candidates, filter) });
+        signal?.throwIfAborted();
+      }
+    }
 
-      const documentChain = await createStuffDocumentsChain({
-        llm: this.chatModel,
-        prompt,
-      });
+    // The re-ranker sees a wider pool than topK, so it can promote passages fusion ranked lower
+    let ranked = reciprocalRankFusion(lists).slice(0, reranker === 'none' ? topK : Math.max(topK * 3, 10));
+
+    const relevance = await scoreRelevance(
+      reranker,
+      question,
+      ranked.map(hit => embeddingText({ pageContent: hit.payload?.content ?? '', metadata: hit.payload?.metadata })),
+      { chatModel, config: { signal, callbacks } },
+    );
+    let belowThreshold = 0;
+    if (relevance) {
+      ranked = ranked
+        .map((hit, index) => ({ ...hit, relevance: Math.round(relevance[index] * 1000) / 1000 }))
+        .sort((a, b) => b.relevance - a.relevance);
+      const kept = ranked.filter(hit => hit.relevance >= minRelevance);
+      belowThreshold = ranked.length - kept.length;
+      ranked = kept;
+    }
+    let top = ranked.slice(0, topK);
+    if (strategy === 'parent-document') {
+      top = await this.expandToParents(top);
+    }
+
+    const candidateCount = name => lists.filter(list => list.name === name).reduce((sum, list) => sum + list.hits.length, 0);
+    const debug = {
+      mode: keywordWeight === 0 ? 'vector' : keywordWeight === 1 ? 'keyword' : 'hybrid',
+      strategy,
+      ...details,
+      topK,
+      keywordWeight,
+      reranker,
+      minRelevance: relevance ? minRelevance : null,
+      candidates: { vector: candidateCount('vector'), keyword: candidateCount('keyword') },
+      belowThreshold,
+      results: top.map(hit => ({
+        id: hit.id,
+        source: hit.payload?.metadata?.source ?? null,
+        vectorRank: hit.ranks.vector ?? null,
+        vectorScore: hit.scores.vector ?? null,
+        keywordRank: hit.ranks.keyword ?? null,
+        keywordScore: hit.scores.keyword ?? null,
+        fusedScore: hit.score,
+        relevance: hit.relevance ?? null,
+        ...(hit.parent && { parent: hit.parent }),
+      })),
+    };
+    logger.debug(`Retrieval (${debug.mode}, ${strategy}, keywordWeight ${keywordWeight}, ${reranker} reranker): ${JSON.stringify(debug.results)}`);
+
+    return {
+      documents: top.map(hit => new Document({
+        pageContent: hit.payload?.content ?? '',
+        metadata: { ...hit.payload?.metadata, relevance: hit.relevance ?? null },
+      })),
+      debug,
+    };
+  }
+
+  async vectorSearch(text, limit, filter) {
+    const vector = await this.embeddings.embedQuery(text);
+    return this.vectorStore.client.search(this.collectionName, { vector, limit, filter, with_payload: true });
+  }
+
+  async keywordSearch(text, limit, filter) {
+    // The index spans the whole collection: Qdrant evaluates the query's filter and the ranking is limited to the
+    // points it admits, so a filtered query never loses its keyword matches to better ones outside the filter
+    const allowedIds = filter
+      ? new Set((await this.scrollAllPoints(filter, { withPayload: false })).map(point => point.id))
+      : null;
+    const ranked = await this.keywordIndex.search(text, limit, () => this.scrollAllPoints(), allowedIds);
+    if (ranked.length === 0) return [];
+    const points = await this.scrollAllPoints({ must: [{ has_id: ranked.map(hit => hit.id) }] });
+    const payloads = new Map(points.map(point => [point.id, point.payload]));
+    return ranked
+      .filter(hit => payloads.has(hit.id))
+      .map(hit => ({ ...hit, payload: payloads.get(hit.id) }));
+  }
 
-      const retrievalChain = await createRetrievalChain({
-        combineDocsChain: documentChain,
-        retriever,
+  // Parent-document retrieval: replace each hit with the stretch of its document around it (neighbouring chunks
+  // of the same document and section, up to two chunk lengths either side). Hits already inside an earlier
+  // parent are dropped; chunks without offsets are kept as they are.
+  async expandToParents(hits) {
+    const window = this.textSplitter.chunkSize * 2;
+    const covered = new Set();
+    const expanded = [];
+    for (const hit of hits) {
+      if (covered.has(hit.id)) continue;
+      const metadata = hit.payload?.metadata || {};
+      if (typeof metadata.charStart !== 'number' || !metadata.docHash) {
+        expanded.push(hit);
+        continue;
+      }
+      const neighbours = await this.scrollAllPoints({
+        must: [
+          { key: 'metadata.source', match: { value: metadata.source } },
+          { key: 'metadata.docHash', match: { value: metadata.docHash } },
+          ...(metadata.section ? [{ key: 'metadata.section', match: { value: metadata.section } }] : []),
+          { key: 'metadata.charStart', range: { gte: metadata.charStart - window, lte: metadata.charStart + window } },
+        ],
+      });
+      const chunks = neighbours
+        .filter(point => typeof point.payload?.metadata?.charStart === 'number')
+        .map(point => point.payload);
+      if (!neighbours.some(point => point.id === hit.id)) chunks.push(hit.payload);
+      for (const point of neighbours) covered.add(point.id);
+
+      const parent = mergeChunks(chunks, metadata);
+      expanded.push({
+        ...hit,
+        payload: { ...hit.payload, content: parent.text, metadata: parent.metadata },
+        parent: { charStart: parent.metadata.charStart, charEnd: parent.metadata.charEnd, chunks: parent.metadata.parentChunks },
       });
+    }
+    return expanded;
+  }
+
+  // Rewrite a follow-up into a standalone question so retrieval does not depend on prior turns
+  async condenseQuestion(question, history, chatModel, config) {
+    const prompt = ChatPromptTemplate.fromTemplate(CONDENSE_QUESTION_PROMPT);
+    const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+    const standalone = await chain.invoke({
+      chat_history: formatChatHistory(history),
+      input: question,
+    }, config);
+    return standalone.trim() || question;
+  }
 
-      const result = await retrievalChain.invoke({
+  // Shared by query() and streamQuery(): filter, condense history, retrieve and build the answer chain.
+  // `options.chat` comes from chatSettings() and `options.persona` from the persona registry (the default persona
+  // when absent); the returned tracker collects the token usage of every model call.
+  async prepareAnswer(query, options = {}, signal) {
+    const chat = options.chat || this.chatSettings().chat;
+    const persona = options.persona || await personas.getDefault();
+    const chatModel = createChatModel(chat);
+    const tracker = new UsageTracker();
+
+    const { filter, applied } = buildRetrievalFilter(options);
+    if (applied) {
+      logger.info(`Applying retrieval filter: ${JSON.stringify(applied)}`);
+    }
+
+    const history = normalizeHistory(options.history);
+    const standaloneQuestion = history.length > 0
+      ? await this.condenseQuestion(query, history, chatModel, { signal, callbacks: [tracker] })
+      : query;
+    if (standaloneQuestion !== query) {
+      logger.info(`Rewrote follow-up as: ${standaloneQuestion}`);
+    }
+
+    const retrieval = await this.retrieve(standaloneQuestion, { filter, ...options.retrieval }, { signal, chatModel, callbacks: [tracker] });
+    const context = numberContext(retrieval.documents);
+
+    // The system prompt is passed as a message, not a template, so braces in it are taken literally
+    const prompt = ChatPromptTemplate.fromMessages([
+      new SystemMessage(personaSystemPrompt(persona)),
+      ['human', persona.queryTemplate],
+    ]);
+
+    const documentPrompt = PromptTemplate.fromTemplate(CONTEXT_DOCUMENT_PROMPT);
+    const documentChain = await createStuffDocumentsChain({ llm: chatModel, prompt, documentPrompt });
+
+    return {
+      documentChain,
+      prompt,
+      documentPrompt,
+      tracker,
+      persona,
+      inputs: {
         input: query,
-      });
+        context,
+        chat_history: formatChatHistory(history),
+      },
+      result: {
+        sources: context,
+        filter: applied,
+        standaloneQuestion: history.length > 0 ? standaloneQuestion : undefined,
+        // Nothing cleared the relevance threshold: answer that the knowledge base has nothing instead of asking the model
+        noRelevantContext: context.length === 0,
+        model: describeModel(chat),
+        persona: { id: persona.id, name: persona.name },
+        retrieval: options.retrieval?.debug ? retrieval.debug : undefined,
+      },
+    };
+  }
+
+  async query(query, options = {}) {
+    try {
+      logger.info(`Executing query: ${query}`);
+      const { documentChain, tracker, persona, inputs, result } = await this.prepareAnswer(query, options);
+
+      const answer = result.noRelevantContext
+        ? persona.messages.noContext
+        : await documentChain.invoke(inputs, { callbacks: [tracker] });
 
       // Improve the formatting of the response
-      const formattedResponse = this.improveTextFormatting(result.answer);
+      const formattedResponse = this.improveTextFormatting(answer);
 
       return {
         success: true,
         response: formattedResponse,
-        sources: result.context,
+        citations: extractCitations(answer, result.sources),
+        ...result,
+        usage: tracker.usage,
       };
     } catch (error) {
       logger.error(`Error during query: ${error.message}`);
@@ -380,48 +1030,207 @@ class RAGService {
     }
   }
 
+  // Same as query() but hands sources and answer tokens to the caller as they arrive.
+  // Aborting `signal` stops generation and resolves with the partial answer.
+  async streamQuery(query, options = {}, { signal, onSources, onToken } = {}) {
+    let answer = '';
+    try {
+      logger.info(`Executing streaming query: ${query}`);
+      const { documentChain, tracker, persona, inputs, result } = await this.prepareAnswer(query, options, signal);
+      onSources?.(result.sources);
+
+      if (result.noRelevantContext) {
+        answer = persona.messages.noContext;
+        onToken?.(answer);
+      } else {
+        const stream = await documentChain.stream(inputs, { signal, callbacks: [tracker] });
+        for await (const token of stream) {
+          answer += token;
+          onToken?.(token);
+        }
+      }
+
+      return {
+        success: true,
+        response: this.improveTextFormatting(answer),
+        citations: extractCitations(answer, result.sources),
+        ...result,
+        usage: tracker.usage,
+        aborted: false,
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        logger.info(`Streaming query aborted after ${answer.length} chars`);
+        return { success: true, response: answer, aborted: true };
+      }
+      logger.error(`Error during streaming query: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Every chunk of `source` in document order (chunks without offsets last), as the text the model should read
+  async sourceChunks(source) {
+    const points = await this.scrollAllPoints({ must: [{ key: 'metadata.source', match: { value: source } }] });
+    const position = point => point.payload?.metadata?.charStart ?? Infinity;
+    const ingested = point => point.payload?.metadata?.timestamp || '';
+    return points
+      .sort((a, b) => ingested(a).localeCompare(ingested(b)) || position(a) - position(b))
+      .map(point => ({
+        title: point.payload?.metadata?.title || source,
+        text: embeddingText({ pageContent: point.payload?.content ?? '', metadata: point.payload?.metadata }),
+      }));
+  }
+
+  // Summarize a whole source by map-reduce over all of its chunks. `options.chat` comes from chatSettings();
+  // `options.persona` (default: the default persona) sets the voice, as for answers. Returns null when the source has no chunks.
+  async summarizeSource(source, options = {}) {
+    const chunks = await this.sourceChunks(source);
+    if (chunks.length === 0) return null;
+    const chat = options.chat || this.chatSettings().chat;
+    const persona = options.persona || await personas.getDefault();
+    const tracker = new UsageTracker();
+    logger.info(`Summarizing ${source} (${chunks.length} chunks) as ${persona.id}`);
+
+    const { summary, rounds, calls } = await mapReduceSummary(
+      chunks.map(chunk => chunk.text),
+      createChatModel(chat),
+      { callbacks: [tracker] },
+      { systemPrompt: personaSystemPrompt(persona) },
+    );
+    return {
+      success: true,
+      source,
+      title: chunks[0].title,
+      summary: this.improveTextFormatting(summary),
+      chunks: chunks.length,
+      rounds,
+      calls,
+      model: describeModel(chat),
+      persona: { id: persona.id, name: persona.name },
+      usage: tracker.usage,
+    };
+  }
+
+  // Compare two or more sources, optionally around `options.question`, in the voice of `options.persona`.
+  // Returns { error, notFound: true } naming the sources without chunks.
+  async compareSources(sources, options = {}) {
+    const documents = [];
+    for (const source of sources) {
+      const chunks = await this.sourceChunks(source);
+      documents.push({ source, title: chunks[0]?.title, texts: chunks.map(chunk => chunk.text) });
+    }
+    const missing = documents.filter(document => document.texts.length === 0).map(document => document.source);
+    if (missing.length > 0) {
+      return { error: `No chunks stored for: ${missing.join(', ')}`, notFound: true };
+    }
+    const chat = options.chat || this.chatSettings().chat;
+    const persona = options.persona || await personas.getDefault();
+    const tracker = new UsageTracker();
+    logger.info(`Comparing ${sources.length} sources as ${persona.id}: ${sources.join(', ')}`);
+
+    const { comparison, condensed, calls } = await compareSources(
+      documents,
+      options.question,
+      createChatModel(chat),
+      { callbacks: [tracker] },
+      { systemPrompt: personaSystemPrompt(persona) },
+    );
+    return {
+      success: true,
+      comparison: this.improveTextFormatting(comparison),
+      sources: documents.map(({ source, title, texts }) => ({
+        source,
+        title,
+        chunks: texts.length,
+        // Condensed by map-reduce before comparing (too long to compare on its full text)
+        summarized: condensed.includes(source),
+      })),
+      calls,
+      model: describeModel(chat),
+      persona: { id: persona.id, name: persona.name },
+      usage: tracker.usage,
+    };
+  }
+
+  // Assemble the exact messages a question would be answered with (the persona's system message and its query
+  // template filled with really retrieved context) and, unless `options.generate` is false, answer them as a dry run.
+  // Nothing is stored, so a persona draft (`options.persona`) can be reviewed before it is saved.
+  async previewPrompt(question, options = {}) {
+    const { documentChain, prompt, documentPrompt, tracker, persona, inputs, result } = await this.prepareAnswer(question, options);
+    // Same rendering as the stuff chain: each passage through CONTEXT_DOCUMENT_PROMPT, separated by a blank line
+    const passages = await Promise.all(inputs.context.map(document => documentPrompt.format({
+      ...document.metadata,
+      page_content: document.pageContent,
+    })));
+    const messages = await prompt.formatMessages({ ...inputs, context: passages.join('\n\n') });
+
+    let answer = null;
+    if (options.generate !== false) {
+      answer = result.noRelevantContext
+        ? persona.messages.noContext
+        : this.improveTextFormatting(await documentChain.invoke(inputs, { callbacks: [tracker] }));
+    }
+    return {
+      success: true,
+      prompt: messages.map(message => ({ role: message.getType(), content: message.content })),
+      answer,
+      citations: answer ? extractCitations(answer, result.sources) : [],
+      ...result,
+      usage: tracker.usage,
+    };
+  }
+
   async listDocuments() {
     try {
       logger.info('Listing all documents in collection');
 
       // Get all points from the collection
-      const allPoints = await this.vectorStore.client.scroll(this.collectionName, {
-        limit: 1000, // Adjust if you have more documents
-        with_payload: true,
-        with_vectors: false, // Don't need vectors for listing
-      });
+      const allPoints = await this.scrollAllPoints();
 
       // Extract unique sources from metadata
       const sources = new Map();
 
-      if (allPoints.points) {
-        for (const point of allPoints.points) {
-          if (point.payload && point.payload.metadata) {
-            const metadata = point.payload.metadata;
-            const source = metadata.source || 'Unknown';
-            const title = metadata.title || source;
-
-            if (!sources.has(source)) {
-              sources.set(source, {
-                source,
-                title,
-                chunks: 0,
-                lastUpdated: metadata.timestamp || 'Unknown'
-              });
-            }
-
-            sources.get(source).chunks++;
+      for (const point of allPoints) {
+        if (point.payload && point.payload.metadata) {
+          const metadata = point.payload.metadata;
+          const source = metadata.source || 'Unknown';
+          const title = metadata.title || source;
+
+          if (!sources.has(source)) {
+            sources.set(source, {
+              source,
+              title,
+              chunks: 0,
+              lastUpdated: 'Unknown',
+              mimeType: metadata.mimeType || null,
+              byteSize: metadata.byteSize ?? null,
+              pageCount: metadata.pageCount ?? null,
+              isTranscript: false,
+              videoUrl: null,
+            });
+          }
+
+          const document = sources.get(source);
+          document.chunks++;
+          if (typeof metadata.startTime === 'number') document.isTranscript = true;
+          if (metadata.videoUrl) document.videoUrl = metadata.videoUrl;
+          // A source ingested more than once (e.g. raw text) reports its latest ingestion
+          if (metadata.timestamp && (document.lastUpdated === 'Unknown' || metadata.timestamp > document.lastUpdated)) {
+            document.lastUpdated = metadata.timestamp;
+            document.mimeType = metadata.mimeType || document.mimeType;
+            document.byteSize = metadata.byteSize ?? document.byteSize;
+            document.pageCount = metadata.pageCount ?? document.pageCount;
           }
         }
       }
 
       const documents = Array.from(sources.values());
-      logger.info(`Found ${documents.length} unique documents with ${allPoints.points?.length || 0} total chunks`);
+      logger.info(`Found ${documents.length} unique documents with ${allPoints.length} total chunks`);
 
       return {
         success: true,
         documents,
-        totalChunks: allPoints.points?.length || 0
+        totalChunks: allPoints.length
       };
     } catch (error) {
       logger.error(`Error listing documents: ${error.message}`);
@@ -429,26 +1238,39 @@ class RAGService {
     }
   }
 
+  // Attach (or with a null URL, remove) the video a transcript belongs to, so citations can deep-link into it.
+  // Returns null when no chunks have this source, { error } when it is not a transcript.
+  async setVideoUrl(source, videoUrl) {
+    const filter = { must: [{ key: 'metadata.source', match: { value: source } }] };
+    const points = await this.scrollAllPoints(filter);
+    if (points.length === 0) return null;
+    if (!points.some(point => typeof point.payload?.metadata?.startTime === 'number')) {
+      return { error: `${source} is not a timed transcript (SRT/VTT)` };
+    }
+
+    // `key` updates the nested metadata object instead of replacing it
+    await this.vectorStore.client.setPayload(this.collectionName, {
+      payload: { videoUrl: videoUrl || null },
+      filter,
+      key: 'metadata',
+      wait: true,
+    });
+    logger.info(`${videoUrl ? 'Linked' : 'Unlinked'} video for ${source} (${points.length} chunks)`);
+    return { success: true, source, videoUrl: videoUrl || null, chunksUpdated: points.length };
+  }
+
   async deleteDocument(source) {
     try {
       logger.info(`Deleting document: ${source}`);
 
-      // Get all points from the collection
-      const allPoints = await this.vectorStore.client.scroll(this.collectionName, {
-        limit: 1000,
-        with_payload: true,
-        with_vectors: false,
-      });
-
-      if (!allPoints.points) {
-        throw new Error('No documents found in database');
-      }
+      // Get all points from the collection (every page, so large documents are deleted completely)
+      const allPoints = await this.scrollAllPoints();
 
       // Find points that match the source (with flexible matching)
       const pointsToDelete = [];
       const normalizedSource = decodeURIComponent(source).toLowerCase();
 
-      for (const point of allPoints.points) {
+      for (const point of allPoints) {
         if (point.payload && point.payload.metadata && point.payload.metadata.source) {
           const storedSource = decodeURIComponent(point.payload.metadata.source).toLowerCase();
 
@@ -465,7 +1287,7 @@ class RAGService {
       if (pointsToDelete.length === 0) {
         // Log available sources for debugging
         const availableSources = new Set();
-        for (const point of allPoints.points) {
+        for (const point of allPoints) {
           if (point.payload && point.payload.metadata && point.payload.metadata.source) {
             availableSources.add(point.payload.metadata.source);
           }
@@ -475,9 +1297,7 @@ class RAGService {
       }
 
       // Delete the points
-      await this.vectorStore.client.delete(this.collectionName, {
-        points: pointsToDelete
-      });
+      await this.removePoints(pointsToDelete);
 
       logger.info(`Successfully deleted ${pointsToDelete.length} chunks for source: ${source}`);
 
@@ -507,11 +1327,13 @@ class RAGService {
       // Test the connection by trying to list collections
       await cloudVectorStore.client.getCollections();
 
-      // If successful, update the current vector store
-      this.vectorStore = cloudVectorStore;
+      // If successful, switch to the cloud collection and its settings
+      this.qdrantConnection = { url, apiKey };
       this.collectionName = collectionName;
       this.isUsingCloud = true;
       this.cloudConfig = { url, apiKey, collectionName };
+      this.views.clear();
+      await this.loadSettings();
 
       logger.info(`Successfully connected to Qdrant Cloud at ${url}`);
 
@@ -532,14 +1354,12 @@ class RAGService {
       logger.info('Disconnecting from Qdrant Cloud...');
 
       // Reconnect to local Qdrant
-      this.vectorStore = new QdrantVectorStore(this.embeddings, {
-        url: process.env.QDRANT_URL,
-        collectionName: process.env.QDRANT_COLLECTION || 'documents',
-      });
-
+      this.qdrantConnection = { url: process.env.QDRANT_URL };
       this.isUsingCloud = false;
       this.cloudConfig = null;
       this.collectionName = process.env.QDRANT_COLLECTION || 'documents';
+      this.views.clear();
+      await this.loadSettings();
 
       logger.info('Successfully disconnected from Qdrant Cloud');
 
@@ -0,0 +1,146 @@
+import { ChatPromptTemplate } from '@langchain/core/prompts';
+import { StringOutputParser } from '@langchain/core/output_parsers';
+import { tokenize } from './hybridSearch.js';
+import { RELEVANCE_PROMPT } from '../prompts/systemPrompt.js';
+import logger from '../config/logger.js';
+
+// Function words (English and the Hinglish our users ask in) that say nothing about what a question is about
+const STOPWORDS = new Set(`
+a an the and or but if of to in on at for from by with about as into is are was were be been being do does did
+what which who whom whose when where why how can could should would will shall may might must i me my we our you your
+it its this that these those there here not no yes please tell explain show give me us
+kya hai hain ho hota hoti hote ka ki ke ko se mein me par aur ya ye yeh vo woh wo kaise kyun kyu kab kahan kaun
+batao bataiye samjhao samjhaiye mujhe hum tum aap koi kuch bhi to toh na nahi
+`.trim().split(/\s+/));
+
+const PREFIX_LENGTH = 5;
+const DEFAULT_RERANK_TIMEOUT_MS = 10000;
+
+// Local scorer: the share of the question's content words found in the passage (words of five or more letters
+// also match by prefix, so "configure" finds "configuration"). No network or model involved.
+export function lexicalRelevance(question, passage) {
+    const terms = [...new Set(tokenize(question))].filter(term => term.length > 1 && !STOPWORDS.has(term));
+    if (terms.length === 0) return 1; // nothing to judge by: let the passage through
+    const words = new Set(tokenize(passage));
+    const prefixes = new Set([...words].filter(word => word.length >= PREFIX_LENGTH).map(word => word.slice(0, PREFIX_LENGTH)));
+    const found = terms.filter(term => words.has(term) || (term.length >= PREFIX_LENGTH && prefixes.has(term.slice(0, PREFIX_LENGTH))));
+    return found.length / terms.length;
+}
+
+// LLM judge: one call grading every passage 0-10 with the query's chat model. Falls back to the local
+// scorer when the reply cannot be read.
+async function llmRelevance(question, passages, { chatModel, config }) {
+    const prompt = ChatPromptTemplate.fromTemplate(RELEVANCE_PROMPT);
+    const chain = prompt.pipe(chatModel).pipe(new StringOutputParser());
+    const reply = await chain.invoke({
+        input: question,
+        passages: passages.map((passage, index) => `[${index + 1}] ${passage}`).join('\n\n'),
+        count: passages.length,
+    }, config);
+    try {
+        const grades = JSON.parse(reply.match(/\[[\s\S]*?\]/)?.[0] ?? '');
+        if (!Array.isArray(grades) || grades.length !== passages.length || !grades.every(grade => typeof grade === 'number')) {
+            throw new Error(`expected ${passages.length} numbers`);
+        }
+        return grades.map(grade => Math.min(Math.max(grade, 0), 10) / 10);
+    } catch (error) {
+        logger.warn(`LLM re-ranking reply unusable (${error.message}); using the local scorer instead`);
+        return passages.map(passage => lexicalRelevance(question, passage));
+    }
+}
+
+// Cross-encoder behind a Cohere/Jina-style rerank API (POST {RERANK_BASE_URL}/rerank), as served by
+// Cohere, Jina, vLLM or llama.cpp. Scores outside 0-1 (raw logits) are squashed with a sigmoid.
+// The request gives up after RERANK_TIMEOUT_MS and stops as soon as the query is aborted.
+async function crossEncoderRelevance(question, passages, { config } = {}) {
+    const baseUrl = process.env.RERANK_BASE_URL.replace(/\/+$/, '');
+    const timeoutMs = Number(process.env.RERANK_TIMEOUT_MS) || DEFAULT_RERANK_TIMEOUT_MS;
+    const signals = [AbortSignal.timeout(timeoutMs), config?.signal].filter(Boolean);
+    let response;
+    try {
+        response = await fetch(`${baseUrl}/rerank`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(process.env.RERANK_API_KEY && { Authorization: `Bearer ${process.env.RERANK_API_KEY}` }),
+            },
+            body: JSON.stringify({
+                model: process.env.RERANK_MODEL || undefined,
+                query: question,
+                documents: passages,
+                top_n: passages.length,
+            }),
+            signal: AbortSignal.any(signals),
+        });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new Error(`Rerank request to ${baseUrl} timed out after ${timeoutMs} ms`);
+        }
+        throw error;
+    }
+    if (!response.ok) {
+        throw new Error(`Rerank request to ${baseUrl} failed: HTTP ${response.status} ${(await response.text()).slice(0, 200)}`);
+    }
+    const { results } = await response.json();
+    const scores = new Array(passages.length).fill(0);
+    for (const { index, relevance_score: score } of results) {
+        scores[index] = score >= 0 && score <= 1 ? score : 1 / (1 + Math.exp(-score));
+    }
+    return scores;
+}
+
+// Re-rankers selectable per collection or per query. Each scores passages 0-1 against the question;
+// `none` keeps the fused retrieval order and applies no threshold.
+export const RERANKERS = {
+    none: { label: 'None (retrieval order)', score: null },
+    local: { label: 'Local term overlap', score: async (question, passages) => passages.map(passage => lexicalRelevance(question, passage)) },
+    llm: { label: 'LLM judge (chat model)', score: llmRelevance },
+    'cross-encoder': { label: 'Cross-encoder rerank API', requiredEnv: 'RERANK_BASE_URL', score: crossEncoderRelevance },
+};
+
+// Off unless a collection or query opts in: the lexical `local` scorer would drop passages that are relevant
+// but worded differently (synonyms, Hinglish questions over English documents)
+export const RERANK_DEFAULTS = {
+    reranker: 'none',
+    minRelevance: 0,
+};
+
+// Validate re-ranking overrides (reranker, minRelevance; either may be omitted). Returns { error } or
+// { rerank } holding only the fields that were given.
+export function parseRerankOptions(body = {}) {
+    const rerank = {};
+    if (body.reranker !== undefined) {
+        const definition = Object.hasOwn(RERANKERS, body.reranker) ? RERANKERS[body.reranker] : null;
+        if (!definition) {
+            return { error: `reranker must be one of: ${Object.keys(RERANKERS).join(', ')}` };
+        }
+        if (definition.requiredEnv && !process.env[definition.requiredEnv]) {
+            return { error: `The ${body.reranker} reranker needs ${definition.requiredEnv} to be set` };
+        }
+        rerank.reranker = body.reranker;
+    }
+    if (body.minRelevance !== undefined) {
+        const minRelevance = Number(body.minRelevance);
+        if (body.minRelevance === null || Number.isNaN(minRelevance) || minRelevance < 0 || minRelevance > 1) {
+            return { error: 'minRelevance must be a number between 0 and 1' };
+        }
+        rerank.minRelevance = minRelevance;
+    }
+    return { rerank };
+}
+
+// Relevance (0-1) of each passage to the question, or null for the `none` reranker.
+// `context` carries the chat model and callback config the LLM judge runs with.
+export async function scoreRelevance(reranker, question, passages, context = {}) {
+    const { score } = RERANKERS[reranker];
+    if (!score || passages.length === 0) return null;
+    return score(question, passages, context);
+}
+
+// Catalogue for the settings API (without the scorers)
+export function describeRerankers() {
+    return Object.fromEntries(Object.entries(RERANKERS).map(([id, { label, requiredEnv }]) => [
+        id,
+        { label, available: !requiredEnv || Boolean(process.env[requiredEnv]) },
+    ]));
+}
@@ -0,0 +1,65 @@
+// Translates the source filters sent with a query into a Qdrant payload filter.
+// LangChain's QdrantVectorStore keeps document metadata under the `metadata` payload key.
+
+function toList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+export function buildRetrievalFilter(options = {}) {
+  const includeSources = toList(options.includedSources);
+  const excludeSources = toList(options.excludedSources)
+    .filter(source => !includeSources.includes(source));
+  const title = typeof options.title === 'string' ? options.title.trim() : '';
+  const ingestedAfter = toDate(options.ingestedAfter);
+  const ingestedBefore = toDate(options.ingestedBefore);
+
+  const must = [];
+  const mustNot = [];
+  const applied = {};
+
+  if (includeSources.length > 0) {
+    must.push({ key: 'metadata.source', match: { any: includeSources } });
+    applied.includedSources = includeSources;
+  }
+
+  if (excludeSources.length > 0) {
+    mustNot.push({ key: 'metadata.source', match: { any: excludeSources } });
+    applied.excludedSources = excludeSources;
+  }
+
+  if (title) {
+    must.push({ key: 'metadata.title', match: { text: title } });
+    applied.title = title;
+  }
+
+  // Compared on the numeric ingestedAt stamp; chunks stored without one never match a date filter
+  if (ingestedAfter || ingestedBefore) {
+    const range = {};
+    if (ingestedAfter) range.gte = ingestedAfter.getTime();
+    if (ingestedBefore) range.lte = ingestedBefore.getTime();
+    must.push({ key: 'metadata.ingestedAt', range });
+    if (ingestedAfter) applied.ingestedAfter = ingestedAfter.toISOString();
+    if (ingestedBefore) applied.ingestedBefore = ingestedBefore.toISOString();
+  }
+
+  if (must.length === 0 && mustNot.length === 0) {
+    return { filter: undefined, applied: null };
+  }
+
+  const filter = {};
+  if (must.length > 0) filter.must = must;
+  if (mustNot.length > 0) filter.must_not = mustNot;
+
+  return { filter, applied };
+}
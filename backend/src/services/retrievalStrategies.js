@@ -0,0 +1,74 @@
+import { ChatPromptTemplate } from '@langchain/core/prompts';
+import { StringOutputParser } from '@langchain/core/output_parsers';
+import { MULTI_QUERY_PROMPT, HYDE_PROMPT } from '../prompts/systemPrompt.js';
+
+// How a question is turned into searches, and whether hits are widened afterwards:
+// - standard: the question as asked
+// - multi-query: the question plus paraphrases from the chat model, results unioned by rank fusion
+// - hyde: vector search with the embedding of a hypothetical answer, keyword search with the question
+// - parent-document: the question as asked, each hit widened to its surrounding section
+export const RETRIEVAL_STRATEGIES = ['standard', 'multi-query', 'hyde', 'parent-document'];
+
+const PARAPHRASE_COUNT = 3;
+
+async function generate(template, inputs, chatModel, config) {
+    const chain = ChatPromptTemplate.fromTemplate(template).pipe(chatModel).pipe(new StringOutputParser());
+    return (await chain.invoke(inputs, config)).trim();
+}
+
+// The searches a strategy runs, as [{ vectorText, keywordText }], plus what it generated (for the debug block)
+export async function planSearches(strategy, question, chatModel, config) {
+    if (strategy === 'multi-query') {
+        const reply = await generate(MULTI_QUERY_PROMPT, { input: question, count: PARAPHRASE_COUNT }, chatModel, config);
+        const paraphrases = [...new Set(reply
+            .split('\n')
+            .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+            .filter(line => line && line !== question))]
+            .slice(0, PARAPHRASE_COUNT);
+        return {
+            searches: [question, ...paraphrases].map(text => ({ vectorText: text, keywordText: text })),
+            details: { queries: paraphrases },
+        };
+    }
+    if (strategy === 'hyde') {
+        const hypotheticalAnswer = await generate(HYDE_PROMPT, { input: question }, chatModel, config);
+        return {
+            searches: [{ vectorText: hypotheticalAnswer || question, keywordText: question }],
+            details: { hypotheticalAnswer },
+        };
+    }
+    return { searches: [{ vectorText: question, keywordText: question }], details: {} };
+}
+
+// Range metadata a merged parent spans: the smallest start and largest end of its chunks
+const RANGE_STARTS = ['page', 'startTime', 'rowStart'];
+const RANGE_ENDS = { page: 'pageEnd', startTime: 'endTime', rowStart: 'rowEnd' };
+
+// Join the neighbouring chunks of one document (payloads with charStart/charEnd, in any order) into a single
+// passage, dropping the overlap the splitter left between consecutive chunks (gaps become a paragraph break)
+export function mergeChunks(chunks, metadata) {
+    const ordered = [...chunks].sort((a, b) => a.metadata.charStart - b.metadata.charStart);
+    let text = '';
+    let end = null;
+    for (const chunk of ordered) {
+        const { charStart, charEnd } = chunk.metadata;
+        if (end === null) {
+            text = chunk.content;
+        } else if (charStart <= end) {
+            text += chunk.content.slice(end - charStart);
+        } else {
+            text += `\n\n${chunk.content}`;
+        }
+        end = Math.max(end ?? charEnd, charEnd);
+    }
+
+    const merged = { ...metadata, charStart: ordered[0].metadata.charStart, charEnd: end, parentChunks: ordered.length };
+    for (const key of RANGE_STARTS) {
+        const starts = ordered.map(chunk => chunk.metadata[key]).filter(value => typeof value === 'number');
+        const ends = ordered.map(chunk => chunk.metadata[RANGE_ENDS[key]] ?? chunk.metadata[key]).filter(value => typeof value === 'number');
+        if (starts.length === 0) continue;
+        merged[key] = Math.min(...starts);
+        merged[RANGE_ENDS[key]] = Math.max(...ends);
+    }
+    return { text, metadata: merged };
+}
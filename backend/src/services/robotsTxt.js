@@ -0,0 +1,151 @@
+import logger from '../config/logger.js';
+
+// robots.txt parsing and matching following RFC 9309: user-agent groups,
+// longest-match Allow/Disallow precedence, `*` and `$` wildcards and Crawl-delay.
+
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+// The product token is what robots.txt groups are matched against, e.g. "ChaiRAGBot" for "ChaiRAGBot/1.0 (+url)"
+export function getProductToken(userAgent) {
+    return (userAgent || '').split(/[\s/]/)[0].toLowerCase();
+}
+
+function compilePattern(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const source = body
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+function normalizePath(path) {
+    // Compare paths in a consistent percent-encoding
+    try {
+        return encodeURI(decodeURI(path));
+    } catch {
+        return path;
+    }
+}
+
+class RobotsRules {
+    constructor({ groups = [], sitemaps = [], allowAll = false, disallowAll = false, reason = null } = {}) {
+        this.groups = groups;
+        this.sitemaps = sitemaps;
+        this.allowAll = allowAll;
+        this.disallowAll = disallowAll;
+        this.reason = reason;
+    }
+
+    // Rules of every group naming our product token (case-insensitive, whole token), or of the `*` groups if none does
+    getRulesFor(userAgent) {
+        const token = getProductToken(userAgent);
+        const specific = this.groups.filter(group => group.agents.some(agent => agent !== '*' && getProductToken(agent) === token));
+        const matched = specific.length > 0
+            ? specific
+            : this.groups.filter(group => group.agents.includes('*'));
+
+        return {
+            rules: matched.flatMap(group => group.rules),
+            crawlDelay: matched.reduce((delay, group) => group.crawlDelay ?? delay, null),
+        };
+    }
+
+    isAllowed(url, userAgent) {
+        if (this.allowAll) return true;
+        if (this.disallowAll) return false;
+
+        const urlObj = new URL(url);
+        const path = normalizePath(`${urlObj.pathname}${urlObj.search}`);
+        if (path === '/robots.txt') return true;
+
+        // Longest matching pattern wins; on a tie Allow wins
+        let best = null;
+        for (const rule of this.getRulesFor(userAgent).rules) {
+            if (!rule.regex.test(path)) continue;
+            if (!best ||
+                rule.pattern.length > best.pattern.length ||
+                (rule.pattern.length === best.pattern.length && rule.allow)) {
+                best = rule;
+            }
+        }
+        return best ? best.allow : true;
+    }
+
+    // Crawl-delay in milliseconds, or null when the site does not set one
+    getCrawlDelayMs(userAgent) {
+        const { crawlDelay } = this.getRulesFor(userAgent);
+        return crawlDelay === null ? null : Math.round(crawlDelay * 1000);
+    }
+}
+
+export function parseRobotsTxt(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const key = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (key === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+
+        if (key === 'sitemap') {
+            if (value) sitemaps.push(value);
+        } else if (!current) {
+            // Rules before any user-agent line belong to no group
+            continue;
+        } else if (key === 'allow' || key === 'disallow') {
+            // An empty Disallow means "allow everything" and adds no rule
+            if (!value) continue;
+            const pattern = normalizePath(value);
+            current.rules.push({ allow: key === 'allow', pattern, regex: compilePattern(pattern) });
+        } else if (key === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+        }
+    }
+
+    return new RobotsRules({ groups, sitemaps });
+}
+
+// Fetch and parse robots.txt for the origin of `url`.
+// Per RFC 9309: a 4xx means no restrictions, a 5xx or unreachable server means crawl nothing.
+export async function fetchRobotsTxt(url, userAgent) {
+    const robotsUrl = new URL('/robots.txt', url).href;
+    try {
+        const response = await fetch(robotsUrl, {
+            headers: { 'User-Agent': userAgent },
+            signal: AbortSignal.timeout(5000),
+        });
+
+        if (response.ok) {
+            const text = (await response.text()).slice(0, MAX_ROBOTS_BYTES);
+            return parseRobotsTxt(text);
+        }
+        if (response.status >= 500) {
+            return new RobotsRules({ disallowAll: true, reason: `robots.txt returned HTTP ${response.status}` });
+        }
+        return new RobotsRules({ allowAll: true });
+    } catch (error) {
+        logger.warn(`Could not fetch ${robotsUrl}: ${error.message}`);
+        return new RobotsRules({ disallowAll: true, reason: `robots.txt unreachable (${error.message})` });
+    }
+}
@@ -0,0 +1,96 @@
+import { gunzipSync } from 'zlib';
+import * as cheerio from 'cheerio';
+import logger from '../config/logger.js';
+
+const MAX_SITEMAP_FILES = 50; // Guard against huge or cyclic sitemap indexes
+
+function isGzip(buffer, url, contentType) {
+    return (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) ||
+        /\.gz$/i.test(new URL(url).pathname) ||
+        /gzip/i.test(contentType || '');
+}
+
+async function fetchSitemapXml(url, userAgent) {
+    const response = await fetch(url, {
+        headers: {
+            'User-Agent': userAgent,
+            'Accept': 'application/xml,text/xml,application/x-gzip;q=0.9,*/*;q=0.8',
+        },
+        signal: AbortSignal.timeout(15000),
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    let buffer = Buffer.from(await response.arrayBuffer());
+    if (isGzip(buffer, url, response.headers.get('content-type'))) {
+        try {
+            buffer = gunzipSync(buffer);
+        } catch (error) {
+            // Servers often send .gz files already decoded via Content-Encoding
+            logger.debug(`Sitemap ${url} is not gzipped after all: ${error.message}`);
+        }
+    }
+    return buffer.toString('utf8');
+}
+
+export function parseSitemapXml(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const sitemaps = [];
+    const urls = [];
+
+    $('sitemapindex > sitemap').each((_, element) => {
+        const loc = $(element).children('loc').first().text().trim();
+        if (loc) sitemaps.push(loc);
+    });
+
+    $('urlset > url').each((_, element) => {
+        const loc = $(element).children('loc').first().text().trim();
+        const lastmod = $(element).children('lastmod').first().text().trim();
+        if (loc) urls.push({ url: loc, lastmod: lastmod || null });
+    });
+
+    return { sitemaps, urls };
+}
+
+// Walk sitemap indexes breadth-first and collect every page entry, de-duplicated by URL
+export async function collectSitemapEntries(sitemapUrls, { userAgent, onSitemap } = {}) {
+    const pending = [...sitemapUrls];
+    const seenSitemaps = new Set();
+    const entries = new Map();
+    const errors = [];
+
+    while (pending.length > 0 && seenSitemaps.size < MAX_SITEMAP_FILES) {
+        const sitemapUrl = pending.shift();
+        if (seenSitemaps.has(sitemapUrl)) continue;
+        seenSitemaps.add(sitemapUrl);
+
+        try {
+            onSitemap?.(sitemapUrl);
+            const { sitemaps, urls } = parseSitemapXml(await fetchSitemapXml(sitemapUrl, userAgent));
+            pending.push(...sitemaps);
+            for (const entry of urls) {
+                if (!entries.has(entry.url)) entries.set(entry.url, entry);
+            }
+        } catch (error) {
+            logger.warn(`Failed to read sitemap ${sitemapUrl}: ${error.message}`);
+            errors.push({ url: sitemapUrl, reason: error.message });
+        }
+    }
+
+    return { entries: Array.from(entries.values()), sitemapsRead: seenSitemaps.size, errors };
+}
+
+// Entries without a lastmod are kept: we cannot tell that they are stale
+export function filterSitemapEntries(entries, { urlPattern, lastmodAfter } = {}) {
+    const after = lastmodAfter ? new Date(lastmodAfter).getTime() : null;
+
+    return entries.filter(entry => {
+        if (urlPattern && !urlPattern.test(entry.url)) return false;
+        if (after !== null && entry.lastmod) {
+            const lastmod = new Date(entry.lastmod).getTime();
+            if (!Number.isNaN(lastmod) && lastmod < after) return false;
+        }
+        return true;
+    });
+}
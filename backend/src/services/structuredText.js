@@ -0,0 +1,162 @@
+import { htmlToText } from 'html-to-text';
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+
+// "# Title" style headings, so the heading structure survives the conversion to text
+const headingFormatter = level => (elem, walk, builder) => {
+    builder.openBlock({ leadingLineBreaks: 2 });
+    builder.addLiteral(`${'#'.repeat(level)} `);
+    walk(elem.children, builder);
+    builder.closeBlock({ trailingLineBreaks: 2 });
+};
+
+// <pre> blocks become fenced code blocks, which the splitter keeps intact
+function fenceFormatter(elem, walk, builder) {
+    builder.openBlock({ leadingLineBreaks: 2, isPre: true });
+    builder.addLiteral('```\n');
+    walk(elem.children, builder);
+    builder.addLiteral('\n```');
+    builder.closeBlock({ trailingLineBreaks: 2 });
+}
+
+const HEADING_LEVELS = [1, 2, 3, 4, 5, 6];
+
+// Convert HTML (crawled pages, mammoth's DOCX output) to Markdown-flavoured text: headings keep their
+// level as "#" prefixes and <pre> becomes a ``` fence, so markdownSegments can follow the structure
+export function htmlToMarkdown(html) {
+    return htmlToText(html || '', {
+        wordwrap: false,
+        formatters: {
+            fence: fenceFormatter,
+            ...Object.fromEntries(HEADING_LEVELS.map(level => [`h${level}`, headingFormatter(level)])),
+        },
+        selectors: [
+            { selector: 'a', options: { ignoreHref: true } },
+            { selector: 'img', format: 'skip' },
+            { selector: 'pre', format: 'fence' },
+            { selector: 'table', format: 'dataTable' },
+            ...HEADING_LEVELS.map(level => ({ selector: `h${level}`, format: `h${level}` })),
+        ],
+    }).trim();
+}
+
+// Blocks of a Markdown text: headings, fenced code blocks (blank lines included) and runs of non-blank lines,
+// each with its offsets and the heading path in effect
+function markdownBlocks(text) {
+    const blocks = [];
+    const path = [];
+    let fence = null;
+    let block = null;
+    let offset = 0;
+
+    const close = () => {
+        if (block) blocks.push(block);
+        block = null;
+    };
+
+    for (const line of text.split('\n')) {
+        const start = offset;
+        const end = offset + line.length;
+        offset = end + 1;
+
+        if (fence) {
+            block.end = end;
+            const closing = line.match(FENCE);
+            if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length && !line.trim().slice(closing[1].length).trim()) {
+                fence = null;
+                close();
+            }
+            continue;
+        }
+
+        const opening = line.match(FENCE);
+        if (opening) {
+            close();
+            fence = opening[1];
+            block = { start, end, path: path.map(entry => entry.title), code: true };
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            close();
+            const level = heading[1].length;
+            while (path.length > 0 && path[path.length - 1].level >= level) path.pop();
+            path.push({ level, title: heading[2] });
+            blocks.push({ start, end, path: path.map(entry => entry.title), heading: true });
+            continue;
+        }
+
+        if (!line.trim()) {
+            close();
+        } else if (block) {
+            block.end = end;
+        } else {
+            block = { start, end, path: path.map(entry => entry.title) };
+        }
+    }
+    close();
+    return blocks;
+}
+
+// Break an oversized prose block at line breaks, or failing that at spaces, into pieces of at most maxChars
+function splitLongBlock(text, block, maxChars) {
+    const pieces = [];
+    let start = block.start;
+    while (block.end - start > maxChars) {
+        const window = text.slice(start, start + maxChars);
+        const cut = Math.max(window.lastIndexOf('\n'), window.lastIndexOf(' '));
+        const end = cut > 0 ? start + cut : start + maxChars;
+        pieces.push({ ...block, start, end });
+        start = end;
+        while (/\s/.test(text[start] || '')) start++;
+    }
+    if (start < block.end) pieces.push({ ...block, start });
+    return pieces;
+}
+
+// Split Markdown along its structure: a chunk never spans two sections, fenced code blocks are never
+// split (even when longer than maxChars), and each chunk records its heading path ("Guide > Install").
+// Segments are slices of `text`, so chunk offsets can still be located in the document.
+export function markdownSegments(text, { maxChars = 1000 } = {}) {
+    const segments = [];
+    let current = null;
+
+    const flush = () => {
+        if (!current) return;
+        const { start, end, path } = current;
+        segments.push({
+            text: text.slice(start, end),
+            metadata: {
+                charStart: start,
+                ...(path.length > 0 && { headingPath: path, section: path.join(' > ') }),
+            },
+        });
+        current = null;
+    };
+
+    for (const block of markdownBlocks(text)) {
+        const pieces = block.code || block.end - block.start <= maxChars ? [block] : splitLongBlock(text, block, maxChars);
+        for (const piece of pieces) {
+            // A heading opens a new chunk, unless the current one holds nothing but headings yet
+            const newSection = piece.heading && current?.hasContent;
+            const tooLong = current && piece.end - current.start > maxChars && current.hasContent;
+            if (newSection || tooLong) flush();
+            if (!current) {
+                current = { start: piece.start, end: piece.end, path: piece.path, hasContent: false };
+            }
+            current.end = piece.end;
+            current.path = piece.path;
+            if (!piece.heading) current.hasContent = true;
+        }
+    }
+    flush();
+    return segments.filter(segment => segment.text.trim());
+}
+
+// Text to embed for a chunk: its heading path in front, so every chunk of a section carries the section's title
+export function embeddingText(chunk) {
+    const section = chunk.metadata?.section;
+    return section ? `${section}\n\n${chunk.pageContent}` : chunk.pageContent;
+}
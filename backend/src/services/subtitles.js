@@ -0,0 +1,88 @@
+// Cue-aware parsing of SRT/VTT transcripts, so chunks follow cue boundaries and carry their time range
+
+// "01:02:03,456", "01:02:03.456" or VTT's short "02:03.456" -> seconds
+function parseTimestamp(value) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(value.trim());
+    if (!match) return null;
+    const [, hours = '0', minutes, seconds, millis] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+}
+
+// Seconds -> "HH:MM:SS" (or "HH:MM:SS.mmm" with `withMillis`)
+export function formatTimestamp(totalSeconds, { withMillis = false } = {}) {
+    const totalMillis = Math.round(totalSeconds * 1000);
+    const hours = Math.floor(totalMillis / 3600000);
+    const minutes = Math.floor((totalMillis % 3600000) / 60000);
+    const seconds = Math.floor((totalMillis % 60000) / 1000);
+    const pad = number => String(number).padStart(2, '0');
+    const base = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+    return withMillis ? `${base}.${String(totalMillis % 1000).padStart(3, '0')}` : base;
+}
+
+// Parse SRT or VTT content into cues of { startTime, endTime, text } (times in seconds)
+export function parseSubtitles(content) {
+    const cues = [];
+    const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+    for (const block of blocks) {
+        const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        // Headers, NOTE/STYLE/REGION blocks and stray text have no timing line
+        if (timingIndex === -1) continue;
+
+        const [startRaw, endRaw = ''] = lines[timingIndex].split('-->');
+        const startTime = parseTimestamp(startRaw);
+        // VTT cue settings (e.g. "align:start") follow the end time
+        const endTime = parseTimestamp(endRaw.trim().split(/\s+/)[0] || '');
+        if (startTime === null || endTime === null) continue;
+
+        const text = lines
+            .slice(timingIndex + 1)
+            .map(line => line.replace(/<[^>]+>/g, '').trim()) // VTT voice/styling tags
+            .filter(Boolean)
+            .join(' ');
+        if (text) cues.push({ startTime, endTime, text });
+    }
+    return cues;
+}
+
+function renderCue(cue, includeTimestamps) {
+    if (!includeTimestamps) return cue.text;
+    const start = formatTimestamp(cue.startTime, { withMillis: true });
+    const end = formatTimestamp(cue.endTime, { withMillis: true });
+    return `${start} - ${end}: ${cue.text}`;
+}
+
+// The whole transcript as text, one cue per line. Every segment from groupCues() is a substring of it.
+export function renderTranscript(cues, { includeTimestamps = true } = {}) {
+    return cues.map(cue => renderCue(cue, includeTimestamps)).join('\n');
+}
+
+// Group consecutive cues into chunk-sized segments. Every cue lands in exactly one segment, so the
+// segments' time ranges never overlap.
+export function groupCues(cues, { maxChars = 500, includeTimestamps = true } = {}) {
+    const segments = [];
+    let current = [];
+    let length = 0;
+
+    const flush = () => {
+        segments.push({
+            text: current.map(cue => renderCue(cue, includeTimestamps)).join('\n'),
+            startTime: current[0].startTime,
+            endTime: current[current.length - 1].endTime,
+        });
+    };
+
+    for (const cue of cues) {
+        const rendered = renderCue(cue, includeTimestamps);
+        if (current.length > 0 && length + rendered.length + 1 > maxChars) {
+            flush();
+            current = [];
+            length = 0;
+        }
+        current.push(cue);
+        length += rendered.length + 1;
+    }
+    if (current.length > 0) flush();
+    return segments;
+}
@@ -0,0 +1,83 @@
+import { ChatPromptTemplate } from '@langchain/core/prompts';
+import { StringOutputParser } from '@langchain/core/output_parsers';
+import { SystemMessage } from '@langchain/core/messages';
+import { SUMMARIZATION_PROMPT, COMPARISON_PROMPT } from '../prompts/systemPrompt.js';
+
+// Characters of source text (or partial summaries) handed to the model in one call
+const BATCH_CHARS = 12000;
+const SEPARATOR = '\n\n---\n\n';
+const DEFAULT_COMPARISON_QUESTION = 'How do these sources compare? What do they agree on, where do they differ, and what does each cover that the others do not?';
+
+// The task prompt, after the persona's system message when there is one (as the answer prompt does)
+function taskPrompt(template, systemPrompt) {
+    return systemPrompt
+        ? ChatPromptTemplate.fromMessages([new SystemMessage(systemPrompt), ['human', template]])
+        : ChatPromptTemplate.fromTemplate(template);
+}
+
+// Group texts into batches of about `maxChars`. A batch takes at least two texts (when there are two left),
+// so every reduce round at least halves the number of partial summaries.
+function batchTexts(texts, maxChars) {
+    const batches = [];
+    let current = [];
+    let size = 0;
+    for (const text of texts) {
+        if (current.length >= 2 && size + text.length > maxChars) {
+            batches.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(text);
+        size += text.length + SEPARATOR.length;
+    }
+    if (current.length > 0) batches.push(current);
+    return batches;
+}
+
+// Map-reduce summary of `texts` (the chunks of a source, in document order): summarize each batch, then
+// summarize the summaries until one remains. Every chunk is read, not just the top-k a query would retrieve.
+// `systemPrompt` (the persona's) sets the voice of every call.
+export async function mapReduceSummary(texts, chatModel, config, { maxChars = BATCH_CHARS, systemPrompt = null } = {}) {
+    const chain = taskPrompt(SUMMARIZATION_PROMPT, systemPrompt).pipe(chatModel).pipe(new StringOutputParser());
+    let parts = texts;
+    let rounds = 0;
+    let calls = 0;
+    do {
+        const summaries = [];
+        for (const batch of batchTexts(parts, maxChars)) {
+            config?.signal?.throwIfAborted();
+            summaries.push((await chain.invoke({ context: batch.join(SEPARATOR) }, config)).trim());
+            calls++;
+        }
+        parts = summaries;
+        rounds++;
+    } while (parts.length > 1);
+    return { summary: parts[0], rounds, calls };
+}
+
+// Compare sources given as [{ source, title, texts }]. A source too long to share one call with the others is
+// condensed with mapReduceSummary first; shorter ones are compared on their full text.
+export async function compareSources(sources, question, chatModel, config, { maxChars = BATCH_CHARS, systemPrompt = null } = {}) {
+    const perSource = Math.floor(maxChars / sources.length);
+    const sections = [];
+    const condensed = [];
+    let calls = 0;
+    for (const [index, { source, title, texts }] of sources.entries()) {
+        let text = texts.join('\n\n');
+        if (text.length > perSource) {
+            const digest = await mapReduceSummary(texts, chatModel, config, { maxChars, systemPrompt });
+            text = digest.summary;
+            calls += digest.calls;
+            condensed.push(source);
+        }
+        sections.push(`Source ${index + 1}: ${title || source} (${source})\n${text}`);
+    }
+
+    const chain = taskPrompt(COMPARISON_PROMPT, systemPrompt).pipe(chatModel).pipe(new StringOutputParser());
+    config?.signal?.throwIfAborted();
+    const comparison = await chain.invoke({
+        context: sections.join(SEPARATOR),
+        input: question || DEFAULT_COMPARISON_QUESTION,
+    }, config);
+    return { comparison: comparison.trim(), condensed, calls: calls + 1 };
+}
@@ -0,0 +1,124 @@
+import { parse } from 'csv-parse/sync';
+import XLSX from 'xlsx';
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// Decode a text upload: honour a BOM, otherwise UTF-8, falling back to Windows-1252 for legacy exports
+export function decodeText(buffer) {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        return buffer.subarray(3).toString('utf8');
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+}
+
+// Per-record counts of `delimiter` outside quoted fields, for the first non-blank records of `text`
+function countDelimiter(text, delimiter, maxRecords = 10) {
+    const counts = [];
+    let count = 0;
+    let blank = true;
+    let quoted = false;
+    for (const char of text) {
+        if (char === '\n' && !quoted) {
+            if (!blank) counts.push(count);
+            if (counts.length === maxRecords) break;
+            count = 0;
+            blank = true;
+            continue;
+        }
+        if (char.trim()) blank = false;
+        if (char === '"') quoted = !quoted;
+        else if (char === delimiter && !quoted) count++;
+    }
+    if (!blank && counts.length < maxRecords) counts.push(count);
+    return counts;
+}
+
+// Pick the delimiter that appears most consistently across the first records (comma when nothing stands out)
+export function detectDelimiter(text) {
+    let best = ',';
+    let bestScore = 0;
+    for (const delimiter of CSV_DELIMITERS) {
+        const score = Math.min(...countDelimiter(text, delimiter));
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+// Rows of a CSV file as { row, cells }; `row` is 1-based and counts records, as a spreadsheet would
+export function parseCsv(buffer) {
+    const text = decodeText(buffer);
+    const records = parse(text, {
+        delimiter: detectDelimiter(text),
+        relax_column_count: true,
+        relax_quotes: true,
+        skip_empty_lines: false,
+        trim: true,
+    });
+    return records.map((cells, index) => ({ row: index + 1, cells }));
+}
+
+// Every sheet of an XLSX/XLS/ODS workbook with its rows as { row, cells }, using the sheet's own row numbers
+export function readWorkbook(buffer) {
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    return workbook.SheetNames.map(name => {
+        const sheet = workbook.Sheets[name];
+        if (!sheet['!ref']) return { sheet: name, rows: [] };
+        const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r + 1;
+        // raw: false gives the displayed text, so dates and percentages read as they do in the sheet
+        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: true, defval: '', raw: false });
+        return { sheet: name, rows: rows.map((cells, index) => ({ row: firstRow + index, cells })) };
+    });
+}
+
+const isBlank = cells => cells.every(cell => String(cell ?? '').trim() === '');
+const clean = value => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+// Render data rows as "Row 5: Name: Ada | Role: Engineer" (header names repeated on every row) and
+// group consecutive rows into segments of at most `maxChars`, each recording its row range.
+// Segments are substrings of `text`, so chunk offsets can still be located in the document.
+export function tableSegments(rows, { maxChars = 1000 } = {}) {
+    const nonBlank = rows.filter(({ cells }) => !isBlank(cells));
+    if (nonBlank.length < 2) return { text: '', segments: [] };
+
+    const [header, ...dataRows] = nonBlank;
+    const columnName = index => clean(header.cells[index]) || `Column ${index + 1}`;
+    const rendered = dataRows.map(({ row, cells }) => {
+        const pairs = cells
+            .map((cell, index) => [columnName(index), clean(cell)])
+            .filter(([, value]) => value)
+            .map(([name, value]) => `${name}: ${value}`);
+        return { row, line: `Row ${row}: ${pairs.join(' | ')}` };
+    });
+
+    const segments = [];
+    let current = [];
+    let length = 0;
+    const flush = () => {
+        segments.push({
+            text: current.map(entry => entry.line).join('\n'),
+            rowStart: current[0].row,
+            rowEnd: current[current.length - 1].row,
+        });
+    };
+    for (const entry of rendered) {
+        if (current.length > 0 && length + entry.line.length + 1 > maxChars) {
+            flush();
+            current = [];
+            length = 0;
+        }
+        current.push(entry);
+        length += entry.line.length + 1;
+    }
+    if (current.length > 0) flush();
+
+    return { text: rendered.map(entry => entry.line).join('\n'), segments };
+}
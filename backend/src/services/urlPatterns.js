@@ -0,0 +1,45 @@
+// URL patterns accepted by the crawl options: "/regex/flags" or a glob where
+// `**` matches across path segments, `*` within one segment and `?` a single character.
+
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '.';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+export function compileUrlPattern(pattern) {
+    const trimmed = String(pattern || '').trim();
+    if (!trimmed) {
+        throw new Error('URL pattern must not be empty');
+    }
+
+    const regexMatch = trimmed.match(/^\/(.+)\/([gimsuy]*)$/);
+    if (regexMatch) {
+        const regex = new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+        return { pattern: trimmed, test: url => regex.test(url) };
+    }
+
+    // Globs without a scheme are matched against the path (plus query), otherwise against the full URL
+    const regex = globToRegExp(trimmed);
+    const matchFullUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed);
+    return {
+        pattern: trimmed,
+        test: url => {
+            if (matchFullUrl) return regex.test(url);
+            const { pathname, search } = new URL(url);
+            return regex.test(pathname) || regex.test(`${pathname}${search}`);
+        },
+    };
+}
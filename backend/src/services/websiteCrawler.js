@@ -1,125 +1,348 @@
+import { randomUUID } from 'crypto';
 import * as cheerio from 'cheerio';
-import { htmlToText } from 'html-to-text';
 import logger from '../config/logger.js';
 import { emitProgress, emitDone } from './progress.js';
+import { fetchRobotsTxt } from './robotsTxt.js';
+import { collectSitemapEntries, filterSitemapEntries } from './sitemap.js';
+import { compileUrlPattern } from './urlPatterns.js';
+import { htmlToMarkdown } from './structuredText.js';
+import { CrawlScope, DEFAULT_MAX_PAGES, MAX_PAGES_LIMIT } from './crawlOptions.js';
+
+const DEFAULT_DELAY_MS = 1000; // 1 second delay between requests
+const MAX_CONCURRENT_CRAWLS = parseInt(process.env.CRAWL_MAX_CONCURRENCY, 10) || 3;
+const MAX_CRAWL_DELAY_MS = 30000; // Cap on robots.txt Crawl-delay so one site cannot stall a crawl slot
+const DEFAULT_USER_AGENT = 'ChaiRAGBot/1.0 (+https://github.com/shark-cmd/rag-txt-pdf-frontend)';
+
+// State for a single crawlWebsite() call, so concurrent crawls never share a frontier
+class CrawlSession {
+    constructor(baseUrl, opId, options = {}) {
+        this.id = randomUUID();
+        this.opId = opId;
+        this.mode = options.mode || 'links';
+        this.baseUrl = baseUrl;
+        this.scope = new CrawlScope(baseUrl, options);
+        this.maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+        this.maxDepth = options.maxDepth ?? null;
+        this.delayMs = options.delayMs ?? DEFAULT_DELAY_MS;
+        // Pages indexed by an earlier crawl (url -> { etag, lastModified, depth }), revalidated in refresh mode
+        this.knownPages = options.knownPages || new Map();
+
+        this.queue = []; // { url, depth }
+        this.visitedUrls = new Set();
+        this.robotsByOrigin = new Map(); // origin -> RobotsRules
+        this.skipped = []; // { url, reason }
+        this.gone = []; // URLs that answered 404/410
+        this.listedUrls = null; // every URL in the sitemap(s), before filtering
+
+        this.status = 'queued';
+        this.currentUrl = null;
+        this.queuedAt = new Date().toISOString();
+        this.startedAt = null;
+        this.stats = {
+            pagesCrawled: 0,
+            pagesFailed: 0,
+            pagesUnchanged: 0,
+            pagesGone: 0,
+            pagesDisallowed: 0,
+            urlsDiscovered: 0,
+            linksOutOfScope: 0,
+        };
+    }
+
+    skip(url, reason) {
+        this.skipped.push({ url, reason });
+    }
+
+    enqueue(url, depth = 0) {
+        const normalized = this.scope.normalize(url);
+        if (this.visitedUrls.has(normalized) || this.queue.length >= this.maxPages) return;
+        this.queue.push({ url: normalized, depth });
+        this.visitedUrls.add(normalized);
+        this.stats.urlsDiscovered++;
+    }
+
+    // The effective options, reported back in the crawl summary
+    describeOptions() {
+        return {
+            mode: this.mode,
+            maxPages: this.maxPages,
+            maxDepth: this.maxDepth,
+            pathPrefix: this.scope.pathPrefix,
+            include: this.scope.include.map(rule => rule.pattern),
+            exclude: this.scope.exclude.map(rule => rule.pattern),
+            subdomainPolicy: this.scope.subdomainPolicy,
+            keepQueryStrings: this.scope.keepQueryStrings,
+        };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            opId: this.opId,
+            mode: this.mode,
+            baseUrl: this.baseUrl,
+            status: this.status,
+            currentUrl: this.currentUrl,
+            queuedAt: this.queuedAt,
+            startedAt: this.startedAt,
+            maxPages: this.maxPages,
+            maxDepth: this.maxDepth,
+            delayMs: this.delayMs,
+            queued: this.queue.length,
+            ...this.stats,
+        };
+    }
+}
 
 class WebsiteCrawler {
     constructor() {
-        this.visitedUrls = new Set();
-        this.queue = [];
-        this.maxPages = 50; // Limit to prevent infinite crawling
-        this.delayMs = 1000; // 1 second delay between requests
-        this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+        this.maxConcurrentCrawls = MAX_CONCURRENT_CRAWLS;
+        this.activeCrawls = new Map(); // sessionId -> CrawlSession
+        this.runningCount = 0;
+        this.waitingForSlot = []; // resolvers of crawls waiting for a free slot
+        this.userAgent = process.env.CRAWLER_USER_AGENT || DEFAULT_USER_AGENT;
+    }
+
+    async acquireSlot(session) {
+        if (this.runningCount < this.maxConcurrentCrawls) {
+            this.runningCount++;
+            return;
+        }
+        emitProgress?.(session.opId, `Waiting for a free crawl slot (${this.maxConcurrentCrawls} crawls already running)...`);
+        // releaseSlot() hands its slot over directly, so runningCount stays unchanged
+        await new Promise(resolve => this.waitingForSlot.push(resolve));
+    }
+
+    releaseSlot() {
+        const next = this.waitingForSlot.shift();
+        if (next) {
+            next();
+        } else {
+            this.runningCount--;
+        }
+    }
+
+    listActiveCrawls() {
+        return Array.from(this.activeCrawls.values()).map(session => session.toJSON());
     }
 
-    async crawlWebsite(baseUrl, opId) {
+    async runInSlot(session, work) {
+        this.activeCrawls.set(session.id, session);
+
         try {
-            logger.info(`Starting recursive crawl of: ${baseUrl}`);
+            await this.acquireSlot(session);
+            try {
+                session.status = 'running';
+                session.startedAt = new Date().toISOString();
+                return await work();
+            } catch (error) {
+                session.status = 'failed';
+                logger.error(`Error during website crawl: ${error.message}`);
+                emitProgress?.(session.opId, `Crawl failed: ${error.message}`);
+                throw error;
+            } finally {
+                this.releaseSlot();
+            }
+        } finally {
+            this.activeCrawls.delete(session.id);
+        }
+    }
+
+    async crawlWebsite(baseUrl, opId, options = {}) {
+        const session = new CrawlSession(baseUrl, opId, { ...options, mode: 'links' });
+        return this.runInSlot(session, () => {
+            logger.info(`Starting recursive crawl of: ${baseUrl} (session ${session.id})`);
             emitProgress?.(opId, `Starting recursive crawl of: ${baseUrl}`);
+            emitProgress?.(opId, 'Checking robots.txt...');
+            // Known pages are revisited even if no longer linked, so removals and unchanged subtrees are noticed
+            const knownSeeds = Array.from(session.knownPages, ([url, known]) => ({ url, depth: known.depth ?? 0 }))
+                .filter(seed => session.scope.check(seed.url) === null);
+            return this.runSession(session, [{ url: baseUrl, depth: 0 }, ...knownSeeds], { discoverLinks: true });
+        });
+    }
 
-            // Normalize base URL
-            const baseUrlObj = new URL(baseUrl);
-            const baseDomain = baseUrlObj.hostname;
+    // Crawl exactly the pages listed in the site's sitemap(s) instead of following links
+    async crawlSitemap(baseUrl, opId, options = {}) {
+        const session = new CrawlSession(baseUrl, opId, {
+            ...options,
+            mode: 'sitemap',
+            // Sitemap crawls ingest every listed page unless told otherwise
+            maxPages: options.maxPages || MAX_PAGES_LIMIT,
+        });
+        return this.runInSlot(session, async () => {
+            logger.info(`Starting sitemap crawl of: ${baseUrl} (session ${session.id})`);
+            emitProgress?.(opId, `Starting sitemap crawl of: ${baseUrl}`);
+            const urls = await this.collectSitemapUrls(session, options);
+            return this.runSession(session, urls.map(url => ({ url, depth: 0 })), { discoverLinks: false });
+        });
+    }
 
-            // Check robots.txt
-            await this.checkRobotsTxt(baseUrl, opId);
+    async collectSitemapUrls(session, options = {}) {
+        const { baseUrl, opId } = session;
 
-            // Start with the base URL
-            this.queue.push(baseUrl);
-            this.visitedUrls.add(baseUrl);
+        // Sitemaps listed in robots.txt win over the conventional /sitemap.xml location
+        emitProgress?.(opId, 'Checking robots.txt...');
+        const rules = await this.getRobotsRules(session, baseUrl);
+        const sitemapUrls = options.sitemapUrl
+            ? [options.sitemapUrl]
+            : rules.sitemaps.length > 0 ? rules.sitemaps : [new URL('/sitemap.xml', baseUrl).href];
 
-            const allPages = [];
-            let pageCount = 0;
+        const { entries, sitemapsRead, errors } = await collectSitemapEntries(sitemapUrls, {
+            userAgent: this.userAgent,
+            onSitemap: url => emitProgress?.(opId, `Reading sitemap: ${url}`),
+        });
+        if (entries.length === 0) {
+            const detail = errors[0] ? ` (${errors[0].url}: ${errors[0].reason})` : '';
+            throw new Error(`No page URLs found in sitemap${detail}`);
+        }
+        session.listedUrls = entries.map(entry => session.scope.normalize(entry.url));
+
+        const filtered = filterSitemapEntries(entries, {
+            urlPattern: options.urlPattern ? compileUrlPattern(options.urlPattern) : null,
+            lastmodAfter: options.lastmodAfter,
+        }).filter(entry => session.scope.check(entry.url) === null);
+        emitProgress?.(opId, `Found ${entries.length} URLs in ${sitemapsRead} sitemap(s), ${filtered.length} match the filters`);
+        if (filtered.length > session.maxPages) {
+            emitProgress?.(opId, `Warning: only the first ${session.maxPages} of ${filtered.length} sitemap URLs will be crawled`);
+        }
 
-            while (this.queue.length > 0 && pageCount < this.maxPages) {
-                const currentUrl = this.queue.shift();
+        return filtered.map(entry => entry.url);
+    }
+
+    async runSession(session, seeds, { discoverLinks }) {
+        const { baseUrl, opId } = session;
+        for (const { url, depth } of seeds) {
+            session.enqueue(url, depth);
+        }
 
-                try {
-                    emitProgress?.(opId, `Crawling page ${pageCount + 1}/${this.maxPages}: ${currentUrl}`);
+        const allPages = [];
 
-                    const pageData = await this.fetchAndProcessPage(currentUrl, opId);
-                    if (pageData) {
-                        allPages.push(pageData);
-                        pageCount++;
+        while (session.queue.length > 0 && session.stats.pagesCrawled < session.maxPages) {
+            const { url: currentUrl, depth } = session.queue.shift();
+            session.currentUrl = currentUrl;
 
-                        // Discover new links
-                        const newLinks = this.extractInternalLinks(pageData.html, baseDomain);
+            try {
+                if (!(await this.isAllowedByRobots(session, currentUrl))) {
+                    continue;
+                }
+
+                emitProgress?.(opId, `Crawling page ${session.stats.pagesCrawled + 1}/${session.maxPages}: ${currentUrl}`);
+
+                const pageData = await this.fetchAndProcessPage(currentUrl, opId, session.knownPages.get(currentUrl));
+                if (pageData?.gone) {
+                    session.gone.push(currentUrl);
+                    session.stats.pagesGone++;
+                } else if (pageData?.notModified) {
+                    // 304: the stored chunks are still current and there is no body to follow links from
+                    allPages.push({ ...pageData, depth });
+                    session.stats.pagesCrawled++;
+                    session.stats.pagesUnchanged++;
+                } else if (pageData) {
+                    allPages.push({ ...pageData, depth });
+                    session.stats.pagesCrawled++;
+
+                    // Discover new links, resolved against the final (post-redirect) page URL
+                    const withinDepth = session.maxDepth === null || depth < session.maxDepth;
+                    if (discoverLinks && withinDepth) {
+                        const newLinks = this.extractInternalLinks(pageData.html, pageData.finalUrl, session);
                         for (const link of newLinks) {
-                            if (!this.visitedUrls.has(link) && this.queue.length < this.maxPages) {
-                                this.queue.push(link);
-                                this.visitedUrls.add(link);
-                            }
+                            session.enqueue(link, depth + 1);
                         }
                     }
+                } else {
+                    session.stats.pagesFailed++;
+                }
 
-                    // Rate limiting
-                    if (this.queue.length > 0) {
-                        await this.delay(this.delayMs);
-                    }
-
-                } catch (error) {
-                    logger.warn(`Failed to crawl ${currentUrl}: ${error.message}`);
-                    emitProgress?.(opId, `Skipped ${currentUrl}: ${error.message}`);
+                // Rate limiting
+                if (session.queue.length > 0) {
+                    await this.delay(session.delayMs);
                 }
+
+            } catch (error) {
+                session.stats.pagesFailed++;
+                logger.warn(`Failed to crawl ${currentUrl}: ${error.message}`);
+                emitProgress?.(opId, `Skipped ${currentUrl}: ${error.message}`);
             }
+        }
 
-            emitProgress?.(opId, `Crawl complete. Processed ${pageCount} pages.`);
-            logger.info(`Crawl complete. Processed ${pageCount} pages from ${baseUrl}`);
+        session.status = 'finished';
+        session.currentUrl = null;
+        const pageCount = session.stats.pagesCrawled;
+        emitProgress?.(opId, `Crawl complete. Processed ${pageCount} pages.`);
+        logger.info(`Crawl complete. Processed ${pageCount} pages from ${baseUrl}`);
+
+        return {
+            success: true,
+            crawlId: session.id,
+            mode: session.mode,
+            pagesProcessed: pageCount,
+            pagesFailed: session.stats.pagesFailed,
+            pagesUnchanged: session.stats.pagesUnchanged,
+            pagesDisallowed: session.stats.pagesDisallowed,
+            totalUrls: session.visitedUrls.size,
+            skipped: session.skipped,
+            linksOutOfScope: session.stats.linksOutOfScope,
+            gone: session.gone,
+            listedUrls: session.listedUrls,
+            options: session.describeOptions(),
+            pages: allPages
+        };
+    }
 
-            return {
-                success: true,
-                pagesProcessed: pageCount,
-                totalUrls: this.visitedUrls.size,
-                pages: allPages
-            };
+    async getRobotsRules(session, url) {
+        const { origin } = new URL(url);
+        if (!session.robotsByOrigin.has(origin)) {
+            const rules = await fetchRobotsTxt(url, this.userAgent);
+            session.robotsByOrigin.set(origin, rules);
 
-        } catch (error) {
-            logger.error(`Error during website crawl: ${error.message}`);
-            emitProgress?.(opId, `Crawl failed: ${error.message}`);
-            throw error;
+            const crawlDelayMs = rules.getCrawlDelayMs(this.userAgent);
+            if (crawlDelayMs !== null && crawlDelayMs > session.delayMs) {
+                session.delayMs = Math.min(crawlDelayMs, MAX_CRAWL_DELAY_MS);
+                emitProgress?.(session.opId, `Honoring robots.txt Crawl-delay of ${session.delayMs / 1000}s for ${origin}`);
+            }
         }
+        return session.robotsByOrigin.get(origin);
     }
 
-    async checkRobotsTxt(baseUrl, opId) {
-        try {
-            const robotsUrl = new URL('/robots.txt', baseUrl).href;
-            emitProgress?.(opId, 'Checking robots.txt...');
+    async isAllowedByRobots(session, url) {
+        const rules = await this.getRobotsRules(session, url);
+        if (rules.isAllowed(url, this.userAgent)) return true;
 
-            const response = await fetch(robotsUrl, {
-                headers: { 'User-Agent': this.userAgent },
-                signal: AbortSignal.timeout(5000)
-            });
-
-            if (response.ok) {
-                const robotsText = await response.text();
-                // Basic robots.txt parsing - could be enhanced
-                if (robotsText.toLowerCase().includes('disallow: /')) {
-                    logger.warn('robots.txt disallows crawling');
-                    emitProgress?.(opId, 'Warning: robots.txt disallows crawling');
-                }
-            }
-        } catch (error) {
-            logger.debug('Could not fetch robots.txt:', error.message);
-        }
+        const reason = rules.reason ? `blocked, ${rules.reason}` : 'disallowed by robots.txt';
+        session.stats.pagesDisallowed++;
+        session.skip(url, reason);
+        logger.info(`Skipping ${url}: ${reason}`);
+        emitProgress?.(session.opId, `Skipped ${url}: ${reason}`);
+        return false;
     }
 
-    async fetchAndProcessPage(url, opId) {
+    // Returns page data, { notModified } for a 304, { gone } for a 404/410, or null on failure.
+    // `known` carries the validators from the previous crawl and turns the request into a conditional one.
+    async fetchAndProcessPage(url, opId, known = null) {
         try {
             const controller = new AbortController();
             const timeout = setTimeout(() => controller.abort(), 10000);
 
-            const response = await fetch(url, {
-                headers: {
-                    'User-Agent': this.userAgent,
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.5',
-                    'Accept-Encoding': 'gzip, deflate',
-                    'Connection': 'keep-alive',
-                },
-                signal: controller.signal,
-            });
+            const headers = {
+                'User-Agent': this.userAgent,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': 'en-US,en;q=0.5',
+                'Accept-Encoding': 'gzip, deflate',
+                'Connection': 'keep-alive',
+            };
+            if (known?.etag) headers['If-None-Match'] = known.etag;
+            if (known?.lastModified) headers['If-Modified-Since'] = known.lastModified;
+
+            const response = await fetch(url, { headers, signal: controller.signal });
             clearTimeout(timeout);
 
+            if (response.status === 304) {
+                return { url, notModified: true };
+            }
+            if (response.status === 404 || response.status === 410) {
+                logger.info(`Page gone (HTTP ${response.status}): ${url}`);
+                return { url, gone: true, status: response.status };
+            }
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
@@ -133,23 +356,22 @@ class WebsiteCrawler {
             // Prefer main/article, fallback to body
             const mainHtml = $('main').html() || $('article').html() || $('body').html() || '';
 
-            // Convert HTML to plain text
-            const textContent = htmlToText(mainHtml, {
-                wordwrap: false,
-                selectors: [
-                    { selector: 'a', options: { ignoreHref: true } },
-                    { selector: 'img', format: 'skip' },
-                ],
-            });
+            // Convert HTML to text, keeping headings and code blocks for structure-aware chunking
+            const textContent = htmlToMarkdown(mainHtml);
 
             // Extract title
             const title = $('title').text().trim() || 'Untitled Document';
 
             return {
                 url,
+                finalUrl: response.url || url,
                 title,
                 html: mainHtml,
                 textContent,
+                mimeType: (response.headers.get('content-type') || 'text/html').split(';')[0].trim(),
+                byteSize: Buffer.byteLength(html, 'utf8'),
+                etag: response.headers.get('etag'),
+                lastModified: response.headers.get('last-modified'),
                 links: this.extractAllLinks($)
             };
 
@@ -159,7 +381,7 @@ class WebsiteCrawler {
         }
     }
 
-    extractInternalLinks(html, baseDomain) {
+    extractInternalLinks(html, pageUrl, session) {
         const $ = cheerio.load(html);
         const links = new Set();
 
@@ -168,24 +390,15 @@ class WebsiteCrawler {
             if (!href) return;
 
             try {
-                // Handle relative URLs
-                let fullUrl;
-                if (href.startsWith('http')) {
-                    fullUrl = href;
-                } else if (href.startsWith('/')) {
-                    fullUrl = `https://${baseDomain}${href}`;
-                } else {
-                    fullUrl = `https://${baseDomain}/${href}`;
-                }
-
-                const urlObj = new URL(fullUrl);
+                // Resolve relative URLs against the page they appear on
+                const fullUrl = new URL(href, pageUrl).href;
 
-                // Only include links from the same domain
-                if (urlObj.hostname === baseDomain) {
-                    // Clean URL (remove fragments, query params for deduplication)
-                    const cleanUrl = `${urlObj.protocol}//${urlObj.hostname}${urlObj.pathname}`;
-                    links.add(cleanUrl);
+                const outOfScope = session.scope.check(fullUrl);
+                if (outOfScope) {
+                    session.stats.linksOutOfScope++;
+                    return;
                 }
+                links.add(session.scope.normalize(fullUrl));
             } catch (error) {
                 // Skip invalid URLs
                 logger.debug(`Invalid URL: ${href}`);
@@ -0,0 +1,32 @@
+import { normalizeHistory, formatChatHistory } from '../src/services/chatHistory.js';
+
+describe('normalizeHistory', () => {
+    test('keeps the last well-formed user and assistant turns', () => {
+        const turns = Array.from({ length: 10 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: ` turn ${i} ` }));
+        const history = normalizeHistory([{ role: 'system', content: 'ignore me' }, null, { role: 'user', content: '   ' }, ...turns]);
+
+        expect(history).toHaveLength(8);
+        expect(history[0]).toEqual({ role: 'user', content: 'turn 2' });
+        expect(history[7]).toEqual({ role: 'assistant', content: 'turn 9' });
+    });
+
+    test('treats anything but an array as no history', () => {
+        expect(normalizeHistory('user: hi')).toEqual([]);
+        expect(normalizeHistory(undefined)).toEqual([]);
+    });
+});
+
+describe('formatChatHistory', () => {
+    test('labels speakers and truncates long turns', () => {
+        const transcript = formatChatHistory([
+            { role: 'user', content: 'What is RAG?' },
+            { role: 'assistant', content: 'x'.repeat(700) },
+        ]);
+
+        expect(transcript).toBe(`User: What is RAG?\nAssistant: ${'x'.repeat(600)}…`);
+    });
+
+    test('says so when there is no previous conversation', () => {
+        expect(formatChatHistory([])).toBe('No previous conversation.');
+    });
+});
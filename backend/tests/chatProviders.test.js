@@ -0,0 +1,75 @@
+import { HumanMessage } from '@langchain/core/messages';
+import { ScriptedChatModel, UsageTracker, parseChatChoice, describeChatProviders } from '../src/services/chatProviders.js';
+import rag from '../src/services/ragService.js';
+import { useFakeQdrant } from './helpers/fakeQdrant.js';
+
+describe('fake chat provider', () => {
+    const { NODE_ENV } = process.env;
+
+    afterEach(() => {
+        process.env.NODE_ENV = NODE_ENV;
+        delete process.env.ALLOW_FAKE_CHAT;
+    });
+
+    test('can only be chosen under tests or when explicitly allowed', () => {
+        expect(parseChatChoice({ chatProvider: 'fake' }).chat).toMatchObject({ chatProvider: 'fake', chatModel: 'scripted' });
+
+        process.env.NODE_ENV = 'production';
+        expect(parseChatChoice({ chatProvider: 'fake' }).error).toBe('The fake chat provider is only available when NODE_ENV=test or ALLOW_FAKE_CHAT=true');
+        expect(describeChatProviders().fake.available).toBe(false);
+
+        process.env.ALLOW_FAKE_CHAT = 'true';
+        expect(parseChatChoice({ chatProvider: 'fake' }).error).toBeUndefined();
+        expect(describeChatProviders().fake.available).toBe(true);
+    });
+
+    test('rejects providers that are Object.prototype members', () => {
+        expect(parseChatChoice({ chatProvider: 'constructor' }).error).toMatch(/^chatProvider must be one of: /);
+        expect(parseChatChoice({ chatProvider: '__proto__' }).error).toMatch(/^chatProvider must be one of: /);
+    });
+
+    test('replies with its script in turn and reports word counts as usage', async () => {
+        const model = new ScriptedChatModel({ responses: ['First reply.', 'Second reply here.'] });
+        const tracker = new UsageTracker();
+
+        const first = await model.invoke([new HumanMessage('one two three')], { callbacks: [tracker] });
+        const second = await model.invoke([new HumanMessage('four')]);
+        const third = await model.invoke([new HumanMessage('five')]);
+
+        expect([first.content, second.content, third.content]).toEqual(['First reply.', 'Second reply here.', 'First reply.']);
+        expect(tracker.usage).toEqual({ inputTokens: 3, outputTokens: 2, totalTokens: 5 });
+    });
+
+    test('streams word by word', async () => {
+        const model = new ScriptedChatModel({ responses: ['Streamed in three'] });
+        const chunks = [];
+        for await (const chunk of await model.stream([new HumanMessage('go')])) chunks.push(chunk.content);
+        expect(chunks).toEqual(['Streamed ', 'in ', 'three']);
+    });
+});
+
+describe('answering offline with the hash embedder and the fake chat model', () => {
+    beforeAll(async () => {
+        useFakeQdrant(rag);
+        await rag.processText('Troubleshooting: ERR_CONNECTION_REFUSED means nothing listens on port 3000. Start the backend first.', null);
+    });
+
+    test('answers from retrieved context with citations and usage', async () => {
+        const answer = await rag.query('What does ERR_CONNECTION_REFUSED mean?');
+
+        expect(answer.model).toMatchObject({ provider: 'fake', name: 'scripted' });
+        expect(answer.response).toContain('scripted answer');
+        expect(answer.citations).toEqual([expect.objectContaining({ id: 1, source: 'raw-text' })]);
+        expect(answer.usage.outputTokens).toBeGreaterThan(0);
+    });
+
+    test('streams the same answer token by token', async () => {
+        const tokens = [];
+        const result = await rag.streamQuery('What does ERR_CONNECTION_REFUSED mean?', {}, { onToken: token => tokens.push(token) });
+
+        expect(tokens.join('')).toBe('This is a scripted answer based on the provided context [1].');
+        expect(tokens.length).toBeGreaterThan(1);
+        expect(result.aborted).toBe(false);
+        expect(result.citations).toHaveLength(1);
+    });
+});
@@ -0,0 +1,41 @@
+import { Document } from '@langchain/core/documents';
+import { detectMimeType, ingestionMetadata, annotateChunkOffsets, joinPages } from '../src/services/chunkMetadata.js';
+
+test('detectMimeType prefers a known extension over the reported type', () => {
+    expect(detectMimeType('notes.MD', 'application/octet-stream')).toBe('text/markdown');
+    expect(detectMimeType('scan.tiff', 'image/tiff')).toBe('image/tiff');
+    expect(detectMimeType('blob', undefined)).toBe('application/octet-stream');
+});
+
+test('ingestionMetadata stamps the same moment as an ISO string and epoch milliseconds', () => {
+    const metadata = ingestionMetadata({ opId: 'op-1', mimeType: 'text/plain', byteSize: 0 });
+
+    expect(typeof metadata.ingestedAt).toBe('number');
+    expect(new Date(metadata.timestamp).getTime()).toBe(metadata.ingestedAt);
+    expect(metadata).toMatchObject({ opId: 'op-1', mimeType: 'text/plain', byteSize: 0 });
+    expect(ingestionMetadata({})).toMatchObject({ opId: null, mimeType: null, byteSize: null });
+});
+
+describe('annotateChunkOffsets', () => {
+    test('records character offsets and the pages each chunk spans', () => {
+        const { text, pageStarts } = joinPages(['First page text.', 'Second page text.']);
+        const chunks = [
+            new Document({ pageContent: 'First page', metadata: {} }),
+            new Document({ pageContent: 'text.\n\nSecond', metadata: {} }),
+            new Document({ pageContent: 'missing', metadata: {} }),
+        ];
+
+        annotateChunkOffsets(text, chunks, { pageStarts });
+
+        expect(pageStarts).toEqual([0, 18]);
+        expect(chunks[0].metadata).toEqual({ charStart: 0, charEnd: 10, page: 1 });
+        expect(chunks[1].metadata).toEqual({ charStart: 11, charEnd: 24, page: 1, pageEnd: 2 });
+        expect(chunks[2].metadata).toEqual({ charStart: null, charEnd: null });
+    });
+
+    test('locates repeated text in order', () => {
+        const chunks = [new Document({ pageContent: 'same', metadata: {} }), new Document({ pageContent: 'same', metadata: {} })];
+        annotateChunkOffsets('same and same', chunks);
+        expect(chunks.map(chunk => chunk.metadata.charStart)).toEqual([0, 9]);
+    });
+});
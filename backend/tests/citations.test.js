@@ -0,0 +1,34 @@
+import { Document } from '@langchain/core/documents';
+import { describeLocation, numberContext, extractCitations } from '../src/services/citations.js';
+
+test('describeLocation names the page or page range', () => {
+    expect(describeLocation({ page: 3 })).toBe('page 3');
+    expect(describeLocation({ page: 3, pageEnd: 4 })).toBe('pages 3-4');
+    expect(describeLocation({})).toBeNull();
+});
+
+describe('citations', () => {
+    const docs = numberContext([
+        new Document({ pageContent: 'Rotate keys every 90 days.', metadata: { source: 'policy.pdf', title: 'Security policy', page: 2 } }),
+        new Document({ pageContent: 'Use a   password manager.', metadata: { source: 'tips.txt' } }),
+    ]);
+
+    test('numberContext labels each chunk with its number, title and location', () => {
+        expect(docs.map(doc => [doc.metadata.citation, doc.metadata.citationLabel])).toEqual([
+            [1, 'Security policy (page 2)'],
+            [2, 'tips.txt'],
+        ]);
+    });
+
+    test('extractCitations returns the cited chunks in order and ignores unknown markers', () => {
+        const citations = extractCitations('Use a manager [2]. Rotate keys [1, 2] as well [7].', docs);
+
+        expect(citations.map(citation => citation.id)).toEqual([1, 2]);
+        expect(citations[0]).toMatchObject({ source: 'policy.pdf', title: 'Security policy', page: 2, location: 'page 2' });
+        expect(citations[1]).toMatchObject({ title: 'tips.txt', page: null, snippet: 'Use a password manager.' });
+    });
+
+    test('extractCitations finds nothing in an answer without markers', () => {
+        expect(extractCitations('No sources needed.', docs)).toEqual([]);
+    });
+});
@@ -0,0 +1,64 @@
+import collections, { parseSettings, parseNewCollection, slugify, DEFAULT_SETTINGS } from '../src/services/collections.js';
+
+describe('parseSettings', () => {
+    test('applies a partial update on top of the current settings', () => {
+        const { settings } = parseSettings({ chunkSize: '800', separators: ['\n\n', ' '] });
+
+        expect(settings).toMatchObject({ chunkSize: 800, chunkOverlap: DEFAULT_SETTINGS.chunkOverlap, separators: ['\n\n', ' '] });
+        expect(parseSettings({ chunkOverlap: 50 }, settings).settings).toMatchObject({ chunkSize: 800, chunkOverlap: 50 });
+    });
+
+    test.each([
+        [{ chunkSize: 50 }, 'chunkSize must be an integer between 100 and 8000'],
+        [{ chunkOverlap: -1 }, 'chunkOverlap must be a non-negative integer'],
+        [{ chunkSize: 200, chunkOverlap: 200 }, 'chunkOverlap must be smaller than chunkSize'],
+        [{ separators: [] }, 'separators must be an array of 1-20 strings'],
+        [{ separators: ['\n', 3] }, 'separators must be an array of 1-20 strings'],
+    ])('rejects %j', (body, message) => {
+        expect(parseSettings(body).error).toBe(message);
+    });
+
+    test('rejects embedding models that are Object.prototype members', () => {
+        expect(parseSettings({ embeddingModel: 'constructor' }).error).toBeDefined();
+    });
+});
+
+describe('parseNewCollection', () => {
+    test('derives the id from the name', () => {
+        expect(slugify('  HR Policies (2024) ')).toBe('hr-policies-2024');
+        expect(parseNewCollection({ name: 'Café Menu' })).toMatchObject({ id: 'cafe-menu', name: 'Café Menu', settings: DEFAULT_SETTINGS });
+    });
+
+    test.each([
+        [{}, 'Collection name is required'],
+        [{ name: '!!!' }, 'Collection id must be 1-63 lowercase letters, digits, "-" or "_"'],
+        [{ name: 'Docs', id: 'Docs' }, 'Collection id must be 1-63 lowercase letters, digits, "-" or "_"'],
+        [{ name: 'Docs', settings: { chunkSize: 1 } }, 'chunkSize must be an integer between 100 and 8000'],
+    ])('rejects %j', (body, message) => {
+        expect(parseNewCollection(body).error).toBe(message);
+    });
+});
+
+describe('CollectionRegistry', () => {
+    test('stores the name and settings of each collection', async () => {
+        const { id, name, settings } = parseNewCollection({ name: 'HR Policies', settings: { chunkSize: 1200 } });
+        await collections.create({ id, name, settings });
+        await collections.rename(id, 'People policies');
+
+        expect(await collections.find(id)).toMatchObject({ id: 'hr-policies', name: 'People policies' });
+        expect((await collections.getSettings(id)).chunkSize).toBe(1200);
+        expect((await collections.list()).map(entry => entry.id)).toContain('hr-policies');
+
+        await collections.remove(id);
+        expect(await collections.find(id)).toBeNull();
+        expect(await collections.getSettings(id)).toEqual(DEFAULT_SETTINGS);
+    });
+
+    test('does not resolve Object.prototype members as collections', async () => {
+        for (const id of ['constructor', 'toString', '__proto__']) {
+            expect(await collections.find(id)).toBeNull();
+            expect(await collections.getSettings(id)).toEqual(DEFAULT_SETTINGS);
+            expect(await collections.hasPinnedEmbedder(id)).toBe(false);
+        }
+    });
+});
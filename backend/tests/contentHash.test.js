@@ -0,0 +1,19 @@
+import { hashContent, parseDedupePolicy } from '../src/services/contentHash.js';
+
+describe('hashContent', () => {
+    test('ignores differences in whitespace only', () => {
+        expect(hashContent('Install  the\n\nCLI ')).toBe(hashContent('Install the CLI'));
+        expect(hashContent('Install the CLI')).not.toBe(hashContent('Install the API'));
+    });
+});
+
+describe('parseDedupePolicy', () => {
+    test('defaults to skip and accepts the known policies', () => {
+        expect(parseDedupePolicy(undefined)).toEqual({ policy: 'skip' });
+        expect(parseDedupePolicy('replace')).toEqual({ policy: 'replace' });
+    });
+
+    test('rejects anything else', () => {
+        expect(parseDedupePolicy('merge')).toEqual({ error: 'dedupe must be one of: skip, replace, keep' });
+    });
+});
@@ -0,0 +1,74 @@
+import { normalizeCrawlOptions, parseCrawlRequest, CrawlScope } from '../src/services/crawlOptions.js';
+
+describe('normalizeCrawlOptions', () => {
+    test('fills in defaults and normalizes the path prefix and pattern lists', () => {
+        const { options } = normalizeCrawlOptions({ maxDepth: '2', pathPrefix: 'docs', include: '/docs/**\n, /guides/*', keepQueryStrings: 'true' });
+
+        expect(options).toEqual({
+            maxPages: null,
+            maxDepth: 2,
+            pathPrefix: '/docs',
+            include: ['/docs/**', '/guides/*'],
+            exclude: [],
+            subdomainPolicy: 'same-host',
+            keepQueryStrings: true,
+        });
+    });
+
+    test.each([
+        [{ maxPages: 0 }, 'maxPages must be an integer between 1 and 1000'],
+        [{ maxDepth: 1.5 }, 'maxDepth must be an integer between 0 and 100'],
+        [{ subdomainPolicy: 'any' }, 'subdomainPolicy must be one of: same-host, include-subdomains'],
+        [{ exclude: ['/(/'] }, 'Invalid URL pattern "/(/"'],
+    ])('rejects %j', (raw, message) => {
+        expect(normalizeCrawlOptions(raw).error).toContain(message);
+    });
+});
+
+describe('CrawlScope', () => {
+    test('follows only URLs on the allowed hosts, under the prefix and matching the rules', () => {
+        const scope = new CrawlScope('https://www.example.com/docs/', {
+            subdomainPolicy: 'include-subdomains',
+            pathPrefix: '/docs',
+            exclude: ['**/changelog'],
+        });
+
+        expect(scope.check('https://api.example.com/docs/auth')).toBeNull();
+        expect(scope.check('https://example.org/docs/auth')).toBe('outside allowed hosts');
+        expect(scope.check('https://www.example.com/blog')).toBe('outside path prefix /docs');
+        expect(scope.check('https://www.example.com/docs/changelog')).toBe('excluded by **/changelog');
+        expect(scope.check('ftp://www.example.com/docs/file')).toBe('unsupported protocol');
+    });
+
+    test('drops fragments and, unless kept, query strings', () => {
+        expect(new CrawlScope('https://example.com').normalize('https://example.com/a?page=2#top')).toBe('https://example.com/a');
+        expect(new CrawlScope('https://example.com', { keepQueryStrings: true }).normalize('https://example.com/a?page=2#top'))
+            .toBe('https://example.com/a?page=2');
+    });
+});
+
+describe('parseCrawlRequest', () => {
+    test('accepts an http(s) URL with its options', () => {
+        const { url, options } = parseCrawlRequest({ url: 'https://example.com/docs', mode: 'sitemap', refresh: 'true' });
+
+        expect(url).toBe('https://example.com/docs');
+        expect(options).toMatchObject({ mode: 'sitemap', refresh: true, sitemapUrl: null });
+    });
+
+    test.each(['file:///etc/passwd', 'ftp://example.com/', 'javascript:alert(1)', 'example.com'])('rejects the URL %s', url => {
+        expect(parseCrawlRequest({ url })).toEqual({ error: 'URL must be an absolute http(s) URL' });
+    });
+
+    test('rejects a sitemap URL that is not http(s)', () => {
+        expect(parseCrawlRequest({ url: 'https://example.com', sitemapUrl: 'file:///tmp/sitemap.xml' }))
+            .toEqual({ error: 'sitemapUrl must be an absolute http(s) URL' });
+    });
+
+    test.each([
+        [{ url: 'https://example.com', mode: 'everything' }, 'Mode must be "links" or "sitemap"'],
+        [{ url: 'https://example.com', lastmodAfter: 'soon' }, 'lastmodAfter must be a valid date'],
+        [{ url: 'https://example.com', urlPattern: '/[/' }, 'Invalid urlPattern'],
+    ])('rejects %j', (body, message) => {
+        expect(parseCrawlRequest(body).error).toContain(message);
+    });
+});
@@ -0,0 +1,58 @@
+import { parseCronExpression, nextCronRun, shortestCronGapMinutes } from '../src/services/cronExpression.js';
+import { parseInterval } from '../src/services/crawlScheduler.js';
+
+// Local time, like the scheduler; 5 January 2026 is a Monday
+const at = (day, hour, minute) => new Date(2026, 0, day, hour, minute);
+const next = (expression, from) => nextCronRun(parseCronExpression(expression).cron, from);
+
+describe('cron expressions', () => {
+    test('finds the next matching minute, hour and weekday', () => {
+        expect(next('0 3 * * *', at(5, 10, 7))).toEqual(at(6, 3, 0));
+        expect(next('*/15 * * * *', at(5, 10, 7))).toEqual(at(5, 10, 15));
+        expect(next('30 9 * * mon-fri', at(9, 10, 0))).toEqual(at(12, 9, 30));
+        expect(next('0 0 1 feb *', at(5, 10, 0))).toEqual(new Date(2026, 1, 1, 0, 0));
+        expect(next('0 12 * * 7', at(5, 10, 0))).toEqual(at(11, 12, 0));
+    });
+
+    test('always moves strictly past the given time', () => {
+        expect(next('0 3 * * *', at(6, 3, 0))).toEqual(at(7, 3, 0));
+    });
+
+    test('matches either a restricted day of month or day of week', () => {
+        // The 10th (a Saturday) or any Wednesday
+        expect(next('0 8 10 * wed', at(5, 9, 0))).toEqual(at(7, 8, 0));
+        expect(next('0 8 10 * wed', at(7, 9, 0))).toEqual(at(10, 8, 0));
+    });
+
+    test('rejects malformed expressions', () => {
+        expect(parseCronExpression('0 3 * *').error).toMatch(/5 fields/);
+        expect(parseCronExpression('60 * * * *').error).toMatch(/minute must be between 0 and 59/);
+        expect(parseCronExpression('0 5-2 * * *').error).toMatch(/reversed/);
+        expect(parseCronExpression('*/0 * * * *').error).toMatch(/invalid step/);
+        expect(parseCronExpression('0 3 * * someday').error).toMatch(/invalid day of week/);
+    });
+
+    test('measures the shortest gap between runs', () => {
+        expect(shortestCronGapMinutes(parseCronExpression('*/20 * * * *').cron)).toBe(20);
+        expect(shortestCronGapMinutes(parseCronExpression('0 23,1 * * *').cron)).toBe(120);
+        expect(shortestCronGapMinutes(parseCronExpression('0 3 * * 1').cron)).toBe(24 * 60);
+    });
+});
+
+describe('schedule intervals', () => {
+    test('accepts fixed intervals and cron expressions', () => {
+        expect(parseInterval('6h').nextRun(at(5, 10, 7))).toEqual(at(5, 16, 7));
+        expect(parseInterval('0 3 * * 1-5').nextRun(at(9, 10, 0))).toEqual(at(12, 3, 0));
+    });
+
+    test('refuses schedules that run more often than every 15 minutes', () => {
+        expect(parseInterval('5m').error).toMatch(/at least 15 minutes/);
+        expect(parseInterval('*/5 * * * *').error).toMatch(/at least 15 minutes between runs/);
+        expect(parseInterval('0,10 3 * * *').error).toMatch(/at least 15 minutes between runs/);
+    });
+
+    test('refuses cron expressions that never match', () => {
+        expect(parseInterval('0 0 31 2 *').error).toMatch(/never matches/);
+        expect(parseInterval('daily').error).toMatch(/cron expression/);
+    });
+});
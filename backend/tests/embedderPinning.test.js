@@ -0,0 +1,70 @@
+import rag from '../src/services/ragService.js';
+import collections, { DEFAULT_SETTINGS } from '../src/services/collections.js';
+import { useFakeQdrant } from './helpers/fakeQdrant.js';
+
+const TEXT = 'Troubleshooting: ERR_CONNECTION_REFUSED means nothing listens on port 3000. Start the backend first.';
+
+describe('embedder pinning', () => {
+    let client;
+
+    beforeEach(async () => {
+        await collections.remove(rag.collectionName);
+        await rag.loadSettings();
+        client = useFakeQdrant(rag);
+    });
+
+    test('the first ingestion records the embedder the collection is built with', async () => {
+        expect(await collections.hasPinnedEmbedder(rag.collectionName)).toBe(false);
+
+        await rag.processText(TEXT, null);
+
+        expect(await collections.hasPinnedEmbedder(rag.collectionName)).toBe(true);
+        expect(await collections.getSettings(rag.collectionName)).toMatchObject({ embeddingProvider: 'hash', embeddingModel: 'hash-256' });
+        const { documents } = await rag.retrieve('ERR_CONNECTION_REFUSED');
+        expect(documents[0].pageContent).toContain('ERR_CONNECTION_REFUSED');
+    });
+
+    test('a pinned collection keeps its embedder when the defaults change', async () => {
+        await rag.processText(TEXT, null);
+
+        // As if the server restarted with EMBEDDING_MODEL=hash-768
+        DEFAULT_SETTINGS.embeddingModel = 'hash-768';
+        try {
+            await rag.loadSettings();
+            expect(rag.settings.embeddingModel).toBe('hash-256');
+            await expect(rag.retrieve('ERR_CONNECTION_REFUSED')).resolves.toHaveProperty('documents');
+        } finally {
+            DEFAULT_SETTINGS.embeddingModel = 'hash-256';
+        }
+    });
+
+    test('queries with a different vector size fail with an explanation', async () => {
+        await rag.processText(TEXT, null);
+        await collections.remove(rag.collectionName);
+        rag.applySettings({ ...rag.settings, embeddingModel: 'hash-768' });
+
+        await expect(rag.retrieve('ERR_CONNECTION_REFUSED')).rejects.toThrow(/hash\/hash-768 produces 768-dimensional query vectors but documents holds 256-dimensional ones/);
+    });
+
+    test('an unpinned collection built with another model of the same size is refused', async () => {
+        await rag.processText(TEXT, null);
+        for (const point of client.collections.get(rag.collectionName).points.values()) {
+            point.payload.metadata.embeddingProvider = 'openai-compatible';
+            point.payload.metadata.embeddingModel = 'some-256d-model';
+        }
+        await collections.remove(rag.collectionName);
+        rag.applySettings(rag.settings);
+
+        await expect(rag.retrieve('ERR_CONNECTION_REFUSED')).rejects.toThrow(/embedded with openai-compatible\/some-256d-model but the default embedder is now hash\/hash-256/);
+    });
+
+    test('a deliberate switch through the settings API is allowed', async () => {
+        await rag.processText(TEXT, null);
+        for (const point of client.collections.get(rag.collectionName).points.values()) {
+            point.payload.metadata.embeddingModel = 'hash-older';
+        }
+        rag.applySettings(rag.settings);
+
+        await expect(rag.retrieve('ERR_CONNECTION_REFUSED')).resolves.toHaveProperty('documents');
+    });
+});
@@ -0,0 +1,56 @@
+import { HashEmbeddings, parseEmbeddingChoice, embeddingDimensions, createEmbeddings } from '../src/services/embeddingProviders.js';
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('HashEmbeddings', () => {
+    const embeddings = new HashEmbeddings({ dimensions: 256 });
+
+    test('is deterministic and L2-normalised', async () => {
+        const [first] = await embeddings.embedDocuments(['Chai aur code: closures in JavaScript']);
+        const again = await embeddings.embedQuery('Chai aur code: closures in JavaScript');
+
+        expect(first).toHaveLength(256);
+        expect(again).toEqual(first);
+        expect(Math.hypot(...first)).toBeCloseTo(1, 10);
+    });
+
+    test('ranks texts sharing words above unrelated ones', async () => {
+        const query = await embeddings.embedQuery('How do JavaScript closures capture variables?');
+        const [related, unrelated] = await embeddings.embedDocuments([
+            'Closures capture variables from the enclosing JavaScript scope.',
+            'Docker compose starts the Qdrant container on port 6333.',
+        ]);
+
+        expect(cosine(query, related)).toBeGreaterThan(cosine(query, unrelated));
+    });
+
+    test('never returns a zero vector', async () => {
+        const vector = await embeddings.embedQuery('   ');
+        expect(vector.some(value => value !== 0)).toBe(true);
+    });
+});
+
+describe('parseEmbeddingChoice', () => {
+    test('defaults to the provider model and validates known models', () => {
+        expect(parseEmbeddingChoice('hash')).toEqual({ provider: 'hash', model: 'hash-256' });
+        expect(parseEmbeddingChoice('hash', 'hash-768')).toEqual({ provider: 'hash', model: 'hash-768' });
+        expect(parseEmbeddingChoice('hash', 'hash-99').error).toMatch(/hash-256, hash-768/);
+        expect(parseEmbeddingChoice('nope').error).toMatch(/embeddingProvider must be one of/);
+        expect(parseEmbeddingChoice('constructor').error).toMatch(/embeddingProvider must be one of/);
+        expect(parseEmbeddingChoice('hash', 'toString').error).toMatch(/hash-256, hash-768/);
+    });
+
+    test('refuses providers whose environment is not configured', () => {
+        const saved = process.env.EMBEDDING_BASE_URL;
+        delete process.env.EMBEDDING_BASE_URL;
+        expect(parseEmbeddingChoice('openai-compatible').error).toMatch(/EMBEDDING_BASE_URL/);
+        if (saved !== undefined) process.env.EMBEDDING_BASE_URL = saved;
+    });
+});
+
+test('embeddingDimensions matches what the embedder produces', async () => {
+    const settings = { embeddingProvider: 'hash', embeddingModel: 'hash-768' };
+    const vector = await createEmbeddings(settings).embedQuery('probe');
+    expect(await embeddingDimensions(settings)).toBe(768);
+    expect(vector).toHaveLength(768);
+});
@@ -0,0 +1,138 @@
+// In-memory stand-in for the parts of QdrantClient the app uses, so the pipeline runs without a Qdrant server.
+// Filters support the conditions the app builds (match value/any/text, range, has_id, is_empty).
+
+const getPath = (object, key) => key.split('.').reduce((value, part) => value?.[part], object);
+
+function matchesCondition(point, condition) {
+    if (condition.has_id) return condition.has_id.includes(point.id);
+    if (condition.is_empty) {
+        const value = getPath(point.payload, condition.is_empty.key);
+        return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+    }
+    if (condition.must || condition.should || condition.must_not) return matchesFilter(point, condition);
+    const value = getPath(point.payload, condition.key);
+    if (condition.match?.value !== undefined) return value === condition.match.value;
+    if (condition.match?.any) return condition.match.any.includes(value);
+    if (condition.match?.text !== undefined) return String(value ?? '').includes(condition.match.text);
+    if (condition.range) {
+        const { gt, gte, lt, lte } = condition.range;
+        return typeof value === 'number'
+            && (gt === undefined || value > gt) && (gte === undefined || value >= gte)
+            && (lt === undefined || value < lt) && (lte === undefined || value <= lte);
+    }
+    throw new Error(`Unsupported filter condition: ${JSON.stringify(condition)}`);
+}
+
+export function matchesFilter(point, filter) {
+    if (!filter) return true;
+    return (!filter.must || filter.must.every(condition => matchesCondition(point, condition)))
+        && (!filter.should || filter.should.length === 0 || filter.should.some(condition => matchesCondition(point, condition)))
+        && (!filter.must_not || !filter.must_not.some(condition => matchesCondition(point, condition)));
+}
+
+function notFound(name) {
+    const error = new Error(`Not Found: Collection \`${name}\` doesn't exist!`);
+    error.status = 404;
+    return error;
+}
+
+const cosine = (a, b) => {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+export class FakeQdrantClient {
+    constructor() {
+        this.collections = new Map(); // name -> { size, points: Map<id, point> }
+    }
+
+    collection(name) {
+        const collection = this.collections.get(name);
+        if (!collection) throw notFound(name);
+        return collection;
+    }
+
+    points(name, filter) {
+        return [...this.collection(name).points.values()].filter(point => matchesFilter(point, filter));
+    }
+
+    async getCollections() {
+        return { collections: [...this.collections.keys()].map(name => ({ name })) };
+    }
+
+    async collectionExists(name) {
+        return { exists: this.collections.has(name) };
+    }
+
+    async createCollection(name, { vectors }) {
+        this.collections.set(name, { size: vectors.size, points: new Map() });
+        return true;
+    }
+
+    async deleteCollection(name) {
+        return this.collections.delete(name);
+    }
+
+    async getCollection(name) {
+        const collection = this.collection(name);
+        return { config: { params: { vectors: { size: collection.size, distance: 'Cosine' } } }, points_count: collection.points.size };
+    }
+
+    async upsert(name, { points }) {
+        const collection = this.collection(name);
+        for (const point of points) {
+            if (point.vector.length !== collection.size) {
+                throw new Error(`Bad Request: Wrong input: Vector dimension error: expected dim: ${collection.size}, got ${point.vector.length}`);
+            }
+            collection.points.set(point.id, structuredClone(point));
+        }
+        return { status: 'completed' };
+    }
+
+    async search(name, { vector, limit = 10, filter, with_payload = true }) {
+        const collection = this.collection(name);
+        if (vector.length !== collection.size) {
+            throw new Error(`Bad Request: Wrong input: Vector dimension error: expected dim: ${collection.size}, got ${vector.length}`);
+        }
+        return this.points(name, filter)
+            .map(point => ({ id: point.id, score: cosine(vector, point.vector), payload: with_payload ? point.payload : undefined }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    async scroll(name, { filter, limit = 10, offset, with_payload = true } = {}) {
+        const matching = this.points(name, filter);
+        const start = offset ?? 0;
+        const page = matching.slice(start, start + limit).map(point => ({ id: point.id, payload: with_payload ? point.payload : undefined }));
+        return { points: page, next_page_offset: start + limit < matching.length ? start + limit : null };
+    }
+
+    async setPayload(name, { payload, filter, points, key }) {
+        const targets = points ? points.map(id => this.collection(name).points.get(id)).filter(Boolean) : this.points(name, filter);
+        for (const point of targets) {
+            Object.assign(key ? getPath(point.payload, key) : point.payload, payload);
+        }
+        return { status: 'completed' };
+    }
+
+    async delete(name, { points, filter }) {
+        const collection = this.collection(name);
+        const ids = points || this.points(name, filter).map(point => point.id);
+        for (const id of ids) collection.points.delete(id);
+        return { status: 'completed' };
+    }
+}
+
+// Point `rag` (and every collection view created from it afterwards) at a fresh fake client
+export function useFakeQdrant(rag) {
+    const client = new FakeQdrantClient();
+    rag.qdrantConnection = { client };
+    rag.views.clear();
+    rag.applySettings(rag.settings);
+    return client;
+}
@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import { Document } from '@langchain/core/documents';
+import { KeywordIndex, tokenize, reciprocalRankFusion } from '../src/services/hybridSearch.js';
+import rag from '../src/services/ragService.js';
+import { useFakeQdrant } from './helpers/fakeQdrant.js';
+
+const point = (id, content, metadata = {}) => ({ id, payload: { content, metadata } });
+
+describe('tokenize', () => {
+    test('keeps compound identifiers whole and split', () => {
+        expect(tokenize('ERR_CONNECTION_REFUSED in useEffect')).toEqual([
+            'err_connection_refused', 'err', 'connection', 'refused', 'in', 'useeffect', 'use', 'effect',
+        ]);
+    });
+});
+
+describe('KeywordIndex', () => {
+    const corpus = [
+        point(1, 'ERR_CONNECTION_REFUSED means nothing listens on the port'),
+        point(2, 'Closures capture variables from the enclosing scope'),
+        point(3, 'Check the port mapping when the connection is refused'),
+    ];
+
+    test('stays in step with a full rebuild as points are added and removed', async () => {
+        const incremental = new KeywordIndex();
+        const loadPoints = jest.fn(async () => corpus.slice(0, 2));
+        await incremental.search('port', 5, loadPoints);
+        incremental.add([corpus[2]]);
+        incremental.remove([2]);
+
+        const rebuilt = new KeywordIndex();
+        const expected = await rebuilt.search('refused port', 5, async () => [corpus[0], corpus[2]]);
+
+        expect(await incremental.search('refused port', 5, loadPoints)).toEqual(expected);
+        expect(loadPoints).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores changes until it is first loaded', async () => {
+        const index = new KeywordIndex();
+        index.add([corpus[2]]);
+        index.remove([1]);
+
+        const hits = await index.search('port', 5, async () => corpus);
+        expect(hits.map(hit => hit.id).sort()).toEqual([1, 3]);
+    });
+
+    test('ranks only the allowed points', async () => {
+        const index = new KeywordIndex();
+        const hits = await index.search('port', 5, async () => corpus, new Set([3]));
+        expect(hits.map(hit => hit.id)).toEqual([3]);
+    });
+});
+
+test('reciprocalRankFusion adds up weighted reciprocal ranks', () => {
+    const fused = reciprocalRankFusion([
+        { name: 'vector', weight: 0.5, hits: [{ id: 'a', score: 0.9 }, { id: 'b', score: 0.8 }] },
+        { name: 'keyword', weight: 0.5, hits: [{ id: 'b', score: 7 }] },
+    ]);
+    expect(fused.map(hit => hit.id)).toEqual(['b', 'a']);
+    expect(fused[0].ranks).toEqual({ vector: 2, keyword: 1 });
+});
+
+describe('keyword search in ragService', () => {
+    beforeEach(() => {
+        useFakeQdrant(rag);
+    });
+
+    test('a filtered query keeps its keyword matches even when better ones lie outside the filter', async () => {
+        // More matches outside the filter than keyword search takes candidates (at least 20 per query)
+        for (let i = 0; i < 45; i++) {
+            await rag.storeDocument(
+                new Document({ pageContent: `Guide ${i}: ECONNRESET ECONNRESET ECONNRESET happens when the peer resets.`, metadata: { source: `guide-${i}` } }),
+                'keep',
+                null,
+            );
+        }
+        await rag.storeDocument(new Document({ pageContent: 'Notes: a single ECONNRESET after deploys, among many other words about the release process.', metadata: { source: 'notes' } }), 'keep', null);
+
+        const { documents } = await rag.retrieve('ECONNRESET', {
+            keywordWeight: 1,
+            topK: 2,
+            filter: { must: [{ key: 'metadata.source', match: { any: ['notes'] } }] },
+        });
+
+        expect(documents.map(document => document.metadata.source)).toEqual(['notes']);
+    });
+
+    test('new and deleted chunks reach the index without rescanning the collection', async () => {
+        await rag.storeDocument(new Document({ pageContent: 'ENOTFOUND means DNS could not resolve the host.', metadata: { source: 'dns' } }), 'keep', null);
+        await rag.retrieve('ENOTFOUND', { keywordWeight: 1 });
+
+        const scroll = jest.spyOn(rag, 'scrollAllPoints');
+        await rag.storeDocument(new Document({ pageContent: 'EADDRINUSE means another process holds the port.', metadata: { source: 'ports' } }), 'keep', null);
+        const added = await rag.retrieve('EADDRINUSE', { keywordWeight: 1 });
+        await rag.deleteDocument('ports');
+        const removed = await rag.retrieve('EADDRINUSE', { keywordWeight: 1 });
+
+        expect(added.documents.map(document => document.metadata.source)).toEqual(['ports']);
+        expect(removed.documents).toEqual([]);
+        // Only the deletion itself lists the collection; keyword search does not
+        const fullScans = scroll.mock.calls.filter(([filter]) => filter === undefined);
+        expect(fullScans).toHaveLength(1);
+        scroll.mockRestore();
+    });
+});
@@ -0,0 +1,57 @@
+import personas, { parsePersona, personaSystemPrompt } from '../src/services/personas.js';
+
+const custom = {
+    name: ' Support bot ',
+    systemPrompt: 'You answer support questions.',
+    queryTemplate: 'Context: {context}\nHistory: {chat_history}\nQuestion: {input}',
+    tone: 'formal',
+    messages: { noContext: 'No idea, sorry.', error: 'Something broke.' },
+};
+
+describe('parsePersona', () => {
+    test('fills in defaults and trims the name', () => {
+        const { persona } = parsePersona(custom);
+
+        expect(persona).toMatchObject({ name: 'Support bot', description: '', tone: 'formal', language: 'English' });
+        expect(personaSystemPrompt(persona)).toBe('You answer support questions.\n\n## Tone\nKeep a formal, professional tone.\n\n## Language\nAnswer in English.');
+    });
+
+    test.each([
+        [{ ...custom, name: '' }, 'name is required'],
+        [{ ...custom, tone: 'grumpy' }, 'tone must be one of: friendly, casual, formal, neutral'],
+        [{ ...custom, tone: 'constructor' }, 'tone must be one of: friendly, casual, formal, neutral'],
+        [{ ...custom, messages: ['oops'] }, 'messages must be an object with noContext and error texts'],
+        [{ ...custom, queryTemplate: '{context}' }, 'queryTemplate must contain {input} (the question)'],
+    ])('rejects %j', (body, message) => {
+        expect(parsePersona(body).error).toBe(message);
+    });
+
+    test('applies a partial update on top of the current persona', () => {
+        const { persona } = parsePersona({ language: 'Hindi', messages: { error: 'Oops.' } }, parsePersona(custom).persona);
+
+        expect(persona).toMatchObject({ name: 'Support bot', language: 'Hindi', messages: { noContext: 'No idea, sorry.', error: 'Oops.' } });
+    });
+});
+
+describe('PersonaRegistry', () => {
+    test('creates, updates and removes custom personas but never built-in ones', async () => {
+        const { persona } = await personas.create(custom);
+        expect(persona).toMatchObject({ id: 'support-bot', builtIn: false });
+        expect(await personas.create(custom)).toEqual({ error: 'Persona support-bot already exists', conflict: true });
+
+        expect((await personas.update('support-bot', { tone: 'casual' })).persona.tone).toBe('casual');
+        expect((await personas.update('plain', { tone: 'casual' })).error).toMatch(/^Built-in personas cannot be changed/);
+        expect(await personas.remove('plain')).toEqual({ error: 'Built-in personas cannot be deleted' });
+
+        expect(await personas.remove('support-bot')).toEqual({ success: true, id: 'support-bot' });
+        expect(await personas.find('support-bot')).toBeNull();
+    });
+
+    test('does not resolve Object.prototype members as personas', async () => {
+        for (const id of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+            expect(await personas.find(id)).toBeNull();
+            expect(await personas.update(id, { tone: 'casual' })).toBeNull();
+            expect(await personas.remove(id)).toBeNull();
+        }
+    });
+});
@@ -0,0 +1,39 @@
+import { EventEmitter } from 'events';
+import { writeEvent, sseHandler, emitProgress, emitDone } from '../src/services/progress.js';
+
+function fakeResponse() {
+    return {
+        headers: {},
+        chunks: [],
+        setHeader(name, value) { this.headers[name] = value; },
+        write(chunk) { this.chunks.push(chunk); },
+        get text() { return this.chunks.join(''); },
+    };
+}
+
+test('writeEvent frames a named event with a JSON payload', () => {
+    const res = fakeResponse();
+    writeEvent(res, 'token', { text: 'Hel' });
+    writeEvent(res, 'done', 'finished');
+
+    expect(res.text).toBe('event: token\ndata: {"text":"Hel"}\n\nevent: done\ndata: finished\n\n');
+});
+
+test('progress events reach the clients of their operation until they disconnect', () => {
+    const req = Object.assign(new EventEmitter(), { params: { opId: 'op-1' } });
+    const res = fakeResponse();
+    sseHandler(req, res);
+
+    emitProgress('op-1', 'Chunking text', { step: 1 });
+    emitProgress('op-2', 'Someone else');
+    emitDone('op-1', { chunksAdded: 3 });
+    req.emit('close');
+    emitProgress('op-1', 'After close');
+
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+    expect(res.text).toBe([
+        'event: open\ndata: {"opId":"op-1"}\n\n',
+        'event: progress\ndata: {"message":"Chunking text","step":1}\n\n',
+        'event: done\ndata: {"done":true,"chunksAdded":3}\n\n',
+    ].join(''));
+});
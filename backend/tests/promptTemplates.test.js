@@ -0,0 +1,41 @@
+import { validateQueryTemplate, systemPromptWarnings } from '../src/services/promptTemplates.js';
+
+describe('validateQueryTemplate', () => {
+    test('accepts a template with every variable and literal braces', () => {
+        expect(validateQueryTemplate('Context:\n{context}\n\nHistory: {chat_history}\n\nQ: {input}\nAnswer as JSON {{"answer": ...}}')).toEqual({
+            errors: [],
+            warnings: [],
+            variables: ['context', 'chat_history', 'input'],
+        });
+    });
+
+    test('reports unknown variables with a suggestion and missing required ones', () => {
+        const { errors, warnings } = validateQueryTemplate('{contxt}\n{input}');
+
+        expect(errors).toEqual([
+            'queryTemplate uses unknown variable {contxt} (did you mean {context}?); available: {context}, {input}, {chat_history}',
+            'queryTemplate must contain {context} (the numbered passages retrieved for the question)',
+        ]);
+        expect(warnings).toHaveLength(1);
+    });
+
+    test('does not mistake Object.prototype members for variables', () => {
+        const { errors } = validateQueryTemplate('{context} {input} {constructor} {toString}');
+
+        expect(errors).toHaveLength(2);
+        expect(errors[0]).toMatch(/^queryTemplate uses unknown variable \{constructor\}/);
+        expect(errors[1]).toMatch(/^queryTemplate uses unknown variable \{toString\}/);
+    });
+
+    test('explains unbalanced braces', () => {
+        expect(validateQueryTemplate('{context} {input} {').errors[0]).toMatch(/^queryTemplate cannot be parsed: .* Write literal braces as \{\{ and \}\}\.$/);
+        expect(validateQueryTemplate('  ').errors).toEqual(['queryTemplate is required']);
+    });
+});
+
+test('systemPromptWarnings flags placeholders that will not be filled in', () => {
+    expect(systemPromptWarnings('Use {context} and { input } wisely. {other}')).toEqual([
+        'systemPrompt is sent as written: {context} in it is not filled in (use the query template for that)',
+        'systemPrompt is sent as written: { input } in it is not filled in (use the query template for that)',
+    ]);
+});
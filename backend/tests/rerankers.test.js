@@ -0,0 +1,82 @@
+import http from 'http';
+import { lexicalRelevance, parseRerankOptions, scoreRelevance } from '../src/services/rerankers.js';
+
+test('lexicalRelevance is the share of content words the passage contains', () => {
+    expect(lexicalRelevance('How do I configure the proxy?', 'Proxy configuration lives in settings.')).toBe(1);
+    expect(lexicalRelevance('kya hai docker volume', 'A volume keeps data.')).toBe(0.5);
+    expect(lexicalRelevance('what is it?', 'anything')).toBe(1);
+});
+
+describe('parseRerankOptions', () => {
+    test('returns only the fields that were given', () => {
+        expect(parseRerankOptions({})).toEqual({ rerank: {} });
+        expect(parseRerankOptions({ reranker: 'local', minRelevance: '0.4' })).toEqual({ rerank: { reranker: 'local', minRelevance: 0.4 } });
+    });
+
+    test.each([
+        [{ reranker: 'magic' }, 'reranker must be one of: none, local, llm, cross-encoder'],
+        [{ reranker: 'constructor' }, 'reranker must be one of: none, local, llm, cross-encoder'],
+        [{ minRelevance: 2 }, 'minRelevance must be a number between 0 and 1'],
+        [{ minRelevance: null }, 'minRelevance must be a number between 0 and 1'],
+    ])('rejects %j', (body, message) => {
+        expect(parseRerankOptions(body).error).toBe(message);
+    });
+});
+
+describe('cross-encoder reranker', () => {
+    let server;
+    let hang;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            if (hang) return; // never answers; the client has to give up
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const { documents } = JSON.parse(body);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ results: documents.map((_, index) => ({ index, relevance_score: index === 0 ? 0.9 : -2 })) }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        process.env.RERANK_BASE_URL = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    afterAll(() => {
+        delete process.env.RERANK_BASE_URL;
+        delete process.env.RERANK_TIMEOUT_MS;
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        hang = false;
+        delete process.env.RERANK_TIMEOUT_MS;
+    });
+
+    test('reads the scores, squashing logits into 0-1', async () => {
+        const scores = await scoreRelevance('cross-encoder', 'question', ['relevant', 'unrelated']);
+
+        expect(scores[0]).toBe(0.9);
+        expect(scores[1]).toBeCloseTo(1 / (1 + Math.exp(2)), 10);
+    });
+
+    test('gives up after RERANK_TIMEOUT_MS', async () => {
+        hang = true;
+        process.env.RERANK_TIMEOUT_MS = '100';
+
+        await expect(scoreRelevance('cross-encoder', 'question', ['passage']))
+            .rejects.toThrow(/^Rerank request to http:\/\/127\.0\.0\.1:\d+ timed out after 100 ms$/);
+    });
+
+    test('stops as soon as the query is aborted', async () => {
+        hang = true;
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+
+        const started = Date.now();
+        await expect(scoreRelevance('cross-encoder', 'question', ['passage'], { config: { signal: controller.signal } }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(Date.now() - started).toBeLessThan(5000);
+    });
+});
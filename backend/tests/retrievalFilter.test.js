@@ -0,0 +1,56 @@
+import { buildRetrievalFilter } from '../src/services/retrievalFilter.js';
+import rag from '../src/services/ragService.js';
+import { useFakeQdrant } from './helpers/fakeQdrant.js';
+
+describe('buildRetrievalFilter', () => {
+    test('returns no filter when nothing is selected', () => {
+        expect(buildRetrievalFilter({ includedSources: [], excludedSources: '', title: '  ' }))
+            .toEqual({ filter: undefined, applied: null });
+    });
+
+    test('includes, excludes and matches titles, an included source winning over its exclusion', () => {
+        const { filter, applied } = buildRetrievalFilter({
+            includedSources: ['a.pdf', ' b.pdf ', 'a.pdf'],
+            excludedSources: ['b.pdf', 'c.pdf'],
+            title: ' Setup ',
+        });
+
+        expect(filter).toEqual({
+            must: [
+                { key: 'metadata.source', match: { any: ['a.pdf', 'b.pdf'] } },
+                { key: 'metadata.title', match: { text: 'Setup' } },
+            ],
+            must_not: [{ key: 'metadata.source', match: { any: ['c.pdf'] } }],
+        });
+        expect(applied).toEqual({ includedSources: ['a.pdf', 'b.pdf'], excludedSources: ['c.pdf'], title: 'Setup' });
+    });
+
+    test('compares dates as epoch milliseconds on ingestedAt', () => {
+        const { filter, applied } = buildRetrievalFilter({ ingestedAfter: '2024-01-01', ingestedBefore: '2024-02-01T12:00:00Z' });
+
+        expect(filter.must).toEqual([{
+            key: 'metadata.ingestedAt',
+            range: { gte: Date.UTC(2024, 0, 1), lte: Date.UTC(2024, 1, 1, 12) },
+        }]);
+        expect(applied).toEqual({ ingestedAfter: '2024-01-01T00:00:00.000Z', ingestedBefore: '2024-02-01T12:00:00.000Z' });
+    });
+
+    test('rejects dates it cannot parse', () => {
+        expect(() => buildRetrievalFilter({ ingestedAfter: 'last tuesday' })).toThrow('Invalid date: last tuesday');
+    });
+});
+
+describe('date filters in retrieval', () => {
+    beforeEach(() => {
+        useFakeQdrant(rag);
+    });
+
+    test('match chunks by the time they were ingested', async () => {
+        await rag.processText('Rotate the API keys every ninety days.', null);
+        const search = options => rag.vectorStore.similaritySearch('API keys', 4, buildRetrievalFilter(options).filter);
+        const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+        expect((await search({ ingestedAfter: hourAgo })).map(document => document.metadata.source)).toEqual(['raw-text']);
+        expect(await search({ ingestedBefore: '2020-01-01' })).toEqual([]);
+    });
+});
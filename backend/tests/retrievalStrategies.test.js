@@ -0,0 +1,46 @@
+import { planSearches, mergeChunks } from '../src/services/retrievalStrategies.js';
+import { parseRetrievalOptions } from '../src/services/hybridSearch.js';
+import { ScriptedChatModel } from '../src/services/chatProviders.js';
+
+describe('planSearches', () => {
+    const question = 'How do I reset my password?';
+
+    test('multi-query searches with the question and its distinct paraphrases', async () => {
+        const chatModel = new ScriptedChatModel({ responses: [`1. Steps to reset a password\n- ${question}\n* Recover account access\n\n2. Steps to reset a password`] });
+
+        const { searches, details } = await planSearches('multi-query', question, chatModel);
+
+        expect(details.queries).toEqual(['Steps to reset a password', 'Recover account access']);
+        expect(searches.map(search => search.vectorText)).toEqual([question, ...details.queries]);
+    });
+
+    test('hyde embeds a hypothetical answer but keeps the question for keyword search', async () => {
+        const chatModel = new ScriptedChatModel({ responses: ['Open Settings and choose Reset password.'] });
+
+        const { searches } = await planSearches('hyde', question, chatModel);
+
+        expect(searches).toEqual([{ vectorText: 'Open Settings and choose Reset password.', keywordText: question }]);
+    });
+
+    test('standard and parent-document search with the question alone', async () => {
+        for (const strategy of ['standard', 'parent-document']) {
+            expect((await planSearches(strategy, question, null)).searches).toEqual([{ vectorText: question, keywordText: question }]);
+        }
+    });
+});
+
+test('mergeChunks joins neighbouring chunks without their overlap and spans their ranges', () => {
+    const { text, metadata } = mergeChunks([
+        { content: 'cdefgh', metadata: { charStart: 2, charEnd: 8, page: 2 } },
+        { content: 'abcd', metadata: { charStart: 0, charEnd: 4, page: 1 } },
+        { content: 'xyz', metadata: { charStart: 20, charEnd: 23, page: 3 } },
+    ], { source: 'guide.pdf' });
+
+    expect(text).toBe('abcdefgh\n\nxyz');
+    expect(metadata).toEqual({ source: 'guide.pdf', charStart: 0, charEnd: 23, parentChunks: 3, page: 1, pageEnd: 3 });
+});
+
+test('parseRetrievalOptions accepts only known strategies', () => {
+    expect(parseRetrievalOptions({ strategy: 'hyde' }).retrieval.strategy).toBe('hyde');
+    expect(parseRetrievalOptions({ strategy: 'guess' }).error).toBe('strategy must be one of: standard, multi-query, hyde, parent-document');
+});
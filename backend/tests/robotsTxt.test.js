@@ -0,0 +1,147 @@
+import http from 'http';
+import { jest } from '@jest/globals';
+import { parseRobotsTxt, getProductToken } from '../src/services/robotsTxt.js';
+import crawler from '../src/services/websiteCrawler.js';
+
+const USER_AGENT = 'ChaiRAGBot/1.0 (+https://example.com/bot)';
+
+describe('parseRobotsTxt', () => {
+    test('matches groups on the whole product token, case-insensitively', () => {
+        const rules = parseRobotsTxt([
+            'User-agent: c',
+            'Disallow: /',
+            '',
+            'User-agent: chairag',
+            'Disallow: /',
+            '',
+            'User-agent: *',
+            'Disallow: /private',
+        ].join('\n'));
+
+        expect(rules.isAllowed('https://example.com/docs', USER_AGENT)).toBe(true);
+        expect(rules.isAllowed('https://example.com/private/page', USER_AGENT)).toBe(false);
+
+        const named = parseRobotsTxt('User-agent: CHAIRAGBOT\nDisallow: /docs');
+        expect(named.isAllowed('https://example.com/docs/intro', USER_AGENT)).toBe(false);
+    });
+
+    test('prefers the longest matching rule and Allow on a tie', () => {
+        const rules = parseRobotsTxt([
+            'User-agent: *',
+            'Disallow: /docs',
+            'Allow: /docs/public',
+            'Disallow: /*.pdf$',
+            'Allow: /same',
+            'Disallow: /same',
+        ].join('\n'));
+
+        expect(rules.isAllowed('https://example.com/docs/secret', USER_AGENT)).toBe(false);
+        expect(rules.isAllowed('https://example.com/docs/public/intro', USER_AGENT)).toBe(true);
+        expect(rules.isAllowed('https://example.com/files/guide.pdf', USER_AGENT)).toBe(false);
+        expect(rules.isAllowed('https://example.com/files/guide.pdf?download=1', USER_AGENT)).toBe(true);
+        expect(rules.isAllowed('https://example.com/same', USER_AGENT)).toBe(true);
+    });
+
+    test('reads Crawl-delay from the matched group and lists sitemaps', () => {
+        const rules = parseRobotsTxt([
+            'Sitemap: https://example.com/sitemap.xml',
+            'User-agent: *',
+            'Crawl-delay: 10',
+            '',
+            'User-agent: ChaiRAGBot',
+            'Crawl-delay: 1.5',
+        ].join('\n'));
+
+        expect(rules.getCrawlDelayMs(USER_AGENT)).toBe(1500);
+        expect(rules.getCrawlDelayMs('OtherBot/2.0')).toBe(10000);
+        expect(rules.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+    });
+
+    test('extracts the product token from a user agent string', () => {
+        expect(getProductToken(USER_AGENT)).toBe('chairagbot');
+    });
+});
+
+describe('crawler against a fixture server', () => {
+    let server;
+    let baseUrl;
+    let routes;
+    let requested;
+    let delays;
+
+    const page = (title, links = []) => ({
+        status: 200,
+        type: 'text/html',
+        body: `<html><head><title>${title}</title></head><body><main><h1>${title}</h1>${links.map(href => `<a href="${href}">${href}</a>`).join('')}</main></body></html>`,
+    });
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            requested.push(req.url);
+            const route = routes[req.url] || { status: 404, type: 'text/plain', body: 'not found' };
+            res.writeHead(route.status, { 'Content-Type': route.type });
+            res.end(route.body);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        requested = [];
+        delays = [];
+        // Record the rate limiting instead of sleeping through it
+        jest.spyOn(crawler, 'delay').mockImplementation(async ms => { delays.push(ms); });
+        routes = {
+            '/': page('Home', ['/docs', '/private/notes', '/blog']),
+            '/docs': page('Docs'),
+            '/private/notes': page('Private'),
+            '/blog': page('Blog'),
+        };
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('skips disallowed pages without fetching them and honors Crawl-delay', async () => {
+        routes['/robots.txt'] = {
+            status: 200,
+            type: 'text/plain',
+            body: 'User-agent: c\nDisallow: /\n\nUser-agent: *\nDisallow: /private\nCrawl-delay: 2\n',
+        };
+
+        const result = await crawler.crawlWebsite(`${baseUrl}/`, null, { delayMs: 100, maxPages: 10 });
+
+        expect(result.pages.map(pageData => new URL(pageData.url).pathname).sort()).toEqual(['/', '/blog', '/docs']);
+        expect(result.pagesDisallowed).toBe(1);
+        expect(result.skipped).toEqual([{ url: `${baseUrl}/private/notes`, reason: 'disallowed by robots.txt' }]);
+        expect(requested).not.toContain('/private/notes');
+        expect(delays.length).toBeGreaterThan(0);
+        expect(delays.every(ms => ms === 2000)).toBe(true);
+    });
+
+    test('never lowers the configured delay to a shorter Crawl-delay', async () => {
+        routes['/robots.txt'] = { status: 200, type: 'text/plain', body: 'User-agent: *\nCrawl-delay: 0.5\n' };
+
+        await crawler.crawlWebsite(`${baseUrl}/`, null, { delayMs: 1000, maxPages: 10 });
+
+        expect(delays.every(ms => ms === 1000)).toBe(true);
+    });
+
+    test('crawls everything when robots.txt is missing', async () => {
+        const result = await crawler.crawlWebsite(`${baseUrl}/`, null, { delayMs: 0, maxPages: 10 });
+
+        expect(result.pagesProcessed).toBe(4);
+        expect(result.pagesDisallowed).toBe(0);
+    });
+
+    test('crawls nothing when robots.txt answers with a server error', async () => {
+        routes['/robots.txt'] = { status: 503, type: 'text/plain', body: 'unavailable' };
+
+        const result = await crawler.crawlWebsite(`${baseUrl}/`, null, { delayMs: 0, maxPages: 10 });
+
+        expect(result.pagesProcessed).toBe(0);
+        expect(result.skipped).toEqual([{ url: `${baseUrl}/`, reason: 'blocked, robots.txt returned HTTP 503' }]);
+        expect(requested).toEqual(['/robots.txt']);
+    });
+});
@@ -0,0 +1,11 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Every test file runs offline, against its own data directory
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.EMBEDDING_MODEL = 'hash-256';
+process.env.CHAT_PROVIDER = 'fake';
+process.env.QDRANT_URL = 'http://127.0.0.1:6333';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chai-rag-test-'));
+process.env.LOG_LEVEL = 'error';
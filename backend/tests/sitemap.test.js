@@ -0,0 +1,75 @@
+import http from 'http';
+import { gzipSync } from 'zlib';
+import { parseSitemapXml, collectSitemapEntries, filterSitemapEntries } from '../src/services/sitemap.js';
+import { compileUrlPattern } from '../src/services/urlPatterns.js';
+
+const urlset = entries => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries
+    .map(([loc, lastmod]) => `<url><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`).join('')}</urlset>`;
+
+describe('parseSitemapXml', () => {
+    test('reads page entries and nested sitemaps', () => {
+        expect(parseSitemapXml(urlset([['https://example.com/a', '2024-05-01'], ['https://example.com/b']]))).toEqual({
+            sitemaps: [],
+            urls: [{ url: 'https://example.com/a', lastmod: '2024-05-01' }, { url: 'https://example.com/b', lastmod: null }],
+        });
+        expect(parseSitemapXml('<sitemapindex><sitemap><loc>https://example.com/s1.xml</loc></sitemap></sitemapindex>').sitemaps)
+            .toEqual(['https://example.com/s1.xml']);
+    });
+});
+
+describe('collectSitemapEntries', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            const routes = {
+                '/sitemap.xml': `<sitemapindex><sitemap><loc>${baseUrl}/pages.xml.gz</loc></sitemap><sitemap><loc>${baseUrl}/missing.xml</loc></sitemap><sitemap><loc>${baseUrl}/sitemap.xml</loc></sitemap></sitemapindex>`,
+                '/pages.xml.gz': gzipSync(urlset([[`${baseUrl}/a`], [`${baseUrl}/b`, '2020-01-01']])),
+            };
+            res.writeHead(routes[req.url] ? 200 : 404, { 'Content-Type': 'application/xml' });
+            res.end(routes[req.url] || 'not found');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    test('walks indexes, unzips gzipped sitemaps and reports the ones it could not read', async () => {
+        const { entries, sitemapsRead, errors } = await collectSitemapEntries([`${baseUrl}/sitemap.xml`], { userAgent: 'test' });
+
+        expect(entries.map(entry => entry.url)).toEqual([`${baseUrl}/a`, `${baseUrl}/b`]);
+        expect(sitemapsRead).toBe(3);
+        expect(errors).toEqual([{ url: `${baseUrl}/missing.xml`, reason: 'HTTP 404: Not Found' }]);
+    });
+});
+
+describe('filterSitemapEntries', () => {
+    const entries = [
+        { url: 'https://example.com/docs/new', lastmod: '2024-06-01' },
+        { url: 'https://example.com/docs/old', lastmod: '2023-01-01' },
+        { url: 'https://example.com/docs/undated', lastmod: null },
+        { url: 'https://example.com/blog/post', lastmod: '2024-06-01' },
+    ];
+
+    test('keeps entries matching the pattern and modified after the date, or undated', () => {
+        const kept = filterSitemapEntries(entries, { urlPattern: compileUrlPattern('/docs/**'), lastmodAfter: '2024-01-01' });
+        expect(kept.map(entry => entry.url)).toEqual(['https://example.com/docs/new', 'https://example.com/docs/undated']);
+    });
+});
+
+describe('compileUrlPattern', () => {
+    test('matches globs against the path and regexes against the full URL', () => {
+        const glob = compileUrlPattern('/docs/*/intro');
+        expect(glob.test('https://example.com/docs/v2/intro')).toBe(true);
+        expect(glob.test('https://example.com/docs/v2/deep/intro')).toBe(false);
+
+        expect(compileUrlPattern('https://example.com/**').test('https://example.com/a/b')).toBe(true);
+        expect(compileUrlPattern('/\\/v\\d+\\//i').test('https://example.com/V3/guide')).toBe(true);
+    });
+
+    test('rejects an empty pattern', () => {
+        expect(() => compileUrlPattern('  ')).toThrow('URL pattern must not be empty');
+    });
+});
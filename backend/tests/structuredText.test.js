@@ -0,0 +1,48 @@
+import { htmlToMarkdown, markdownSegments, embeddingText } from '../src/services/structuredText.js';
+
+describe('markdownSegments', () => {
+    const text = [
+        '# Guide',
+        '',
+        'Intro paragraph.',
+        '',
+        '## Install',
+        '',
+        'Run the installer.',
+        '',
+        '```sh',
+        'npm install',
+        '',
+        'npm run build',
+        '```',
+    ].join('\n');
+
+    test('starts a chunk at every section and records its heading path', () => {
+        const segments = markdownSegments(text);
+
+        expect(segments.map(segment => segment.metadata.section)).toEqual(['Guide', 'Guide > Install']);
+        expect(segments[1].text).toBe(text.slice(text.indexOf('## Install')));
+        expect(segments[1].metadata.charStart).toBe(text.indexOf('## Install'));
+    });
+
+    test('never splits a fenced code block, even one longer than maxChars', () => {
+        const segments = markdownSegments(text, { maxChars: 20 });
+        const code = '```sh\nnpm install\n\nnpm run build\n```';
+
+        expect(segments.some(segment => segment.text.includes(code))).toBe(true);
+        expect(segments.every(segment => segment.text === text.slice(segment.metadata.charStart, segment.metadata.charStart + segment.text.length)))
+            .toBe(true);
+    });
+});
+
+test('htmlToMarkdown keeps headings and code blocks', () => {
+    const markdown = htmlToMarkdown('<h2>Setup</h2><p>Install it.</p><pre><code>npm i\nnpm test</code></pre>');
+
+    expect(markdown).toContain('## Setup');
+    expect(markdown).toMatch(/```[a-z]*\nnpm i\nnpm test\n```/);
+});
+
+test('embeddingText puts the section in front of the chunk', () => {
+    expect(embeddingText({ pageContent: 'Run it.', metadata: { section: 'Guide > Install' } })).toBe('Guide > Install\n\nRun it.');
+    expect(embeddingText({ pageContent: 'Run it.', metadata: {} })).toBe('Run it.');
+});
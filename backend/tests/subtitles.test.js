@@ -0,0 +1,61 @@
+import rag from '../src/services/ragService.js';
+import collections from '../src/services/collections.js';
+import { parseSubtitles, groupCues, renderTranscript } from '../src/services/subtitles.js';
+import { useFakeQdrant } from './helpers/fakeQdrant.js';
+
+const cue = (index, text) => [
+    String(index + 1),
+    `00:00:${String(index * 5).padStart(2, '0')},000 --> 00:00:${String(index * 5 + 4).padStart(2, '0')},500`,
+    text,
+].join('\n');
+
+const SRT = [
+    'Welcome back to the series.',
+    'Today we set up the backend.',
+    'First, install the dependencies.',
+    'Then start Qdrant with docker compose.',
+    'Finally, run the dev server.',
+].map((text, index) => cue(index, text)).join('\n\n');
+
+describe('groupCues', () => {
+    test('puts every cue in exactly one segment', () => {
+        const cues = parseSubtitles(SRT);
+        const segments = groupCues(cues, { maxChars: 120 });
+
+        expect(segments.length).toBeGreaterThan(1);
+        const lines = segments.flatMap(segment => segment.text.split('\n'));
+        expect(lines).toEqual(renderTranscript(cues).split('\n'));
+        for (let i = 1; i < segments.length; i++) {
+            expect(segments[i].startTime).toBeGreaterThanOrEqual(segments[i - 1].endTime);
+        }
+    });
+
+    test('segment time ranges span their own cues', () => {
+        const segments = groupCues(parseSubtitles(SRT), { maxChars: 60, includeTimestamps: false });
+
+        expect(segments[0]).toMatchObject({ startTime: 0, endTime: 9.5 });
+        expect(segments[0].text).toBe('Welcome back to the series.\nToday we set up the backend.');
+        expect(segments[segments.length - 1].endTime).toBe(24.5);
+    });
+});
+
+describe('subtitle uploads', () => {
+    let client;
+
+    beforeEach(async () => {
+        await collections.remove(rag.collectionName);
+        await rag.loadSettings();
+        client = useFakeQdrant(rag);
+    });
+
+    test('are split by cue even when the browser reports them as text/plain', async () => {
+        const file = { originalname: 'lesson.srt', mimetype: 'text/plain', buffer: Buffer.from(SRT) };
+
+        await rag.processFile([file], null);
+
+        const chunks = [...client.collections.get(rag.collectionName).points.values()].map(point => point.payload.metadata);
+        expect(chunks.length).toBeGreaterThan(0);
+        expect(chunks.every(metadata => typeof metadata.startTime === 'number' && typeof metadata.endTime === 'number')).toBe(true);
+        expect(chunks[0].mimeType).toBe('application/x-subrip');
+    });
+});
@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import { Document } from '@langchain/core/documents';
+import { ScriptedChatModel } from '../src/services/chatProviders.js';
+import { mapReduceSummary } from '../src/services/summarization.js';
+import personas, { personaSystemPrompt } from '../src/services/personas.js';
+import rag from '../src/services/ragService.js';
+import { useFakeQdrant } from './helpers/fakeQdrant.js';
+
+// Messages of every call the scripted model answers
+function recordCalls() {
+    const calls = [];
+    const original = ScriptedChatModel.prototype.nextResponse;
+    jest.spyOn(ScriptedChatModel.prototype, 'nextResponse').mockImplementation(function (messages) {
+        calls.push(messages.map(message => ({ role: message.getType(), content: message.content })));
+        return original.call(this, messages);
+    });
+    return calls;
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+test('mapReduceSummary reduces batches until one summary is left', async () => {
+    const model = new ScriptedChatModel({ responses: ['partial', 'partial', 'final'] });
+    const texts = ['a'.repeat(60), 'b'.repeat(60), 'c'.repeat(60), 'd'.repeat(60)];
+
+    const result = await mapReduceSummary(texts, model, {}, { maxChars: 130 });
+
+    expect(result).toEqual({ summary: 'final', rounds: 2, calls: 3 });
+});
+
+describe('summaries and comparisons use the persona', () => {
+    beforeAll(async () => {
+        useFakeQdrant(rag);
+        await rag.storeDocument(new Document({ pageContent: 'Closures keep access to the variables of the scope they were created in.', metadata: { source: 'closures.md' } }), 'keep', null);
+        await rag.storeDocument(new Document({ pageContent: 'Promises represent a value that will be available later.', metadata: { source: 'promises.md' } }), 'keep', null);
+    });
+
+    test('a summary is written after the chosen persona\'s system message', async () => {
+        const calls = recordCalls();
+        const plain = await personas.find('plain');
+
+        const result = await rag.summarizeSource('closures.md', { persona: plain });
+
+        expect(result.persona).toEqual({ id: 'plain', name: plain.name });
+        expect(calls).toHaveLength(1);
+        expect(calls[0][0]).toEqual({ role: 'system', content: personaSystemPrompt(plain) });
+        expect(calls[0][1].role).toBe('human');
+        expect(calls[0][1].content).toContain('Closures keep access');
+        expect(calls[0][1].content).not.toMatch(/Hitesh|Hinglish/);
+    });
+
+    test('a comparison defaults to the default persona', async () => {
+        const calls = recordCalls();
+        const fallback = await personas.getDefault();
+
+        const result = await rag.compareSources(['closures.md', 'promises.md'], { question: 'Which is about async code?' });
+
+        expect(result.persona.id).toBe(fallback.id);
+        expect(calls[0][0]).toEqual({ role: 'system', content: personaSystemPrompt(fallback) });
+        expect(calls[0][1].content).toContain('Which is about async code?');
+    });
+});
@@ -0,0 +1,66 @@
+import XLSX from 'xlsx';
+import { decodeText, detectDelimiter, parseCsv, readWorkbook, tableSegments } from '../src/services/tabular.js';
+
+describe('CSV parsing', () => {
+    test('detects the delimiter used consistently across records', () => {
+        expect(detectDelimiter('name;city\n"Ada; Countess";London\nAlan;Wilmslow')).toBe(';');
+        expect(detectDelimiter('name\tcity\nAda\tLondon')).toBe('\t');
+        expect(detectDelimiter('just one column\nand another row')).toBe(',');
+    });
+
+    test('decodes a BOM or legacy Windows-1252 text', () => {
+        expect(decodeText(Buffer.from([0xef, 0xbb, 0xbf, 0x61]))).toBe('a');
+        expect(decodeText(Buffer.from([0x63, 0x61, 0x66, 0xe9]))).toBe('café');
+    });
+
+    test('keeps quoted delimiters and line breaks inside their field and numbers every record', () => {
+        const rows = parseCsv(Buffer.from('name,notes\n"Lovelace, Ada","first\nprogrammer"\n\nTuring,codebreaker\n'));
+
+        expect(rows).toEqual([
+            { row: 1, cells: ['name', 'notes'] },
+            { row: 2, cells: ['Lovelace, Ada', 'first\nprogrammer'] },
+            { row: 3, cells: [''] },
+            { row: 4, cells: ['Turing', 'codebreaker'] },
+        ]);
+    });
+});
+
+test('readWorkbook reads every sheet with its own row numbers', () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['name', 'role'], ['Ada', 'Engineer']]), 'People');
+    const offset = XLSX.utils.aoa_to_sheet([['city'], ['London']], { origin: 'A3' });
+    XLSX.utils.book_append_sheet(workbook, offset, 'Places');
+
+    const [people, places] = readWorkbook(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+
+    expect(people).toEqual({ sheet: 'People', rows: [{ row: 1, cells: ['name', 'role'] }, { row: 2, cells: ['Ada', 'Engineer'] }] });
+    expect(places.sheet).toBe('Places');
+    expect(places.rows.filter(({ cells }) => cells[0])).toEqual([{ row: 3, cells: ['city'] }, { row: 4, cells: ['London'] }]);
+});
+
+describe('tableSegments', () => {
+    const rows = [
+        { row: 1, cells: ['Name', 'Role', ''] },
+        { row: 2, cells: ['Ada', 'Engineer', 'x'] },
+        { row: 3, cells: ['', '', ''] },
+        { row: 4, cells: ['Alan', '', ''] },
+    ];
+
+    test('repeats the header on every row and skips blank rows and empty cells', () => {
+        const { text, segments } = tableSegments(rows);
+
+        expect(text).toBe('Row 2: Name: Ada | Role: Engineer | Column 3: x\nRow 4: Name: Alan');
+        expect(segments).toEqual([{ text, rowStart: 2, rowEnd: 4 }]);
+    });
+
+    test('groups rows into segments of at most maxChars', () => {
+        const { text, segments } = tableSegments(rows, { maxChars: 50 });
+
+        expect(segments.map(({ rowStart, rowEnd }) => [rowStart, rowEnd])).toEqual([[2, 2], [4, 4]]);
+        expect(segments.every(segment => text.includes(segment.text))).toBe(true);
+    });
+
+    test('yields nothing without data rows', () => {
+        expect(tableSegments([{ row: 1, cells: ['Name'] }])).toEqual({ text: '', segments: [] });
+    });
+});
@@ -0,0 +1,65 @@
+import { jest } from '@jest/globals';
+import rag from '../src/services/ragService.js';
+import collections from '../src/services/collections.js';
+import crawler from '../src/services/websiteCrawler.js';
+import { useFakeQdrant } from './helpers/fakeQdrant.js';
+
+const ROOT = 'https://docs.example.com/';
+const INSTALL = 'Install the backend with npm install, then start it with npm run dev on port 3000.';
+const DEPLOY = 'Deploy with docker compose up; the backend waits for Qdrant before it accepts requests.';
+
+const crawlResult = pages => ({
+    success: true,
+    mode: 'recursive',
+    pages: pages.map(([url, textContent]) => ({ url, title: url, depth: 0, textContent })),
+    gone: [],
+    skipped: [],
+    pagesProcessed: pages.length,
+});
+
+describe('website refresh', () => {
+    let client;
+
+    const pointsFor = url => [...client.collections.get(rag.collectionName).points.values()]
+        .filter(point => point.payload.metadata.source === url);
+
+    beforeEach(async () => {
+        await collections.remove(rag.collectionName);
+        await rag.loadSettings();
+        client = useFakeQdrant(rag);
+        jest.spyOn(crawler, 'crawlWebsite').mockResolvedValueOnce(crawlResult([
+            [`${ROOT}install`, INSTALL],
+            [`${ROOT}deploy`, DEPLOY],
+        ]));
+        await rag.processWebUrl(ROOT, null);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('replaces the chunks of a page whose text changed', async () => {
+        crawler.crawlWebsite.mockResolvedValueOnce(crawlResult([
+            [`${ROOT}install`, `${INSTALL} Node 20 is required.`],
+            [`${ROOT}deploy`, DEPLOY],
+        ]));
+
+        const result = await rag.processWebUrl(ROOT, null, { refresh: true });
+
+        expect(result.changes).toMatchObject({ added: 0, updated: 1, unchanged: 1, skipped: 0 });
+        expect(pointsFor(`${ROOT}install`).map(point => point.payload.content).join(' ')).toContain('Node 20');
+    });
+
+    test('keeps the old chunks of a changed page whose new text is skipped as a duplicate', async () => {
+        const before = pointsFor(`${ROOT}install`).map(point => point.id);
+        crawler.crawlWebsite.mockResolvedValueOnce(crawlResult([
+            [`${ROOT}install`, DEPLOY],
+            [`${ROOT}deploy`, DEPLOY],
+        ]));
+
+        const result = await rag.processWebUrl(ROOT, null, { refresh: true });
+
+        expect(result.changes).toMatchObject({ added: 0, updated: 0, unchanged: 1, skipped: 1 });
+        expect(result.duplicates).toEqual([{ url: `${ROOT}install`, duplicateOf: `${ROOT}deploy` }]);
+        expect(result.chunksRemoved).toBe(0);
+        expect(pointsFor(`${ROOT}install`).map(point => point.id)).toEqual(before);
+    });
+});
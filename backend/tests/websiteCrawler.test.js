@@ -0,0 +1,59 @@
+import http from 'http';
+import crawler from '../src/services/websiteCrawler.js';
+
+describe('concurrent crawls', () => {
+    let server;
+    let baseUrl;
+    let runningAtFetch;
+    let maxConcurrentCrawls;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/robots.txt') {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('not found');
+                return;
+            }
+            // Answer slowly, so crawls started together overlap
+            runningAtFetch.push(crawler.listActiveCrawls().filter(session => session.status === 'running').length);
+            setTimeout(() => {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(`<html><head><title>${req.url}</title></head><body><main><p>Page ${req.url}</p></main></body></html>`);
+            }, 50);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        runningAtFetch = [];
+        maxConcurrentCrawls = crawler.maxConcurrentCrawls;
+    });
+
+    afterEach(() => {
+        crawler.maxConcurrentCrawls = maxConcurrentCrawls;
+    });
+
+    const crawlAll = paths => Promise.all(paths.map(path => crawler.crawlWebsite(`${baseUrl}${path}`, null, { maxPages: 1, delayMs: 0 })));
+
+    test('each crawl returns only the pages of its own session', async () => {
+        crawler.maxConcurrentCrawls = 3;
+        const results = await crawlAll(['/a', '/b', '/c']);
+
+        expect(results.map(result => result.pages.map(page => page.title))).toEqual([['/a'], ['/b'], ['/c']]);
+        expect(new Set(results.map(result => result.crawlId)).size).toBe(3);
+        expect(Math.max(...runningAtFetch)).toBe(3);
+        expect(crawler.listActiveCrawls()).toEqual([]);
+    });
+
+    test('crawls beyond the limit wait for a free slot', async () => {
+        crawler.maxConcurrentCrawls = 1;
+        const results = await crawlAll(['/a', '/b', '/c']);
+
+        expect(results.every(result => result.pagesProcessed === 1)).toBe(true);
+        expect(runningAtFetch).toEqual([1, 1, 1]);
+        expect(crawler.runningCount).toBe(0);
+    });
+});
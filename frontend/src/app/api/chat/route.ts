@@ -1,19 +1,71 @@
 import axios from 'axios';
 
+// Relay a backend error with its status, so validation messages (unknown persona, bad filter) reach the chat
+function upstreamError(status: number, body: unknown) {
+    let error = 'Error processing request';
+    if (typeof body === 'string') {
+        try {
+            error = JSON.parse(body).error || error;
+        } catch {
+            // Not JSON, e.g. a proxy's error page
+        }
+    } else if (body && typeof body === 'object' && 'error' in body && typeof body.error === 'string') {
+        error = body.error;
+    }
+    return Response.json({ error }, { status });
+}
+
 export async function POST(req: Request) {
-    const { messages, excludedSources } = await req.json();
+    const { messages, excludedSources, collection, persona, stream } = await req.json();
     const lastMessage = messages[messages.length - 1];
+    // Prior turns let the backend resolve follow-ups like "explain the second point"
+    const history = messages
+        .slice(0, -1)
+        .map(({ role, content }: { role: string; content: string }) => ({ role, content }));
+
+    const payload = {
+        question: lastMessage.content,
+        history,
+        excludedSources: excludedSources || [],
+        collection,
+        persona
+    };
 
     try {
         // Call our backend API
         const backendUrl = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:3000';
-        const response = await axios.post(`${backendUrl}/api/query`, {
-            question: lastMessage.content,
-            excludedSources: excludedSources || []
-        });
+
+        if (stream) {
+            // Pipe the backend SSE stream straight through; aborting the client request
+            // cancels the upstream fetch, which stops generation on the backend
+            const upstream = await fetch(`${backendUrl}/api/query/stream`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: req.signal,
+            });
+
+            if (!upstream.ok || !upstream.body) {
+                return upstreamError(upstream.ok ? 502 : upstream.status, await upstream.text());
+            }
+
+            return new Response(upstream.body, {
+                headers: {
+                    'Content-Type': 'text/event-stream; charset=utf-8',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                },
+            });
+        }
+
+        const response = await axios.post(`${backendUrl}/api/query`, payload);
 
         const answer = response.data.answer?.response || response.data.answer || response.data.response || 'No answer returned.';
         const sources = response.data.answer?.sources || response.data.sources || [];
+        const citations = response.data.citations || response.data.answer?.citations || [];
+        const filter = response.data.filter || null;
+        const model = response.data.model || null;
+        const usage = response.data.usage || null;
 
         console.log('Backend response:', response.data);
         console.log('Sending answer:', answer);
@@ -22,7 +74,11 @@ export async function POST(req: Request) {
         // Return response with answer and sources
         const responseData = {
             answer,
-            sources
+            sources,
+            citations,
+            filter,
+            model,
+            usage
         };
 
         return new Response(JSON.stringify(responseData), {
@@ -33,6 +89,9 @@ export async function POST(req: Request) {
         });
     } catch (error) {
         console.error('Chat API error:', error);
+        if (axios.isAxiosError(error) && error.response) {
+            return upstreamError(error.response.status, error.response.data);
+        }
         return new Response('Error processing request', { status: 500 });
     }
 }
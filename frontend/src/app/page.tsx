@@ -1,15 +1,74 @@
 "use client";
 
 import type { NextPage } from 'next';
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import { SimpleChat } from '../components/SimpleChat';
+import { CollectionSettings } from '../components/CollectionSettings';
+import { SourceDigest, type DigestRequest } from '../components/SourceDigest';
+import { PersonaSettings, type Persona } from '../components/PersonaSettings';
+import { formatBytes, formatIngestedAt, formatMimeType, joinMeta } from '../lib/documentMeta';
 
 const API_URL = 'https://rag-personallm-plus-production.up.railway.app/api';
 
+interface KnowledgeBase {
+  id: string;
+  name: string;
+  isDefault: boolean;
+  stored: { vectorSize: number; pointsCount: number } | null;
+}
+
+interface CrawlSchedule {
+  id: string;
+  url: string;
+  collection: string | null;
+  interval: string;
+  paused: boolean;
+  running: boolean;
+  nextRunAt: string;
+  lastRun: {
+    startedAt: string;
+    finishedAt?: string;
+    status: 'running' | 'success' | 'failed' | 'interrupted';
+    error?: string;
+    changes?: { added: number; updated: number; unchanged: number; skipped?: number; removed: number };
+  } | null;
+}
+
+const DEDUPE_POLICIES = [
+  { value: 'skip', label: 'Skip duplicates' },
+  { value: 'replace', label: 'Replace existing copy' },
+  { value: 'keep', label: 'Keep both' },
+];
+
+const SYNC_INTERVALS = [
+  { value: '', label: 'Off' },
+  { value: '1h', label: 'Every hour' },
+  { value: '6h', label: 'Every 6 hours' },
+  { value: '1d', label: 'Daily' },
+  { value: '1w', label: 'Weekly' },
+  { value: 'cron', label: 'Cron expression' },
+];
+
 const Home: NextPage = () => {
   const [textInput, setTextInput] = useState('');
   const [urlInput, setUrlInput] = useState('');
+  const [crawlMode, setCrawlMode] = useState<'links' | 'sitemap'>('links');
+  const [sitemapFilters, setSitemapFilters] = useState({ urlPattern: '', lastmodAfter: '' });
+  const [showCrawlOptions, setShowCrawlOptions] = useState(false);
+  const [refreshCrawl, setRefreshCrawl] = useState(false);
+  const [syncInterval, setSyncInterval] = useState('');
+  const [syncCron, setSyncCron] = useState('0 3 * * *');
+  const [schedules, setSchedules] = useState<CrawlSchedule[]>([]);
+  const [crawlScope, setCrawlScope] = useState({
+    maxPages: '',
+    maxDepth: '',
+    pathPrefix: '',
+    include: '',
+    exclude: '',
+    includeSubdomains: false,
+    keepQueryStrings: false
+  });
   const fileInputRef = useRef<HTMLInputElement>(null);
 
   const [isLoadingText, setIsLoadingText] = useState(false);
@@ -19,13 +78,26 @@ const Home: NextPage = () => {
 
   // Ingestion progress and sources
   const [progressLines, setProgressLines] = useState<string[]>([]);
-  const [allDocuments, setAllDocuments] = useState<Array<{ source: string; title: string; chunks: number; lastUpdated: string }>>([]);
+  const [allDocuments, setAllDocuments] = useState<Array<{
+    source: string;
+    title: string;
+    chunks: number;
+    lastUpdated: string;
+    mimeType?: string | null;
+    byteSize?: number | null;
+    pageCount?: number | null;
+    isTranscript?: boolean;
+    videoUrl?: string | null;
+  }>>([]);
   const [isLoadingDocuments, setIsLoadingDocuments] = useState(false);
   const eventSourceRef = useRef<EventSource | null>(null);
 
   // State for timestamp removal
   const [removeTimestamps, setRemoveTimestamps] = useState(false);
 
+  // What to do when uploaded content is already stored
+  const [dedupePolicy, setDedupePolicy] = useState('skip');
+
   // State for Qdrant Cloud configuration
   const [useQdrantCloud, setUseQdrantCloud] = useState(false);
   const [qdrantCloudConfig, setQdrantCloudConfig] = useState({
@@ -38,8 +110,21 @@ const Home: NextPage = () => {
 
   // State for source filtering
   const [excludedSources, setExcludedSources] = useState<Set<string>>(new Set());
+
+  // Knowledge bases (Qdrant collections); every ingestion and query targets the active one
+  const [knowledgeBases, setKnowledgeBases] = useState<KnowledgeBase[]>([]);
+  const [activeCollection, setActiveCollection] = useState('');
   const [showSourceFilters, setShowSourceFilters] = useState(false);
 
+  // Sources ticked for "Compare", and the summary or comparison being shown
+  const [compareSelection, setCompareSelection] = useState<Set<string>>(new Set());
+  const [digestRequest, setDigestRequest] = useState<DigestRequest | null>(null);
+
+  // Assistant personas the chat can answer as, and the one the current chat session uses
+  const [personas, setPersonas] = useState<Persona[]>([]);
+  const [defaultPersona, setDefaultPersona] = useState('');
+  const [chatPersona, setChatPersona] = useState<Persona | undefined>(undefined);
+
   useEffect(() => {
     return () => {
       // cleanup SSE on unmount
@@ -50,12 +135,132 @@ const Home: NextPage = () => {
     };
   }, []);
 
-  // Load all documents on component mount
+  const handleError = useCallback((err: unknown, defaultMessage: string) => {
+    let message = defaultMessage;
+    if (axios.isAxiosError(err) && (err.response?.data?.message || err.response?.data?.error)) {
+      message = (err.response.data.message || err.response.data.error) as string;
+    } else if (err instanceof Error) {
+      message = err.message;
+    }
+    setError(message);
+    console.error(err);
+  }, []);
+
+  // Keeps the active knowledge base unless `preferred` names another one; falls back to the default collection
+  const fetchKnowledgeBases = useCallback(async (preferred?: string) => {
+    try {
+      const response = await axios.get(`${API_URL}/collections`);
+      const list: KnowledgeBase[] = response.data.collections || [];
+      setKnowledgeBases(list);
+      setActiveCollection(current => {
+        const wanted = preferred ?? current;
+        return list.some(kb => kb.id === wanted) ? wanted : response.data.defaultCollection;
+      });
+    } catch (err) {
+      handleError(err, 'Failed to load knowledge bases.');
+    }
+  }, [handleError]);
+
+  const createKnowledgeBase = async () => {
+    const name = prompt('Name of the new knowledge base (e.g. "HR policies"):');
+    if (!name?.trim()) return;
+    try {
+      const response = await axios.post(`${API_URL}/collections`, { name: name.trim() });
+      await fetchKnowledgeBases(response.data.collection.id);
+    } catch (err) {
+      handleError(err, 'Failed to create knowledge base.');
+    }
+  };
+
+  const renameKnowledgeBase = async () => {
+    const current = knowledgeBases.find(kb => kb.id === activeCollection);
+    const name = prompt('New name for this knowledge base:', current?.name || '');
+    if (!name?.trim()) return;
+    try {
+      await axios.patch(`${API_URL}/collections/${encodeURIComponent(activeCollection)}`, { name: name.trim() });
+      await fetchKnowledgeBases();
+    } catch (err) {
+      handleError(err, 'Failed to rename knowledge base.');
+    }
+  };
+
+  const deleteKnowledgeBase = async () => {
+    const current = knowledgeBases.find(kb => kb.id === activeCollection);
+    if (!current || !confirm(`Delete "${current.name}" and all of its documents? This cannot be undone.`)) return;
+    try {
+      await axios.delete(`${API_URL}/collections/${encodeURIComponent(activeCollection)}`);
+      await fetchKnowledgeBases('');
+      await fetchSchedules();
+    } catch (err) {
+      handleError(err, 'Failed to delete knowledge base.');
+    }
+  };
+
+  // Keep next/last sync times current while scheduled re-syncs run in the background
   useEffect(() => {
-    fetchAllDocuments();
-    checkCloudConnectionStatus();
+    fetchSchedules();
+    const timer = setInterval(fetchSchedules, 60000);
+    return () => clearInterval(timer);
   }, []);
 
+  const fetchPersonas = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/personas`);
+      setPersonas(response.data.personas || []);
+      setDefaultPersona(response.data.defaultPersona || '');
+    } catch (err) {
+      console.error('Failed to fetch personas:', err);
+    }
+  };
+
+  const fetchSchedules = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/schedules`);
+      if (response.data.success && Array.isArray(response.data.schedules)) {
+        setSchedules(response.data.schedules);
+      }
+    } catch (err) {
+      console.error('Failed to fetch schedules:', err);
+    }
+  };
+
+  const toggleSchedulePaused = async (schedule: CrawlSchedule) => {
+    try {
+      await axios.patch(`${API_URL}/schedules/${schedule.id}`, { paused: !schedule.paused });
+      await fetchSchedules();
+    } catch (err) {
+      handleError(err, 'Failed to update schedule.');
+    }
+  };
+
+  const runScheduleNow = async (schedule: CrawlSchedule) => {
+    try {
+      await axios.post(`${API_URL}/schedules/${schedule.id}/run`);
+      await fetchSchedules();
+    } catch (err) {
+      handleError(err, 'Failed to start sync.');
+    }
+  };
+
+  const deleteSchedule = async (schedule: CrawlSchedule) => {
+    if (!confirm(`Stop re-syncing ${schedule.url}? Already indexed pages are kept.`)) return;
+    try {
+      await axios.delete(`${API_URL}/schedules/${schedule.id}`);
+      await fetchSchedules();
+    } catch (err) {
+      handleError(err, 'Failed to delete schedule.');
+    }
+  };
+
+  const describeLastSync = (lastRun: CrawlSchedule['lastRun']) => {
+    if (!lastRun) return 'never';
+    const when = new Date(lastRun.finishedAt || lastRun.startedAt).toLocaleString();
+    if (lastRun.status === 'running') return 'in progress';
+    if (lastRun.status === 'failed') return `${when} (failed: ${lastRun.error})`;
+    if (lastRun.status === 'interrupted') return `${when} (interrupted)`;
+    return lastRun.changes ? `${when} (${lastRun.changes.updated + lastRun.changes.added} changed, ${lastRun.changes.removed} removed)` : when;
+  };
+
   const checkCloudConnectionStatus = async () => {
     try {
       const response = await axios.get(`${API_URL}/qdrant-cloud/status`);
@@ -81,10 +286,10 @@ const Home: NextPage = () => {
     }
   };
 
-  const fetchAllDocuments = async () => {
+  const fetchAllDocuments = useCallback(async () => {
     setIsLoadingDocuments(true);
     try {
-      const response = await axios.get(`${API_URL}/documents`);
+      const response = await axios.get(`${API_URL}/documents`, { params: { collection: activeCollection } });
       if (response.data.success && Array.isArray(response.data.documents)) {
         setAllDocuments(response.data.documents);
       } else {
@@ -98,9 +303,37 @@ const Home: NextPage = () => {
     } finally {
       setIsLoadingDocuments(false);
     }
-  };
+  }, [activeCollection]);
 
+  // Load knowledge bases on component mount, restoring the last one used
+  useEffect(() => {
+    fetchKnowledgeBases(localStorage.getItem('activeCollection') || '');
+    fetchPersonas();
+    checkCloudConnectionStatus();
+  }, [fetchKnowledgeBases]);
 
+  // Documents and source filters belong to the active knowledge base
+  useEffect(() => {
+    if (!activeCollection) return;
+    localStorage.setItem('activeCollection', activeCollection);
+    setExcludedSources(new Set());
+    setCompareSelection(new Set());
+    fetchAllDocuments();
+  }, [activeCollection, fetchAllDocuments]);
+
+
+
+  // Transcripts can be linked to their video so chat citations jump to the cited moment
+  const linkTranscriptVideo = async (source: string, currentUrl?: string | null) => {
+    const videoUrl = prompt('Video URL for this transcript (leave empty to unlink):', currentUrl || '');
+    if (videoUrl === null) return;
+    try {
+      await axios.put(`${API_URL}/documents/${encodeURIComponent(source)}/video`, { videoUrl: videoUrl.trim() || null }, { params: { collection: activeCollection } });
+      await fetchAllDocuments();
+    } catch (err) {
+      handleError(err, 'Failed to link video.');
+    }
+  };
 
   // Source filtering functions
   const toggleSourceExclusion = (source: string) => {
@@ -123,21 +356,31 @@ const Home: NextPage = () => {
     return allDocuments.length - excludedSources.size;
   };
 
-  const handleError = (err: unknown, defaultMessage: string) => {
-    let message = defaultMessage;
-    if (axios.isAxiosError(err) && err.response?.data?.message) {
-      message = err.response.data.message as string;
-    } else if (err instanceof Error) {
-      message = err.message;
-    }
-    setError(message);
-    console.error(err);
+  const toggleCompareSelection = (source: string) => {
+    setCompareSelection(prev => {
+      const next = new Set(prev);
+      if (next.has(source)) {
+        next.delete(source);
+      } else {
+        next.add(source);
+      }
+      return next;
+    });
+  };
+
+  const compareSelectedSources = () => {
+    const documents = allDocuments
+      .filter(doc => compareSelection.has(doc.source))
+      .map(doc => ({ source: doc.source, title: doc.title }));
+    if (documents.length >= 2) setDigestRequest({ kind: 'comparison', documents });
   };
 
   const explainProgress = (message: string) => {
     // Lightweight narrator for progress messages
     if (!message) return '';
     if (message.startsWith('Starting recursive crawl')) return 'Starting recursive website crawl…';
+    if (message.startsWith('Starting sitemap crawl')) return 'Starting sitemap crawl…';
+    if (message.startsWith('Reading sitemap')) return message;
     if (message.startsWith('Checking robots.txt')) return 'Checking robots.txt…';
     if (message.startsWith('Crawling page')) return message; // Keep detailed page info
     if (message.startsWith('Processing page')) return message; // Keep detailed processing info
@@ -162,6 +405,28 @@ const Home: NextPage = () => {
     return message;
   };
 
+  const describeCrawlSummary = (data: { pagesProcessed?: number; crawlOptions: Record<string, unknown> }) => {
+    const options = data.crawlOptions;
+    const parts = [`max ${options.maxPages} pages`];
+    if (options.maxDepth !== null && options.maxDepth !== undefined) parts.push(`depth ≤ ${options.maxDepth}`);
+    if (options.pathPrefix) parts.push(`prefix ${options.pathPrefix}`);
+    if (Array.isArray(options.include) && options.include.length > 0) parts.push(`include ${options.include.join(', ')}`);
+    if (Array.isArray(options.exclude) && options.exclude.length > 0) parts.push(`exclude ${options.exclude.join(', ')}`);
+    if (options.subdomainPolicy === 'include-subdomains') parts.push('with subdomains');
+    if (options.keepQueryStrings) parts.push('query strings kept');
+    return `Crawled ${data.pagesProcessed ?? 0} pages (${parts.join(', ')})`;
+  };
+
+  const describeFileDecision = (file: { file: string; decision: string; duplicateOf: string | null; chunksAdded: number }) => {
+    if (file.decision === 'skipped') return `${file.file}: skipped, same content as ${file.duplicateOf}`;
+    if (file.decision === 'replaced') return `${file.file}: replaced existing copy (${file.chunksAdded} chunks)`;
+    if (file.decision === 'kept-duplicate') return `${file.file}: stored again alongside ${file.duplicateOf} (${file.chunksAdded} chunks)`;
+    return `${file.file}: added (${file.chunksAdded} chunks)`;
+  };
+
+  const describeRefreshChanges = (changes: { added: number; updated: number; unchanged: number; skipped?: number; removed: number }) =>
+    `Refresh: ${changes.added} added, ${changes.updated} updated, ${changes.unchanged} unchanged, ${changes.skipped ?? 0} skipped, ${changes.removed} removed`;
+
   const createOpId = () => `op_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 
   const startProgressStream = (opId: string) => {
@@ -189,8 +454,18 @@ const Home: NextPage = () => {
       }
     });
 
-    es.addEventListener('done', () => {
+    es.addEventListener('done', (ev) => {
       try {
+        const data = JSON.parse((ev as MessageEvent).data || '{}');
+        if (data.crawlOptions) {
+          setProgressLines((prev: string[]) => [...prev, describeCrawlSummary(data)]);
+        }
+        if (Array.isArray(data.files)) {
+          setProgressLines((prev: string[]) => [...prev, ...data.files.map(describeFileDecision)]);
+        }
+        if (data.refresh && data.changes) {
+          setProgressLines((prev: string[]) => [...prev, describeRefreshChanges(data.changes)]);
+        }
         setProgressLines((prev: string[]) => [...prev, 'Done.']);
         // Refresh the full documents list after new ingestion
         fetchAllDocuments();
@@ -214,7 +489,7 @@ const Home: NextPage = () => {
     const opId = createOpId();
     startProgressStream(opId);
     try {
-      await axios.post(`${API_URL}/text`, { text: textInput }, { params: { opId } });
+      await axios.post(`${API_URL}/text`, { text: textInput, dedupe: dedupePolicy, collection: activeCollection }, { params: { opId } });
       setTextInput('');
     } catch (err) {
       handleError(err, 'Failed to add text.');
@@ -230,7 +505,32 @@ const Home: NextPage = () => {
     const opId = createOpId();
     startProgressStream(opId);
     try {
-      await axios.post(`${API_URL}/crawl`, { url: urlInput }, { params: { opId } });
+      const scope = {
+        maxPages: crawlScope.maxPages || undefined,
+        maxDepth: crawlScope.maxDepth || undefined,
+        pathPrefix: crawlScope.pathPrefix || undefined,
+        include: crawlScope.include || undefined,
+        exclude: crawlScope.exclude || undefined,
+        subdomainPolicy: crawlScope.includeSubdomains ? 'include-subdomains' : 'same-host',
+        keepQueryStrings: crawlScope.keepQueryStrings,
+        refresh: refreshCrawl,
+      };
+      const body = crawlMode === 'sitemap'
+        ? {
+          url: urlInput,
+          mode: 'sitemap',
+          urlPattern: sitemapFilters.urlPattern || undefined,
+          lastmodAfter: sitemapFilters.lastmodAfter || undefined,
+          ...scope,
+        }
+        : { url: urlInput, ...scope };
+      await axios.post(`${API_URL}/crawl`, body, { params: { opId, collection: activeCollection } });
+      if (syncInterval) {
+        // Register the same crawl for periodic re-sync
+        const interval = syncInterval === 'cron' ? syncCron : syncInterval;
+        await axios.post(`${API_URL}/schedules`, { ...body, interval, collection: activeCollection });
+        await fetchSchedules();
+      }
       setUrlInput('');
     } catch (err) {
       handleError(err, 'Failed to crawl website.');
@@ -250,7 +550,7 @@ const Home: NextPage = () => {
       const formData = new FormData();
       files.forEach(file => formData.append('document', file));
       await axios.post(`${API_URL}/documents`, formData, {
-        params: { opId, removeTimestamps },
+        params: { opId, removeTimestamps, dedupe: dedupePolicy, collection: activeCollection },
         headers: { 'Content-Type': 'multipart/form-data' },
       });
     } catch (err) {
@@ -332,6 +632,50 @@ const Home: NextPage = () => {
             <p className="text-white/60 text-sm">Hitesh Choudhary Edition</p>
           </div>
 
+          {/* Knowledge Base Switcher */}
+          <div className="bg-white/5 border border-white/10 backdrop-blur-sm rounded-lg p-4">
+            <div className="flex items-center gap-2 text-white mb-3">
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4" />
+              </svg>
+              <h3 className="font-semibold">Knowledge Base</h3>
+            </div>
+            <select
+              value={activeCollection}
+              onChange={(e) => setActiveCollection(e.target.value)}
+              className="w-full bg-white/5 border border-white/20 text-white rounded-md p-2 text-sm"
+            >
+              {knowledgeBases.map(kb => (
+                <option key={kb.id} value={kb.id} className="bg-gray-900">
+                  {kb.name}{kb.stored ? ` (${kb.stored.pointsCount} chunks)` : ' (empty)'}
+                </option>
+              ))}
+            </select>
+            <div className="flex gap-2 mt-2 text-xs">
+              <button
+                onClick={createKnowledgeBase}
+                className="bg-white/10 hover:bg-white/20 text-white border border-white/20 rounded px-2 py-1 transition-colors"
+              >
+                New
+              </button>
+              <button
+                onClick={renameKnowledgeBase}
+                disabled={!activeCollection}
+                className="bg-white/10 hover:bg-white/20 text-white border border-white/20 rounded px-2 py-1 transition-colors disabled:opacity-50"
+              >
+                Rename
+              </button>
+              <button
+                onClick={deleteKnowledgeBase}
+                disabled={knowledgeBases.find(kb => kb.id === activeCollection)?.isDefault !== false}
+                className="bg-red-500/20 text-red-300 hover:bg-red-500/30 border border-red-500/30 rounded px-2 py-1 transition-colors disabled:opacity-50"
+                title="The default knowledge base cannot be deleted"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+
           {/* Add Text Section */}
           <div className="bg-white/5 border border-white/10 backdrop-blur-sm rounded-lg p-4">
             <div className="flex items-center gap-2 text-white mb-3">
@@ -400,6 +744,167 @@ const Home: NextPage = () => {
                 )}
               </button>
             </div>
+
+            {/* Crawl Mode */}
+            <div className="mt-3 flex gap-2">
+              {(['links', 'sitemap'] as const).map((mode) => (
+                <button
+                  key={mode}
+                  onClick={() => setCrawlMode(mode)}
+                  disabled={isLoadingUrl}
+                  className={`flex-1 text-xs rounded px-2 py-1 border transition-colors ${crawlMode === mode
+                    ? 'bg-green-500/20 text-green-300 border-green-500/30'
+                    : 'bg-white/5 text-white/60 border-white/10 hover:bg-white/10'
+                    }`}
+                >
+                  {mode === 'links' ? 'Follow links' : 'Use sitemap.xml'}
+                </button>
+              ))}
+            </div>
+
+            <label className="mt-2 flex items-center justify-between text-xs text-white/80">
+              Refresh already indexed pages (only re-embed changes)
+              <input
+                type="checkbox"
+                checked={refreshCrawl}
+                onChange={(e) => setRefreshCrawl(e.target.checked)}
+                className="w-4 h-4"
+                disabled={isLoadingUrl}
+              />
+            </label>
+
+            <label className="mt-2 flex items-center justify-between text-xs text-white/80">
+              Keep in sync automatically
+              <select
+                value={syncInterval}
+                onChange={(e) => setSyncInterval(e.target.value)}
+                className="bg-white/5 border border-white/20 text-white rounded px-1 py-0.5 text-xs"
+                disabled={isLoadingUrl}
+              >
+                {SYNC_INTERVALS.map(({ value, label }) => (
+                  <option key={value} value={value} className="bg-gray-900">{label}</option>
+                ))}
+              </select>
+            </label>
+            {syncInterval === 'cron' && (
+              <input
+                type="text"
+                value={syncCron}
+                onChange={(e) => setSyncCron(e.target.value)}
+                placeholder="Minute hour day month weekday, e.g. 0 3 * * 1-5"
+                title="Five-field cron expression in the server's time zone; runs at least 15 minutes apart"
+                className="mt-1 w-full bg-white/5 border border-white/20 text-white placeholder:text-white/40 rounded-md p-1 text-sm font-mono"
+                disabled={isLoadingUrl}
+              />
+            )}
+
+            {/* Crawl Scope Options */}
+            <button
+              onClick={() => setShowCrawlOptions(!showCrawlOptions)}
+              className="mt-3 text-xs text-green-300 hover:text-green-200 transition-colors"
+            >
+              {showCrawlOptions ? 'Hide crawl options' : 'Show crawl options'}
+            </button>
+
+            {showCrawlOptions && (
+              <div className="mt-2 p-2 bg-white/5 rounded border border-white/10 space-y-2">
+                <div className="flex gap-2">
+                  <div className="flex-1">
+                    <label className="text-xs text-white/60 block mb-1">Max pages</label>
+                    <input
+                      type="number"
+                      min={1}
+                      max={1000}
+                      placeholder={crawlMode === 'sitemap' ? 'All' : '50'}
+                      value={crawlScope.maxPages}
+                      onChange={(e) => setCrawlScope(prev => ({ ...prev, maxPages: e.target.value }))}
+                      className="w-full bg-white/5 border border-white/20 text-white placeholder:text-white/40 rounded-md p-1 text-sm"
+                      disabled={isLoadingUrl}
+                    />
+                  </div>
+                  <div className="flex-1">
+                    <label className="text-xs text-white/60 block mb-1">Max depth</label>
+                    <input
+                      type="number"
+                      min={0}
+                      max={100}
+                      placeholder="Unlimited"
+                      value={crawlScope.maxDepth}
+                      onChange={(e) => setCrawlScope(prev => ({ ...prev, maxDepth: e.target.value }))}
+                      className="w-full bg-white/5 border border-white/20 text-white placeholder:text-white/40 rounded-md p-1 text-sm"
+                      disabled={isLoadingUrl || crawlMode === 'sitemap'}
+                    />
+                  </div>
+                </div>
+                <input
+                  type="text"
+                  placeholder="Path prefix, e.g. /docs"
+                  value={crawlScope.pathPrefix}
+                  onChange={(e) => setCrawlScope(prev => ({ ...prev, pathPrefix: e.target.value }))}
+                  className="w-full bg-white/5 border border-white/20 text-white placeholder:text-white/40 rounded-md p-1 text-sm"
+                  disabled={isLoadingUrl}
+                />
+                <input
+                  type="text"
+                  placeholder="Include patterns, comma separated (glob or /regex/)"
+                  value={crawlScope.include}
+                  onChange={(e) => setCrawlScope(prev => ({ ...prev, include: e.target.value }))}
+                  className="w-full bg-white/5 border border-white/20 text-white placeholder:text-white/40 rounded-md p-1 text-sm"
+                  disabled={isLoadingUrl}
+                />
+                <input
+                  type="text"
+                  placeholder="Exclude patterns, e.g. /blog/**, /\?page=/"
+                  value={crawlScope.exclude}
+                  onChange={(e) => setCrawlScope(prev => ({ ...prev, exclude: e.target.value }))}
+                  className="w-full bg-white/5 border border-white/20 text-white placeholder:text-white/40 rounded-md p-1 text-sm"
+                  disabled={isLoadingUrl}
+                />
+                <label className="flex items-center justify-between text-xs text-white/80">
+                  Include subdomains
+                  <input
+                    type="checkbox"
+                    checked={crawlScope.includeSubdomains}
+                    onChange={(e) => setCrawlScope(prev => ({ ...prev, includeSubdomains: e.target.checked }))}
+                    className="w-4 h-4"
+                    disabled={isLoadingUrl}
+                  />
+                </label>
+                <label className="flex items-center justify-between text-xs text-white/80">
+                  Treat query strings as distinct pages
+                  <input
+                    type="checkbox"
+                    checked={crawlScope.keepQueryStrings}
+                    onChange={(e) => setCrawlScope(prev => ({ ...prev, keepQueryStrings: e.target.checked }))}
+                    className="w-4 h-4"
+                    disabled={isLoadingUrl}
+                  />
+                </label>
+              </div>
+            )}
+
+            {crawlMode === 'sitemap' && (
+              <div className="mt-3 space-y-2">
+                <input
+                  type="text"
+                  placeholder="URL pattern, e.g. /docs/** (optional)"
+                  value={sitemapFilters.urlPattern}
+                  onChange={(e) => setSitemapFilters(prev => ({ ...prev, urlPattern: e.target.value }))}
+                  className="w-full bg-white/5 border border-white/20 text-white placeholder:text-white/40 focus:border-green-400 focus:ring-green-400/20 rounded-md p-2 text-sm"
+                  disabled={isLoadingUrl}
+                />
+                <div className="flex items-center gap-2">
+                  <label className="text-xs text-white/60 whitespace-nowrap">Modified after</label>
+                  <input
+                    type="date"
+                    value={sitemapFilters.lastmodAfter}
+                    onChange={(e) => setSitemapFilters(prev => ({ ...prev, lastmodAfter: e.target.value }))}
+                    className="flex-1 bg-white/5 border border-white/20 text-white rounded-md p-1 text-sm"
+                    disabled={isLoadingUrl}
+                  />
+                </div>
+              </div>
+            )}
           </div>
 
           {/* Progress Section */}
@@ -453,11 +958,26 @@ const Home: NextPage = () => {
               </p>
             </div>
 
+            <div className="mb-3 flex items-center justify-between text-xs text-white/80">
+              <label htmlFor="dedupePolicy">If the content is already stored</label>
+              <select
+                id="dedupePolicy"
+                value={dedupePolicy}
+                onChange={(e) => setDedupePolicy(e.target.value)}
+                className="bg-white/5 border border-white/20 text-white rounded px-1 py-0.5 text-xs"
+                disabled={isLoadingFile}
+              >
+                {DEDUPE_POLICIES.map(({ value, label }) => (
+                  <option key={value} value={value} className="bg-gray-900">{label}</option>
+                ))}
+              </select>
+            </div>
+
             <input
               ref={fileInputRef}
               type="file"
               multiple
-              accept=".txt,.pdf,.doc,.docx,.md,.csv,.vtt,.srt"
+              accept=".txt,.pdf,.doc,.docx,.md,.csv,.xlsx,.xls,.ods,.vtt,.srt"
               onChange={handleFileChange}
               className="hidden"
             />
@@ -488,6 +1008,7 @@ const Home: NextPage = () => {
                 <span>• Text (.txt)</span>
                 <span>• Markdown (.md)</span>
                 <span>• CSV (.csv)</span>
+                <span>• Spreadsheets (.xlsx, .xls, .ods)</span>
                 <span>• Subtitles (.vtt, .srt)</span>
               </div>
             </div>
@@ -506,6 +1027,16 @@ const Home: NextPage = () => {
                 </span>
               </div>
               <div className="flex items-center gap-2">
+                {compareSelection.size > 0 && (
+                  <button
+                    onClick={compareSelectedSources}
+                    disabled={compareSelection.size < 2}
+                    className="text-xs bg-purple-500/20 hover:bg-purple-500/30 text-purple-300 border border-purple-500/30 rounded px-2 py-1 transition-colors disabled:opacity-50"
+                    title={compareSelection.size < 2 ? 'Tick at least two documents to compare' : 'Compare the ticked documents'}
+                  >
+                    Compare ({compareSelection.size})
+                  </button>
+                )}
                 <button
                   onClick={() => setShowSourceFilters(!showSourceFilters)}
                   className="text-xs bg-white/10 hover:bg-white/20 text-white border border-white/20 rounded px-2 py-1 transition-colors"
@@ -552,6 +1083,13 @@ const Home: NextPage = () => {
                     ? 'bg-red-500/10 border-red-500/20 opacity-60'
                     : 'bg-white/5 border-white/10'
                     }`}>
+                    <input
+                      type="checkbox"
+                      checked={compareSelection.has(doc.source)}
+                      onChange={() => toggleCompareSelection(doc.source)}
+                      className="mr-2 accent-purple-400"
+                      title="Select for comparison"
+                    />
                     <div className="flex-1 min-w-0">
                       {doc.source.startsWith('http') ? (
                         <a
@@ -573,8 +1111,34 @@ const Home: NextPage = () => {
                           {doc.title} ({doc.chunks} chunks)
                         </span>
                       )}
+                      <span className="block truncate text-xs text-white/50">
+                        {joinMeta([
+                          formatMimeType(doc.mimeType),
+                          doc.pageCount ? `${doc.pageCount} pages` : null,
+                          formatBytes(doc.byteSize),
+                          formatIngestedAt(doc.lastUpdated) ? `added ${formatIngestedAt(doc.lastUpdated)}` : null,
+                        ]) || 'No details recorded'}
+                      </span>
                     </div>
 
+                    <button
+                      onClick={() => setDigestRequest({ kind: 'summary', document: { source: doc.source, title: doc.title } })}
+                      className="ml-2 text-xs transition-colors rounded px-2 py-1 bg-purple-500/20 text-purple-300 hover:bg-purple-500/30 border border-purple-500/30"
+                      title="Summarize the whole document"
+                    >
+                      Summarize
+                    </button>
+
+                    {doc.isTranscript && (
+                      <button
+                        onClick={() => linkTranscriptVideo(doc.source, doc.videoUrl)}
+                        className="ml-2 text-xs transition-colors rounded px-2 py-1 bg-blue-500/20 text-blue-300 hover:bg-blue-500/30 border border-blue-500/30"
+                        title={doc.videoUrl ? `Linked to ${doc.videoUrl}` : 'Link this transcript to its video'}
+                      >
+                        {doc.videoUrl ? 'Video ✓' : 'Link video'}
+                      </button>
+                    )}
+
                     {/* Toggle Source Filter Button */}
                     <button
                       onClick={() => toggleSourceExclusion(doc.source)}
@@ -592,6 +1156,65 @@ const Home: NextPage = () => {
             </div>
           </div>
 
+          {/* Scheduled Syncs Section */}
+          {schedules.length > 0 && (
+            <div className="bg-white/5 border border-white/10 backdrop-blur-sm rounded-lg p-4">
+              <div className="flex items-center gap-2 text-white mb-3">
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                </svg>
+                <h3 className="font-semibold">Scheduled Syncs</h3>
+              </div>
+              <div className="max-h-40 overflow-y-auto space-y-2">
+                {schedules.map((schedule) => (
+                  <div key={schedule.id} className={`text-xs p-2 rounded border bg-white/5 border-white/10 ${schedule.paused ? 'opacity-60' : ''}`}>
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-blue-300 truncate" title={schedule.url}>{schedule.url}</span>
+                      <span className="text-white/50 shrink-0">{/^\d+\s*[mhdw]$/i.test(schedule.interval) ? `every ${schedule.interval}` : `cron ${schedule.interval}`}</span>
+                    </div>
+                    <div className="text-white/60 mt-1">
+                      Next sync: {schedule.paused ? 'paused' : schedule.running ? 'running now' : new Date(schedule.nextRunAt).toLocaleString()}
+                    </div>
+                    <div className="text-white/60">Last sync: {describeLastSync(schedule.lastRun)}</div>
+                    {schedule.collection && (
+                      <div className="text-white/60">
+                        Into: {knowledgeBases.find(kb => kb.id === schedule.collection)?.name || schedule.collection}
+                      </div>
+                    )}
+                    <div className="flex gap-2 mt-2">
+                      <button
+                        onClick={() => runScheduleNow(schedule)}
+                        disabled={schedule.running}
+                        className="bg-white/10 hover:bg-white/20 text-white border border-white/20 rounded px-2 py-0.5 transition-colors disabled:opacity-50"
+                      >
+                        Sync now
+                      </button>
+                      <button
+                        onClick={() => toggleSchedulePaused(schedule)}
+                        className="bg-white/10 hover:bg-white/20 text-white border border-white/20 rounded px-2 py-0.5 transition-colors"
+                      >
+                        {schedule.paused ? 'Resume' : 'Pause'}
+                      </button>
+                      <button
+                        onClick={() => deleteSchedule(schedule)}
+                        className="bg-red-500/20 text-red-300 hover:bg-red-500/30 border border-red-500/30 rounded px-2 py-0.5 transition-colors"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Chunking and embedding settings of the active collection */}
+          <CollectionSettings apiUrl={API_URL} collection={activeCollection} reloadKey={cloudConnectionStatus} />
+
+          <PersonaSettings apiUrl={API_URL} collection={activeCollection} personas={personas} onChange={fetchPersonas} />
+
+          <SourceDigest apiUrl={API_URL} collection={activeCollection} persona={chatPersona?.id} request={digestRequest} onClose={() => setDigestRequest(null)} />
+
           {/* Qdrant Cloud Configuration */}
           <div className="bg-white/5 border border-white/10 backdrop-blur-sm rounded-lg p-4">
             <div className="flex items-center justify-between mb-3">
@@ -710,7 +1333,7 @@ const Home: NextPage = () => {
         <header className="p-6 border-b border-white/10 bg-white/5 backdrop-blur-sm">
           <div className="flex items-center justify-between">
             <div>
-              <h2 className="text-xl font-semibold text-white">Chat with Hitesh Sir</h2>
+              <h2 className="text-xl font-semibold text-white">Chat with {chatPersona?.name || 'Hitesh Sir'}</h2>
               <p className="text-sm text-white/60">Ask questions about your knowledge base</p>
             </div>
             <div className="bg-green-500/20 text-green-400 border border-green-500/30 rounded-full px-3 py-1 text-sm">
@@ -721,6 +1344,11 @@ const Home: NextPage = () => {
 
         {/* Chat Component */}
         <SimpleChat
+          key={activeCollection}
+          collection={activeCollection}
+          personas={personas}
+          defaultPersona={defaultPersona}
+          onPersonaChange={setChatPersona}
           onSourcesUpdate={(sources) => {
             // Handle sources update if needed
             console.log('Sources updated:', sources);
@@ -0,0 +1,378 @@
+"use client";
+
+import { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+
+interface Settings {
+    chunkSize: number;
+    chunkOverlap: number;
+    separators: string[];
+    embeddingProvider: string;
+    embeddingModel: string;
+    chatProvider: string;
+    chatModel: string;
+    temperature: number;
+    maxTokens: number | null;
+    reranker: string;
+    minRelevance: number;
+}
+
+interface EmbeddingProvider {
+    label: string;
+    // Known models and their vector size; null when any model name is accepted
+    models: Record<string, number> | null;
+    defaultModel: string;
+    // False while the backend lacks the provider's configuration (API key, endpoint URL)
+    available: boolean;
+}
+
+interface ChatProvider {
+    label: string;
+    // Accepted model names; null when any model name is accepted
+    models: string[] | null;
+    defaultModel: string;
+    available: boolean;
+}
+
+interface SettingsResponse {
+    collection: string;
+    settings: Settings;
+    defaults: Settings;
+    embeddingProviders: Record<string, EmbeddingProvider>;
+    chatProviders: Record<string, ChatProvider>;
+    rerankers: Record<string, { label: string; available: boolean }>;
+    stored: { vectorSize: number; pointsCount: number } | null;
+}
+
+interface CollectionSettingsProps {
+    apiUrl: string;
+    collection?: string;
+    // Changes whenever the active collection may have changed (e.g. Qdrant Cloud connect), to reload
+    reloadKey?: string;
+}
+
+function errorMessage(err: unknown, fallback: string) {
+    if (axios.isAxiosError(err) && typeof err.response?.data?.error === 'string') {
+        return err.response.data.error as string;
+    }
+    return err instanceof Error ? err.message : fallback;
+}
+
+// View and change how the active collection chunks and embeds new content and which model answers questions
+export function CollectionSettings({ apiUrl, collection, reloadKey }: CollectionSettingsProps) {
+    const [open, setOpen] = useState(false);
+    const [info, setInfo] = useState<SettingsResponse | null>(null);
+    const [draft, setDraft] = useState({ chunkSize: '', chunkOverlap: '', separators: '', embeddingProvider: '', embeddingModel: '', chatProvider: '', chatModel: '', temperature: '', maxTokens: '', reranker: '', minRelevance: '' });
+    const [isSaving, setIsSaving] = useState(false);
+    const [status, setStatus] = useState<{ kind: 'error' | 'warning' | 'success'; text: string } | null>(null);
+
+    const showSettings = (data: SettingsResponse) => {
+        setInfo(data);
+        setDraft({
+            chunkSize: String(data.settings.chunkSize),
+            chunkOverlap: String(data.settings.chunkOverlap),
+            separators: JSON.stringify(data.settings.separators),
+            embeddingProvider: data.settings.embeddingProvider,
+            embeddingModel: data.settings.embeddingModel,
+            chatProvider: data.settings.chatProvider,
+            chatModel: data.settings.chatModel,
+            temperature: String(data.settings.temperature),
+            maxTokens: data.settings.maxTokens === null ? '' : String(data.settings.maxTokens),
+            reranker: data.settings.reranker,
+            minRelevance: String(data.settings.minRelevance),
+        });
+    };
+
+    const loadSettings = useCallback(async () => {
+        try {
+            const response = await axios.get<SettingsResponse>(`${apiUrl}/settings`, { params: { collection } });
+            showSettings(response.data);
+        } catch (err) {
+            setStatus({ kind: 'error', text: errorMessage(err, 'Failed to load settings.') });
+        }
+    }, [apiUrl, collection]);
+
+    useEffect(() => {
+        if (open) loadSettings();
+    }, [open, loadSettings, reloadKey]);
+
+    const saveSettings = async (values: Partial<Settings>) => {
+        setIsSaving(true);
+        setStatus(null);
+        try {
+            const response = await axios.put(`${apiUrl}/settings`, { ...values, collection });
+            await loadSettings();
+            setStatus(response.data.warning
+                ? { kind: 'warning', text: response.data.warning }
+                : { kind: 'success', text: 'Settings saved. New uploads and questions use them.' });
+        } catch (err) {
+            setStatus({ kind: 'error', text: errorMessage(err, 'Failed to save settings.') });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const submit = () => {
+        let separators: unknown;
+        try {
+            separators = JSON.parse(draft.separators);
+        } catch {
+            setStatus({ kind: 'error', text: 'Separators must be a JSON array of strings, e.g. ["\\n\\n", "\\n", " "]' });
+            return;
+        }
+        saveSettings({
+            chunkSize: Number(draft.chunkSize),
+            chunkOverlap: Number(draft.chunkOverlap),
+            separators: separators as string[],
+            embeddingProvider: draft.embeddingProvider,
+            embeddingModel: draft.embeddingModel,
+            chatProvider: draft.chatProvider,
+            chatModel: draft.chatModel,
+            temperature: Number(draft.temperature),
+            // Empty leaves the answer length to the provider
+            maxTokens: draft.maxTokens.trim() ? Number(draft.maxTokens) : null,
+            reranker: draft.reranker,
+            minRelevance: Number(draft.minRelevance),
+        });
+    };
+
+    // Switching provider starts from that provider's default model
+    const selectProvider = (provider: string) => {
+        setDraft(prev => ({ ...prev, embeddingProvider: provider, embeddingModel: info?.embeddingProviders[provider]?.defaultModel ?? '' }));
+    };
+
+    const selectChatProvider = (provider: string) => {
+        setDraft(prev => ({ ...prev, chatProvider: provider, chatModel: info?.chatProviders[provider]?.defaultModel ?? '' }));
+    };
+
+    const inputClass = 'w-full bg-white/5 border border-white/20 text-white placeholder:text-white/40 focus:border-indigo-400 focus:ring-indigo-400/20 rounded-md p-2 text-sm';
+
+    return (
+        <div className="bg-white/5 border border-white/10 backdrop-blur-sm rounded-lg p-4">
+            <button onClick={() => setOpen(!open)} className="w-full flex items-center justify-between text-white">
+                <div className="flex items-center gap-2">
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                    </svg>
+                    <h3 className="font-semibold">Collection Settings</h3>
+                </div>
+                <span className="text-xs text-white/60">{open ? 'Hide' : 'Show'}</span>
+            </button>
+
+            {open && info && (
+                <div className="space-y-3 mt-3">
+                    <div className="text-xs text-white/60">
+                        Collection <span className="text-blue-300">{info.collection}</span>
+                        {info.stored
+                            ? ` · ${info.stored.pointsCount} chunks · ${info.stored.vectorSize}-dim vectors`
+                            : ' · empty'}
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-2">
+                        <div>
+                            <label className="text-xs text-white/80 block mb-1">Chunk size</label>
+                            <input
+                                type="number"
+                                min={100}
+                                value={draft.chunkSize}
+                                onChange={(e) => setDraft(prev => ({ ...prev, chunkSize: e.target.value }))}
+                                className={inputClass}
+                            />
+                        </div>
+                        <div>
+                            <label className="text-xs text-white/80 block mb-1">Overlap</label>
+                            <input
+                                type="number"
+                                min={0}
+                                value={draft.chunkOverlap}
+                                onChange={(e) => setDraft(prev => ({ ...prev, chunkOverlap: e.target.value }))}
+                                className={inputClass}
+                            />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="text-xs text-white/80 block mb-1">Separators (JSON, tried in order)</label>
+                        <textarea
+                            rows={2}
+                            value={draft.separators}
+                            onChange={(e) => setDraft(prev => ({ ...prev, separators: e.target.value }))}
+                            className={`${inputClass} font-mono text-xs`}
+                        />
+                    </div>
+
+                    <div>
+                        <label className="text-xs text-white/80 block mb-1">Embedding provider</label>
+                        <select
+                            value={draft.embeddingProvider}
+                            onChange={(e) => selectProvider(e.target.value)}
+                            className={inputClass}
+                        >
+                            {Object.entries(info.embeddingProviders).map(([id, provider]) => (
+                                <option key={id} value={id} disabled={!provider.available} className="bg-gray-900">
+                                    {provider.label}{provider.available ? '' : ' (not configured)'}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div>
+                        <label className="text-xs text-white/80 block mb-1">Embedding model</label>
+                        {info.embeddingProviders[draft.embeddingProvider]?.models ? (
+                            <select
+                                value={draft.embeddingModel}
+                                onChange={(e) => setDraft(prev => ({ ...prev, embeddingModel: e.target.value }))}
+                                className={inputClass}
+                            >
+                                {Object.entries(info.embeddingProviders[draft.embeddingProvider].models ?? {}).map(([model, dimensions]) => (
+                                    <option key={model} value={model} className="bg-gray-900">
+                                        {model} ({dimensions} dims)
+                                    </option>
+                                ))}
+                            </select>
+                        ) : (
+                            <input
+                                type="text"
+                                value={draft.embeddingModel}
+                                onChange={(e) => setDraft(prev => ({ ...prev, embeddingModel: e.target.value }))}
+                                placeholder="e.g. nomic-embed-text"
+                                className={inputClass}
+                            />
+                        )}
+                        {info.stored && info.stored.pointsCount > 0 && (
+                            <p className="text-xs text-white/50 mt-1">
+                                Only models producing {info.stored.vectorSize}-dim vectors can be used while this collection holds documents.
+                            </p>
+                        )}
+                    </div>
+
+                    <div>
+                        <label className="text-xs text-white/80 block mb-1">Chat provider</label>
+                        <select
+                            value={draft.chatProvider}
+                            onChange={(e) => selectChatProvider(e.target.value)}
+                            className={inputClass}
+                        >
+                            {Object.entries(info.chatProviders).map(([id, provider]) => (
+                                <option key={id} value={id} disabled={!provider.available} className="bg-gray-900">
+                                    {provider.label}{provider.available ? '' : ' (not configured)'}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div>
+                        <label className="text-xs text-white/80 block mb-1">Chat model</label>
+                        {info.chatProviders[draft.chatProvider]?.models ? (
+                            <select
+                                value={draft.chatModel}
+                                onChange={(e) => setDraft(prev => ({ ...prev, chatModel: e.target.value }))}
+                                className={inputClass}
+                            >
+                                {(info.chatProviders[draft.chatProvider].models ?? []).map(model => (
+                                    <option key={model} value={model} className="bg-gray-900">{model}</option>
+                                ))}
+                            </select>
+                        ) : (
+                            <input
+                                type="text"
+                                value={draft.chatModel}
+                                onChange={(e) => setDraft(prev => ({ ...prev, chatModel: e.target.value }))}
+                                placeholder="e.g. gemini-1.5-flash"
+                                className={inputClass}
+                            />
+                        )}
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-2">
+                        <div>
+                            <label className="text-xs text-white/80 block mb-1">Temperature</label>
+                            <input
+                                type="number"
+                                min={0}
+                                max={2}
+                                step={0.1}
+                                value={draft.temperature}
+                                onChange={(e) => setDraft(prev => ({ ...prev, temperature: e.target.value }))}
+                                className={inputClass}
+                            />
+                        </div>
+                        <div>
+                            <label className="text-xs text-white/80 block mb-1">Max tokens</label>
+                            <input
+                                type="number"
+                                min={1}
+                                value={draft.maxTokens}
+                                onChange={(e) => setDraft(prev => ({ ...prev, maxTokens: e.target.value }))}
+                                placeholder="Provider default"
+                                className={inputClass}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-2">
+                        <div>
+                            <label className="text-xs text-white/80 block mb-1">Re-ranker</label>
+                            <select
+                                value={draft.reranker}
+                                onChange={(e) => setDraft(prev => ({ ...prev, reranker: e.target.value }))}
+                                className={inputClass}
+                            >
+                                {Object.entries(info.rerankers).map(([id, reranker]) => (
+                                    <option key={id} value={id} disabled={!reranker.available} className="bg-gray-900">
+                                        {reranker.label}{reranker.available ? '' : ' (not configured)'}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="text-xs text-white/80 block mb-1">Min relevance</label>
+                            <input
+                                type="number"
+                                min={0}
+                                max={1}
+                                step={0.05}
+                                value={draft.minRelevance}
+                                disabled={draft.reranker === 'none'}
+                                onChange={(e) => setDraft(prev => ({ ...prev, minRelevance: e.target.value }))}
+                                className={`${inputClass} disabled:opacity-50`}
+                            />
+                        </div>
+                    </div>
+                    <p className="text-xs text-white/50 -mt-1">
+                        Off by default. Passages scoring below the minimum (0 keeps them all) are dropped; when none remain the assistant says the knowledge base has nothing on it. Term overlap misses passages worded differently, so keep its minimum low.
+                    </p>
+
+                    {status && (
+                        <div className={`text-xs rounded p-2 border ${status.kind === 'error'
+                            ? 'bg-red-500/10 text-red-300 border-red-500/30'
+                            : status.kind === 'warning'
+                                ? 'bg-yellow-500/10 text-yellow-200 border-yellow-500/30'
+                                : 'bg-green-500/10 text-green-300 border-green-500/30'
+                            }`}>
+                            {status.text}
+                        </div>
+                    )}
+
+                    <div className="flex gap-2">
+                        <button
+                            onClick={submit}
+                            disabled={isSaving}
+                            className="flex-1 bg-gradient-to-r from-indigo-500 to-purple-600 hover:from-indigo-600 hover:to-purple-700 text-white border-0 rounded-md py-2 px-4 transition-all duration-200 disabled:opacity-50 text-sm"
+                        >
+                            {isSaving ? 'Saving...' : 'Save'}
+                        </button>
+                        <button
+                            onClick={() => saveSettings(info.defaults)}
+                            disabled={isSaving}
+                            className="bg-white/10 hover:bg-white/20 text-white border border-white/20 rounded-md py-2 px-3 transition-colors disabled:opacity-50 text-sm"
+                        >
+                            Reset to defaults
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,325 @@
+"use client";
+
+import { useState } from 'react';
+import axios from 'axios';
+import { joinMeta } from '../lib/documentMeta';
+
+export interface Persona {
+    id: string;
+    name: string;
+    description: string;
+    systemPrompt: string;
+    queryTemplate: string;
+    tone: string;
+    language: string;
+    messages: { noContext: string; error: string };
+    // Built-in personas are read-only; copy one to customize it
+    builtIn: boolean;
+}
+
+interface PromptPreview {
+    prompt: { role: string; content: string }[];
+    answer: string | null;
+    warnings: string[];
+    citations: unknown[];
+    model: { provider: string; name: string };
+    usage: { inputTokens: number; outputTokens: number; totalTokens: number } | null;
+}
+
+interface PersonaSettingsProps {
+    apiUrl: string;
+    // Knowledge base the preview retrieves context from
+    collection?: string;
+    personas: Persona[];
+    // Called after a persona was created, changed or deleted, to reload the list
+    onChange: () => void;
+}
+
+const TONES = ['friendly', 'casual', 'formal', 'neutral'];
+
+const EMPTY_DRAFT = { name: '', description: '', systemPrompt: '', queryTemplate: '', tone: 'neutral', language: 'English', noContext: '', error: '' };
+
+function errorMessage(err: unknown, fallback: string) {
+    if (axios.isAxiosError(err) && typeof err.response?.data?.error === 'string') {
+        return err.response.data.error as string;
+    }
+    return err instanceof Error ? err.message : fallback;
+}
+
+// Create, edit and delete the assistant personas chat sessions can pick from
+export function PersonaSettings({ apiUrl, collection, personas, onChange }: PersonaSettingsProps) {
+    const [open, setOpen] = useState(false);
+    const [selectedId, setSelectedId] = useState('');
+    // null id: a new persona that has not been saved yet
+    const [editing, setEditing] = useState<{ id: string | null; readOnly: boolean }>({ id: null, readOnly: false });
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [isSaving, setIsSaving] = useState(false);
+    const [status, setStatus] = useState<{ kind: 'error' | 'success'; text: string } | null>(null);
+    const [sampleQuestion, setSampleQuestion] = useState('');
+    const [preview, setPreview] = useState<PromptPreview | null>(null);
+    const [previewErrors, setPreviewErrors] = useState<string[]>([]);
+    const [isPreviewing, setIsPreviewing] = useState(false);
+
+    const showPersona = (persona: Persona) => {
+        setSelectedId(persona.id);
+        setEditing({ id: persona.id, readOnly: persona.builtIn });
+        setDraft({
+            name: persona.name,
+            description: persona.description || '',
+            systemPrompt: persona.systemPrompt,
+            queryTemplate: persona.queryTemplate,
+            tone: persona.tone,
+            language: persona.language,
+            noContext: persona.messages.noContext,
+            error: persona.messages.error,
+        });
+    };
+
+    // Start a new persona from the one shown, so the prompts do not have to be written from scratch
+    const copyPersona = () => {
+        setEditing({ id: null, readOnly: false });
+        setDraft(prev => ({ ...prev, name: prev.name ? `${prev.name} (copy)` : '' }));
+        setStatus(null);
+    };
+
+    const draftBody = () => ({
+        name: draft.name,
+        description: draft.description,
+        systemPrompt: draft.systemPrompt,
+        queryTemplate: draft.queryTemplate,
+        tone: draft.tone,
+        language: draft.language,
+        messages: { noContext: draft.noContext, error: draft.error },
+    });
+
+    // Render the draft against a sample question and real retrieved context, with a dry-run answer, without saving it
+    const previewPersona = async (generate: boolean) => {
+        if (!sampleQuestion.trim()) return;
+        setIsPreviewing(true);
+        setPreview(null);
+        setPreviewErrors([]);
+        try {
+            const { data } = await axios.post(`${apiUrl}/prompts/preview`, {
+                ...draftBody(),
+                persona: editing.id || undefined,
+                question: sampleQuestion.trim(),
+                generate,
+                collection,
+            });
+            setPreview(data);
+        } catch (err) {
+            const errors = axios.isAxiosError(err) ? err.response?.data?.errors : null;
+            setPreviewErrors(Array.isArray(errors) ? errors : [errorMessage(err, 'Failed to preview the prompt.')]);
+        } finally {
+            setIsPreviewing(false);
+        }
+    };
+
+    const savePersona = async () => {
+        setIsSaving(true);
+        setStatus(null);
+        const body = draftBody();
+        try {
+            const response = editing.id
+                ? await axios.patch(`${apiUrl}/personas/${encodeURIComponent(editing.id)}`, body)
+                : await axios.post(`${apiUrl}/personas`, body);
+            showPersona(response.data.persona);
+            setStatus({ kind: 'success', text: 'Persona saved. Pick it in the chat to use it.' });
+            onChange();
+        } catch (err) {
+            setStatus({ kind: 'error', text: errorMessage(err, 'Failed to save persona.') });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const deletePersona = async () => {
+        if (!editing.id || !confirm(`Delete persona "${draft.name}"?`)) return;
+        try {
+            await axios.delete(`${apiUrl}/personas/${encodeURIComponent(editing.id)}`);
+            const next = personas.find(persona => persona.id !== editing.id);
+            if (next) showPersona(next);
+            setStatus({ kind: 'success', text: 'Persona deleted.' });
+            onChange();
+        } catch (err) {
+            setStatus({ kind: 'error', text: errorMessage(err, 'Failed to delete persona.') });
+        }
+    };
+
+    const inputClass = 'w-full bg-white/5 border border-white/20 text-white placeholder:text-white/40 focus:border-indigo-400 focus:ring-indigo-400/20 rounded-md p-2 text-sm disabled:opacity-60';
+    const field = (key: keyof typeof EMPTY_DRAFT) => ({
+        value: draft[key],
+        disabled: editing.readOnly,
+        onChange: (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => setDraft(prev => ({ ...prev, [key]: e.target.value })),
+        className: inputClass,
+    });
+
+    return (
+        <div className="bg-white/5 border border-white/10 backdrop-blur-sm rounded-lg p-4">
+            <button
+                onClick={() => {
+                    if (!open && personas.length > 0 && editing.id === null && !draft.name) showPersona(personas[0]);
+                    setOpen(!open);
+                }}
+                className="w-full flex items-center justify-between text-white"
+            >
+                <div className="flex items-center gap-2">
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5.121 17.804A13.937 13.937 0 0112 16c2.5 0 4.847.655 6.879 1.804M15 10a3 3 0 11-6 0 3 3 0 016 0zm6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                    <h3 className="font-semibold">Personas</h3>
+                </div>
+                <span className="text-xs text-white/60">{open ? 'Hide' : 'Show'}</span>
+            </button>
+
+            {open && (
+                <div className="space-y-3 mt-3">
+                    <select
+                        value={editing.id === null ? '' : selectedId}
+                        onChange={(e) => {
+                            const persona = personas.find(item => item.id === e.target.value);
+                            if (persona) showPersona(persona);
+                            setStatus(null);
+                        }}
+                        className={inputClass}
+                    >
+                        {editing.id === null && <option value="" className="bg-gray-900">New persona</option>}
+                        {personas.map(persona => (
+                            <option key={persona.id} value={persona.id} className="bg-gray-900">
+                                {persona.name}{persona.builtIn ? ' (built-in)' : ''}
+                            </option>
+                        ))}
+                    </select>
+
+                    {editing.readOnly && (
+                        <p className="text-xs text-white/50">Built-in personas are read-only. Copy one to customize it.</p>
+                    )}
+
+                    <div>
+                        <label className="text-xs text-white/80 block mb-1">Name</label>
+                        <input type="text" {...field('name')} />
+                    </div>
+                    <div>
+                        <label className="text-xs text-white/80 block mb-1">Description</label>
+                        <input type="text" {...field('description')} />
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                        <div>
+                            <label className="text-xs text-white/80 block mb-1">Tone</label>
+                            <select {...field('tone')}>
+                                {TONES.map(tone => <option key={tone} value={tone} className="bg-gray-900">{tone}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="text-xs text-white/80 block mb-1">Language</label>
+                            <input type="text" {...field('language')} />
+                        </div>
+                    </div>
+                    <div>
+                        <label className="text-xs text-white/80 block mb-1">System prompt</label>
+                        <textarea rows={5} {...field('systemPrompt')} className={`${inputClass} font-mono text-xs`} />
+                    </div>
+                    <div>
+                        <label className="text-xs text-white/80 block mb-1">Query template ({'{context}'} and {'{input}'} required, {'{chat_history}'} optional)</label>
+                        <textarea rows={5} {...field('queryTemplate')} className={`${inputClass} font-mono text-xs`} />
+                    </div>
+                    <div>
+                        <label className="text-xs text-white/80 block mb-1">When nothing relevant is found</label>
+                        <input type="text" {...field('noContext')} />
+                    </div>
+                    <div>
+                        <label className="text-xs text-white/80 block mb-1">When answering fails</label>
+                        <input type="text" {...field('error')} />
+                    </div>
+
+                    <div className="border-t border-white/10 pt-3 space-y-2">
+                        <label className="text-xs text-white/80 block">Preview with a sample question</label>
+                        <div className="flex gap-2">
+                            <input
+                                type="text"
+                                value={sampleQuestion}
+                                onChange={(e) => setSampleQuestion(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && !isPreviewing && previewPersona(true)}
+                                placeholder="e.g. How do I fix ERR_CONNECTION_REFUSED?"
+                                className={inputClass}
+                            />
+                            <button
+                                onClick={() => previewPersona(true)}
+                                disabled={isPreviewing || !sampleQuestion.trim()}
+                                className="text-xs bg-white/10 hover:bg-white/20 text-white border border-white/20 rounded px-3 transition-colors disabled:opacity-50"
+                                title="Assemble the prompt and generate a dry-run answer"
+                            >
+                                {isPreviewing ? '...' : 'Preview'}
+                            </button>
+                            <button
+                                onClick={() => previewPersona(false)}
+                                disabled={isPreviewing || !sampleQuestion.trim()}
+                                className="text-xs bg-white/10 hover:bg-white/20 text-white border border-white/20 rounded px-3 transition-colors disabled:opacity-50"
+                                title="Assemble the prompt without calling the model"
+                            >
+                                Prompt only
+                            </button>
+                        </div>
+                        {previewErrors.map(error => <div key={error} className="text-xs text-red-300">{error}</div>)}
+                        {preview && (
+                            <div className="space-y-2">
+                                {preview.warnings.map(warning => <div key={warning} className="text-xs text-yellow-300">{warning}</div>)}
+                                {preview.prompt.map((message, index) => (
+                                    <div key={index}>
+                                        <div className="text-[11px] uppercase text-white/50">{message.role}</div>
+                                        <pre className="text-xs text-white/80 bg-black/30 rounded p-2 max-h-48 overflow-y-auto whitespace-pre-wrap">{message.content}</pre>
+                                    </div>
+                                ))}
+                                {preview.answer !== null && (
+                                    <div>
+                                        <div className="text-[11px] uppercase text-white/50">Dry-run answer</div>
+                                        <div className="text-sm text-white/90 whitespace-pre-wrap">{preview.answer}</div>
+                                    </div>
+                                )}
+                                <div className="text-[11px] text-white/40">
+                                    {joinMeta([
+                                        `${preview.model.provider}/${preview.model.name}`,
+                                        `${preview.citations.length} ${preview.citations.length === 1 ? 'source' : 'sources'}`,
+                                        preview.usage ? `${preview.usage.inputTokens} in / ${preview.usage.outputTokens} out tokens` : null,
+                                    ])}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
+                    {status && (
+                        <div className={`text-xs ${status.kind === 'error' ? 'text-red-300' : 'text-green-300'}`}>{status.text}</div>
+                    )}
+
+                    <div className="flex gap-2">
+                        {!editing.readOnly && (
+                            <button
+                                onClick={savePersona}
+                                disabled={isSaving}
+                                className="text-xs bg-indigo-500/30 hover:bg-indigo-500/40 text-white border border-indigo-400/40 rounded px-3 py-1 transition-colors disabled:opacity-50"
+                            >
+                                {isSaving ? 'Saving...' : editing.id ? 'Save' : 'Create'}
+                            </button>
+                        )}
+                        {editing.id !== null && (
+                            <button
+                                onClick={copyPersona}
+                                className="text-xs bg-white/10 hover:bg-white/20 text-white border border-white/20 rounded px-3 py-1 transition-colors"
+                            >
+                                Copy as new
+                            </button>
+                        )}
+                        {editing.id !== null && !editing.readOnly && (
+                            <button
+                                onClick={deletePersona}
+                                className="text-xs bg-red-500/20 text-red-300 hover:bg-red-500/30 border border-red-500/30 rounded px-3 py-1 transition-colors"
+                            >
+                                Delete
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,8 +1,10 @@
 "use client";
 
 import { useState, useRef, useEffect } from 'react';
-import axios from 'axios';
 import { supabase } from '../lib/supabase';
+import { readEventStream } from '../lib/sse';
+import type { Persona } from './PersonaSettings';
+import { formatBytes, formatIngestedAt, formatMimeType, formatPageRange, formatRelevance, formatRowRange, formatTimeRange, joinMeta } from '../lib/documentMeta';
 
 interface Source {
     pageContent: string;
@@ -12,16 +14,68 @@ interface Source {
     };
 }
 
+interface Citation {
+    id: number;
+    source: string | null;
+    title: string | null;
+    location: string | null;
+    link: string | null;
+    // Re-ranker score 0-1; null when re-ranking is off
+    relevance: number | null;
+    snippet: string;
+    quote: string;
+}
+
+// Which chat model produced an answer and the tokens it used (null when the provider reports none)
+interface Generation {
+    model: { provider: string; name: string; temperature: number; maxTokens: number | null };
+    usage: { inputTokens: number; outputTokens: number; totalTokens: number } | null;
+}
+
+interface Message {
+    id: string;
+    role: 'user' | 'assistant';
+    content: string;
+    sources?: Source[];
+    citations?: Citation[];
+    generation?: Generation;
+}
+
+// Turn [1] / [1, 2] markers that match a citation into clickable chips (handled by the onClick on the message)
+const renderCitationMarkers = (html: string, citations: Citation[] = []) => {
+    if (citations.length === 0) return html;
+    const known = new Set(citations.map(citation => citation.id));
+    return html.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (marker, numbers: string) => {
+        const ids = numbers.split(',').map(number => parseInt(number, 10));
+        if (!ids.every(id => known.has(id))) return marker;
+        return ids
+            .map(id => `<button type="button" data-citation="${id}" class="inline-flex items-center justify-center align-super text-[10px] leading-none min-w-[1.1rem] h-4 px-1 mx-0.5 rounded bg-blue-500/30 text-blue-200 hover:bg-blue-500/50 cursor-pointer">${id}</button>`)
+            .join('');
+    });
+};
+
 interface SimpleChatProps {
     onSourcesUpdate?: (sources: Source[]) => void;
     excludedSources?: string[];
+    // Knowledge base to answer from; the backend's default collection when empty
+    collection?: string;
+    // Personas to pick from; each chat session remembers its own choice
+    personas?: Persona[];
+    defaultPersona?: string;
+    onPersonaChange?: (persona: Persona | undefined) => void;
 }
 
-export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
-    const [messages, setMessages] = useState<Array<{ id: string; role: 'user' | 'assistant'; content: string; sources?: Source[] }>>([]);
+const personaKey = (sessionId: string) => `chat_persona:${sessionId}`;
+
+export function SimpleChat({ excludedSources = [], collection, personas = [], defaultPersona = '', onPersonaChange }: SimpleChatProps) {
+    const [messages, setMessages] = useState<Message[]>([]);
     const [input, setInput] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [streamingMessageId, setStreamingMessageId] = useState<string | null>(null);
+    const [openCitation, setOpenCitation] = useState<{ messageId: string; id: number } | null>(null);
     const [sessionId, setSessionId] = useState<string>('');
+    const [personaId, setPersonaId] = useState('');
+    const abortControllerRef = useRef<AbortController | null>(null);
 
     // Initialize session and load previous messages
     useEffect(() => {
@@ -37,13 +91,14 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
                 localStorage.setItem('chat_session_id', sessionId);
             }
             setSessionId(sessionId);
+            setPersonaId(localStorage.getItem(personaKey(sessionId)) || '');
 
-            // Load previous messages from Supabase
+            // Load previous messages from Supabase (newest first, matching the display order)
             const { data: previousMessages, error } = await supabase
                 .from('chat_messages')
                 .select('*')
                 .eq('session_id', sessionId)
-                .order('timestamp', { ascending: true });
+                .order('timestamp', { ascending: false });
 
             if (error) {
                 console.error('Error loading messages:', error);
@@ -59,6 +114,22 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
         }
     };
 
+    // A persona deleted since the session picked it falls back to the default one
+    const activePersona = personas.find(persona => persona.id === personaId) || personas.find(persona => persona.id === defaultPersona);
+
+    useEffect(() => {
+        onPersonaChange?.(activePersona);
+    }, [activePersona, onPersonaChange]);
+
+    const selectPersona = (id: string) => {
+        setPersonaId(id);
+        localStorage.setItem(personaKey(sessionId), id);
+    };
+
+    const updateMessage = (id: string, update: (message: Message) => Message) => {
+        setMessages(prev => prev.map(message => message.id === id ? update(message) : message));
+    };
+
     const handleSubmit = async (e: React.FormEvent) => {
         e.preventDefault();
         if (!input.trim() || isLoading) return;
@@ -68,41 +139,112 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
         setInput('');
         setIsLoading(true);
 
+        const assistantMessage: Message = {
+            id: (Date.now() + 1).toString(),
+            role: 'assistant',
+            content: '',
+            sources: []
+        };
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        let started = false;
+        // Error texts are shown in the answer's place but not saved, so they never become chat history
+        let failed = false;
+
         try {
             // Save user message to Supabase
             await saveMessageToSupabase(userMessage);
 
-            const response = await axios.post('/api/chat', {
-                messages: [...messages, userMessage],
-                excludedSources
+            // Messages are kept newest-first for display; the API expects chronological order
+            const conversation = [...messages].reverse();
+            const response = await fetch('/api/chat', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    messages: [...conversation, userMessage],
+                    excludedSources,
+                    collection: collection || undefined,
+                    persona: activePersona?.id,
+                    stream: true
+                }),
+                signal: controller.signal,
             });
 
-            const responseData = await response.data;
-            console.log('Response received:', responseData);
-
-            const assistantMessage = {
-                id: (Date.now() + 1).toString(),
-                role: 'assistant' as const,
-                content: responseData.answer,
-                sources: responseData.sources || []
-            };
-
-            // Save assistant message to Supabase
-            await saveMessageToSupabase(assistantMessage);
+            if (!response.ok || !response.body) {
+                // e.g. an unknown persona or invalid filter; the route passes the backend's message through
+                const body = await response.json().catch(() => null);
+                throw new Error(body?.error || `Chat request failed with status ${response.status}`);
+            }
 
             setMessages(prev => [assistantMessage, ...prev]);
+            setStreamingMessageId(assistantMessage.id);
+            started = true;
+
+            await readEventStream(response.body, (event, data) => {
+                const payload = JSON.parse(data);
+                if (event === 'sources') {
+                    assistantMessage.sources = payload.sources || [];
+                } else if (event === 'token') {
+                    assistantMessage.content += payload.token;
+                } else if (event === 'done') {
+                    // The final event carries the formatted answer and the passages it cites
+                    assistantMessage.content = payload.response || assistantMessage.content;
+                    assistantMessage.citations = payload.citations || [];
+                    if (payload.model) {
+                        assistantMessage.generation = { model: payload.model, usage: payload.usage || null };
+                    }
+                } else if (event === 'error') {
+                    // The persona's error message (or the cause, in development)
+                    failed = true;
+                    const message = payload.message || 'Streaming failed';
+                    assistantMessage.content = assistantMessage.content ? `${assistantMessage.content}\n\n${message}` : message;
+                }
+                updateMessage(assistantMessage.id, () => ({ ...assistantMessage }));
+            });
         } catch (error) {
-            console.error('Chat error:', error);
+            if (controller.signal.aborted) {
+                if (!started) return;
+                assistantMessage.content = assistantMessage.content
+                    ? `${assistantMessage.content}\n\n*(stopped)*`
+                    : '*(stopped)*';
+                updateMessage(assistantMessage.id, () => ({ ...assistantMessage }));
+            } else {
+                console.error('Chat error:', error);
+                failed = true;
+                assistantMessage.content = error instanceof Error ? error.message : 'Something went wrong. Please try again.';
+                if (started) {
+                    updateMessage(assistantMessage.id, () => ({ ...assistantMessage }));
+                } else {
+                    setMessages(prev => [{ ...assistantMessage }, ...prev]);
+                }
+            }
         } finally {
+            if (assistantMessage.content && !failed) {
+                // Save assistant message to Supabase
+                await saveMessageToSupabase(assistantMessage);
+            }
+            abortControllerRef.current = null;
+            setStreamingMessageId(null);
             setIsLoading(false);
         }
     };
 
+    const toggleCitation = (event: React.MouseEvent<HTMLDivElement>, messageId: string) => {
+        const chip = (event.target as HTMLElement).closest<HTMLElement>('[data-citation]');
+        if (!chip) return;
+        const id = Number(chip.dataset.citation);
+        setOpenCitation(prev => prev?.messageId === messageId && prev.id === id ? null : { messageId, id });
+    };
+
+    const stopGeneration = () => {
+        abortControllerRef.current?.abort();
+    };
+
     const handleInputChange = (e: React.ChangeEvent<HTMLTextAreaElement>) => {
         setInput(e.target.value);
     };
 
-    const saveMessageToSupabase = async (message: { id: string; role: 'user' | 'assistant'; content: string; sources?: Source[] }) => {
+    const saveMessageToSupabase = async (message: Message) => {
         try {
             const { error } = await supabase
                 .from('chat_messages')
@@ -135,8 +277,10 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
             } else {
                 // Clear local state
                 setMessages([]);
-                // Generate new session ID
+                // Generate new session ID; the new session keeps the current persona
                 const newSessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                localStorage.removeItem(personaKey(sessionId));
+                if (personaId) localStorage.setItem(personaKey(newSessionId), personaId);
                 setSessionId(newSessionId);
                 localStorage.setItem('chat_session_id', newSessionId);
             }
@@ -160,12 +304,27 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
             {/* Chat Header with Clear Session Button */}
             <div className="flex items-center justify-between p-4 border-b border-white/10">
                 <h3 className="text-lg font-semibold text-white">Chat History</h3>
-                <button
-                    onClick={clearChatSession}
-                    className="px-3 py-1 text-sm bg-red-500/20 hover:bg-red-500/30 text-red-300 border border-red-500/30 rounded-md transition-colors"
-                >
-                    Clear Session
-                </button>
+                <div className="flex items-center gap-2">
+                    {personas.length > 0 && (
+                        <select
+                            value={activePersona?.id || ''}
+                            onChange={(e) => selectPersona(e.target.value)}
+                            disabled={isLoading}
+                            className="bg-white/5 border border-white/20 text-white text-sm rounded-md px-2 py-1"
+                            title="Persona that answers in this chat session"
+                        >
+                            {personas.map(persona => (
+                                <option key={persona.id} value={persona.id} className="bg-gray-900">{persona.name}</option>
+                            ))}
+                        </select>
+                    )}
+                    <button
+                        onClick={clearChatSession}
+                        className="px-3 py-1 text-sm bg-red-500/20 hover:bg-red-500/30 text-red-300 border border-red-500/30 rounded-md transition-colors"
+                    >
+                        Clear Session
+                    </button>
+                </div>
             </div>
 
             {/* Input Area - Moved to top */}
@@ -182,30 +341,37 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
                             style={{ minHeight: '48px', maxHeight: '120px' }}
                             disabled={isLoading}
                         />
-                        <button
-                            type="submit"
-                            disabled={isLoading || !input.trim()}
-                            className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white border-0 rounded-lg px-6 py-3 transition-all duration-200 transform hover:scale-[1.02] disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
-                        >
-                            {isLoading ? (
-                                <svg className="w-4 h-4 animate-spin" fill="none" viewBox="0 0 24 24">
-                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                        {isLoading ? (
+                            <button
+                                type="button"
+                                onClick={stopGeneration}
+                                className="bg-gradient-to-r from-red-500 to-pink-600 hover:from-red-600 hover:to-pink-700 text-white border-0 rounded-lg px-6 py-3 transition-all duration-200 transform hover:scale-[1.02] flex items-center gap-2"
+                                title="Stop generating"
+                            >
+                                <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                                    <rect x="6" y="6" width="12" height="12" rx="2" />
                                 </svg>
-                            ) : (
+                                Stop
+                            </button>
+                        ) : (
+                            <button
+                                type="submit"
+                                disabled={!input.trim()}
+                                className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white border-0 rounded-lg px-6 py-3 transition-all duration-200 transform hover:scale-[1.02] disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                            >
                                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
                                 </svg>
-                            )}
-                            Send
-                        </button>
+                                Send
+                            </button>
+                        )}
                     </div>
                 </form>
             </div>
 
             {/* Messages Area */}
             <div className="flex-1 overflow-y-auto p-4 space-y-2 relative">
-                {messages.map((message) => (
+                {messages.filter(message => message.content || message.id !== streamingMessageId).map((message) => (
                     <div
                         key={message.id}
                         className={`flex gap-3 ${message.role === 'user' ? 'justify-end' : 'justify-start'
@@ -229,16 +395,53 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
                                         wordSpacing: '0.01em',
                                         letterSpacing: '0.002em'
                                     }}
+                                    onClick={(event) => toggleCitation(event, message.id)}
                                     dangerouslySetInnerHTML={{
-                                        __html: message.content
+                                        __html: renderCitationMarkers(message.content
                                             .replace(/\n\n/g, '<br><br>')
                                             .replace(/\n/g, '<br>')
                                             .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
                                             .replace(/\*(.*?)\*/g, '<em>$1</em>')
-                                            .replace(/`(.*?)`/g, '<code class="bg-gray-700 px-1 py-0.5 rounded text-sm">$1</code>')
+                                            .replace(/`(.*?)`/g, '<code class="bg-gray-700 px-1 py-0.5 rounded text-sm">$1</code>'), message.citations)
                                     }}
                                 />
 
+                                {/* Quoted passage for the citation chip the user clicked */}
+                                {openCitation?.messageId === message.id && (() => {
+                                    const citation = message.citations?.find(item => item.id === openCitation.id);
+                                    if (!citation) return null;
+                                    const label = [citation.title || citation.source, citation.location, formatRelevance(citation.relevance)].filter(Boolean).join(' · ');
+                                    return (
+                                        <div className="mt-3 p-3 rounded-lg bg-blue-500/10 border border-blue-500/20 text-sm">
+                                            <div className="flex items-center justify-between gap-2 mb-1 text-xs text-blue-200">
+                                                {citation.source?.startsWith('http') ? (
+                                                    <a href={citation.source} target="_blank" rel="noopener noreferrer" className="truncate hover:underline">
+                                                        [{citation.id}] {label}
+                                                    </a>
+                                                ) : (
+                                                    <span className="truncate">[{citation.id}] {label}</span>
+                                                )}
+                                                <button onClick={() => setOpenCitation(null)} className="text-white/50 hover:text-white">
+                                                    Close
+                                                </button>
+                                            </div>
+                                            <blockquote className="text-white/80 whitespace-pre-wrap border-l-2 border-blue-400/40 pl-2">
+                                                {citation.quote}
+                                            </blockquote>
+                                            {citation.link && (
+                                                <a
+                                                    href={citation.link}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    className="inline-block mt-2 text-xs text-blue-300 hover:text-blue-200 hover:underline"
+                                                >
+                                                    ▶ Watch from {citation.location?.split('–')[0]}
+                                                </a>
+                                            )}
+                                        </div>
+                                    );
+                                })()}
+
                                 {/* Display sources if available */}
                                 {message.sources && message.sources.length > 0 && (
                                     <div className="mt-3 pt-3 border-t border-white/10">
@@ -246,12 +449,37 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
                                         <div className="space-y-1">
                                             {message.sources.slice(0, 3).map((source: Source, index: number) => (
                                                 <div key={index} className="text-xs text-white/70 bg-white/5 rounded px-2 py-1">
-                                                    {source.metadata?.source || `Source ${index + 1}`}
+                                                    <div className="truncate">{source.metadata?.source || `Source ${index + 1}`}</div>
+                                                    {typeof source.metadata?.section === 'string' && (
+                                                        <div className="truncate text-white/50">§ {source.metadata.section}</div>
+                                                    )}
+                                                    <div className="text-white/40">
+                                                        {joinMeta([
+                                                            formatRelevance(source.metadata?.relevance),
+                                                            formatMimeType(source.metadata?.mimeType),
+                                                            formatPageRange(source.metadata?.page, source.metadata?.pageEnd),
+                                                            formatRowRange(source.metadata?.rowStart, source.metadata?.rowEnd),
+                                                            formatTimeRange(source.metadata?.startTime, source.metadata?.endTime),
+                                                            formatBytes(source.metadata?.byteSize),
+                                                            formatIngestedAt(source.metadata?.timestamp),
+                                                        ])}
+                                                    </div>
                                                 </div>
                                             ))}
                                         </div>
                                     </div>
                                 )}
+
+                                {message.generation && (
+                                    <div className="mt-2 text-[11px] text-white/40">
+                                        {joinMeta([
+                                            `${message.generation.model.provider}/${message.generation.model.name}`,
+                                            message.generation.usage
+                                                ? `${message.generation.usage.inputTokens} in / ${message.generation.usage.outputTokens} out tokens`
+                                                : null,
+                                        ])}
+                                    </div>
+                                )}
                             </div>
                         </div>
 
@@ -265,7 +493,7 @@ export function SimpleChat({ excludedSources = [] }: SimpleChatProps) {
                     </div>
                 ))}
 
-                {isLoading && (
+                {isLoading && !messages.some(message => message.id === streamingMessageId && message.content) && (
                     <div className="flex gap-3 justify-start">
                         <div className="w-8 h-8 rounded-full bg-gradient-to-r from-blue-500 to-purple-600 flex items-center justify-center">
                             <span className="text-white text-sm font-bold">H</span>
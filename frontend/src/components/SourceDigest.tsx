@@ -0,0 +1,153 @@
+"use client";
+
+import { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { joinMeta } from '../lib/documentMeta';
+
+interface DocumentRef {
+    source: string;
+    title: string;
+}
+
+export type DigestRequest =
+    | { kind: 'summary'; document: DocumentRef }
+    | { kind: 'comparison'; documents: DocumentRef[] };
+
+interface DigestResult {
+    text: string;
+    model: { provider: string; name: string };
+    usage: { inputTokens: number; outputTokens: number; totalTokens: number } | null;
+    calls: number;
+    chunks: number;
+    // Sources condensed by map-reduce before being compared
+    summarized: string[];
+}
+
+interface SourceDigestProps {
+    apiUrl: string;
+    collection?: string;
+    // Persona whose voice the summary or comparison is written in (the chat's), default persona when unset
+    persona?: string;
+    request: DigestRequest | null;
+    onClose: () => void;
+}
+
+function errorMessage(err: unknown, fallback: string) {
+    if (axios.isAxiosError(err) && typeof err.response?.data?.error === 'string') {
+        return err.response.data.error as string;
+    }
+    return err instanceof Error ? err.message : fallback;
+}
+
+// Summary of one source or comparison of several, shown over the page. Summaries read every chunk of the
+// source (map-reduce), so long documents take several model calls.
+export function SourceDigest({ apiUrl, collection, persona, request, onClose }: SourceDigestProps) {
+    const [result, setResult] = useState<DigestResult | null>(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [question, setQuestion] = useState('');
+
+    const run = useCallback(async (focus?: string) => {
+        if (!request) return;
+        setIsLoading(true);
+        setError(null);
+        setResult(null);
+        try {
+            if (request.kind === 'summary') {
+                const { data } = await axios.post(`${apiUrl}/summarize`, { source: request.document.source, collection, persona });
+                setResult({ text: data.summary, model: data.model, usage: data.usage, calls: data.calls, chunks: data.chunks, summarized: [] });
+            } else {
+                const { data } = await axios.post(`${apiUrl}/compare`, {
+                    sources: request.documents.map(document => document.source),
+                    question: focus || undefined,
+                    collection,
+                    persona,
+                });
+                setResult({
+                    text: data.comparison,
+                    model: data.model,
+                    usage: data.usage,
+                    calls: data.calls,
+                    chunks: data.sources.reduce((sum: number, source: { chunks: number }) => sum + source.chunks, 0),
+                    summarized: data.sources
+                        .filter((source: { summarized: boolean }) => source.summarized)
+                        .map((source: { source: string }) => source.source),
+                });
+            }
+        } catch (err) {
+            setError(errorMessage(err, request.kind === 'summary' ? 'Failed to summarize.' : 'Failed to compare.'));
+        } finally {
+            setIsLoading(false);
+        }
+    }, [apiUrl, collection, persona, request]);
+
+    useEffect(() => {
+        setQuestion('');
+        run();
+    }, [run]);
+
+    if (!request) return null;
+
+    const documents = request.kind === 'summary' ? [request.document] : request.documents;
+    const titleOf = (source: string) => documents.find(document => document.source === source)?.title || source;
+
+    return (
+        <div className="fixed inset-0 z-40 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+            <div
+                className="bg-gray-900 border border-white/10 rounded-lg p-4 w-full max-w-2xl max-h-[85vh] flex flex-col"
+                onClick={(event) => event.stopPropagation()}
+            >
+                <div className="flex items-start justify-between gap-4 mb-3">
+                    <div className="min-w-0">
+                        <h3 className="font-semibold text-white">{request.kind === 'summary' ? 'Summary' : 'Comparison'}</h3>
+                        <div className="text-xs text-white/60 truncate">
+                            {documents.map(document => document.title).join(' vs ')}
+                        </div>
+                    </div>
+                    <button onClick={onClose} className="text-white/60 hover:text-white text-sm" title="Close">✕</button>
+                </div>
+
+                {request.kind === 'comparison' && (
+                    <div className="flex gap-2 mb-3">
+                        <input
+                            type="text"
+                            value={question}
+                            onChange={(e) => setQuestion(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && !isLoading && run(question.trim())}
+                            placeholder="Focus the comparison (optional), e.g. Which one explains closures better?"
+                            className="flex-1 bg-white/5 border border-white/20 text-white placeholder:text-white/40 focus:border-indigo-400 rounded-md p-2 text-sm"
+                        />
+                        <button
+                            onClick={() => run(question.trim())}
+                            disabled={isLoading}
+                            className="text-sm bg-white/10 hover:bg-white/20 text-white border border-white/20 rounded px-3 transition-colors disabled:opacity-50"
+                        >
+                            Compare
+                        </button>
+                    </div>
+                )}
+
+                <div className="flex-1 overflow-y-auto text-sm text-white/90 whitespace-pre-wrap leading-relaxed">
+                    {isLoading && (
+                        <div className="text-white/60">
+                            {request.kind === 'summary' ? 'Reading every chunk of the document...' : 'Reading the selected documents...'}
+                        </div>
+                    )}
+                    {error && <div className="text-red-300">{error}</div>}
+                    {result?.text}
+                </div>
+
+                {result && (
+                    <div className="mt-3 text-[11px] text-white/40">
+                        {joinMeta([
+                            `${result.model.provider}/${result.model.name}`,
+                            `${result.chunks} chunks read in ${result.calls} model ${result.calls === 1 ? 'call' : 'calls'}`,
+                            result.usage ? `${result.usage.inputTokens} in / ${result.usage.outputTokens} out tokens` : null,
+                            result.summarized.length > 0 ? `summarized first: ${result.summarized.map(titleOf).join(', ')}` : null,
+                        ])}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,67 @@
+// Display helpers for the metadata the backend stamps on every chunk
+
+const TYPE_LABELS: Record<string, string> = {
+    'application/pdf': 'PDF',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'DOCX',
+    'text/plain': 'Text',
+    'text/markdown': 'Markdown',
+    'text/csv': 'CSV',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'XLSX',
+    'application/vnd.ms-excel': 'XLS',
+    'application/vnd.oasis.opendocument.spreadsheet': 'ODS',
+    'text/vtt': 'VTT',
+    'application/x-subrip': 'SRT',
+    'text/html': 'Web page',
+};
+
+export function formatMimeType(mimeType?: unknown) {
+    if (typeof mimeType !== 'string' || !mimeType) return null;
+    return TYPE_LABELS[mimeType] || mimeType;
+}
+
+export function formatBytes(bytes?: unknown) {
+    if (typeof bytes !== 'number' || !Number.isFinite(bytes)) return null;
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export function formatIngestedAt(timestamp?: unknown) {
+    if (typeof timestamp !== 'string') return null;
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? null : date.toLocaleString();
+}
+
+export function formatPageRange(page?: unknown, pageEnd?: unknown) {
+    if (typeof page !== 'number') return null;
+    return typeof pageEnd === 'number' && pageEnd !== page ? `pp. ${page}–${pageEnd}` : `p. ${page}`;
+}
+
+function formatClock(totalSeconds: number) {
+    const seconds = Math.floor(totalSeconds);
+    const pad = (value: number) => String(value).padStart(2, '0');
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+}
+
+// Spreadsheet chunks carry the rows they were built from
+export function formatRowRange(rowStart?: unknown, rowEnd?: unknown) {
+    if (typeof rowStart !== 'number') return null;
+    return typeof rowEnd === 'number' && rowEnd !== rowStart ? `rows ${rowStart}–${rowEnd}` : `row ${rowStart}`;
+}
+
+// Transcript chunks carry their cue time range in seconds
+export function formatTimeRange(startTime?: unknown, endTime?: unknown) {
+    if (typeof startTime !== 'number') return null;
+    return typeof endTime === 'number' ? `${formatClock(startTime)}–${formatClock(endTime)}` : formatClock(startTime);
+}
+
+// Re-ranker score (0-1) of a retrieved chunk, as a confidence percentage
+export function formatRelevance(relevance?: unknown) {
+    if (typeof relevance !== 'number') return null;
+    return `${Math.round(relevance * 100)}% relevant`;
+}
+
+// Joins the available parts, e.g. "PDF · p. 3 · 120.4 KB"
+export function joinMeta(parts: Array<string | null>) {
+    return parts.filter(Boolean).join(' · ');
+}